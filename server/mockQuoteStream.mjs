@@ -0,0 +1,182 @@
+// server/mockQuoteStream.mjs
+// Local stand-in for Finnhub's trade WebSocket, for developing and testing
+// the app's streaming mode without a key. No dependencies.
+//
+//   node server/mockQuoteStream.mjs        # ws://localhost:8788
+//
+// Open the app with ?provider=fixture and set Settings > Live quotes URL to
+// ws://localhost:8788. Base prices match the fixture provider's previous
+// closes, so streamed % changes stay realistic.
+//
+// Env: PORT (default 8788), TICK_MS (default 1000)
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const PORT = Number(process.env.PORT) || 8788;
+const TICK_MS = Number(process.env.TICK_MS) || 1000;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Same FNV-1a as src/data/providers/fixtureProvider.js
+function hash(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+const prices = new Map(); // symbol -> last price
+
+function nextPrice(symbol) {
+  const base = Number((20 + (hash(symbol) % 60000) / 100).toFixed(2));
+  const last = prices.get(symbol) ?? base;
+  // Random walk, pulled back toward the base so moves stay within a few %
+  const drift = (base - last) * 0.02;
+  const next = Number((last + drift + last * (Math.random() - 0.5) * 0.004).toFixed(2));
+  prices.set(symbol, next);
+  return next;
+}
+
+// ---------- minimal RFC 6455 framing (text, close, ping) ----------
+
+function encodeFrame(payload, opcode = 0x1) {
+  const data = Buffer.from(payload);
+  let header;
+  if (data.length < 126) {
+    header = Buffer.from([0x80 | opcode, data.length]);
+  } else if (data.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+  return Buffer.concat([header, data]);
+}
+
+// Returns [{ opcode, payload }] and the unconsumed remainder
+function decodeFrames(buf) {
+  const frames = [];
+  let offset = 0;
+
+  while (buf.length - offset >= 2) {
+    const opcode = buf[offset] & 0x0f;
+    const masked = (buf[offset + 1] & 0x80) !== 0;
+    let len = buf[offset + 1] & 0x7f;
+    let pos = offset + 2;
+
+    if (len === 126) {
+      if (buf.length < pos + 2) break;
+      len = buf.readUInt16BE(pos);
+      pos += 2;
+    } else if (len === 127) {
+      if (buf.length < pos + 8) break;
+      len = Number(buf.readBigUInt64BE(pos));
+      pos += 8;
+    }
+
+    const maskLen = masked ? 4 : 0;
+    if (buf.length < pos + maskLen + len) break;
+
+    const mask = masked ? buf.subarray(pos, pos + 4) : null;
+    pos += maskLen;
+    const payload = Buffer.from(buf.subarray(pos, pos + len));
+    if (mask) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+
+    frames.push({ opcode, payload });
+    offset = pos + len;
+  }
+
+  return { frames, rest: buf.subarray(offset) };
+}
+
+// ---------- server ----------
+
+export function createMockQuoteStream() {
+  const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('WebSocket only');
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+      socket.destroy();
+      return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write(
+      'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+
+    const subscriptions = new Set();
+    let pending = Buffer.alloc(0);
+
+    const send = (obj) => {
+      if (!socket.destroyed) socket.write(encodeFrame(JSON.stringify(obj)));
+    };
+
+    const timer = setInterval(() => {
+      if (!subscriptions.size) {
+        send({ type: 'ping' });
+        return;
+      }
+      // A few symbols per tick, like a real tape
+      const data = Array.from(subscriptions)
+        .filter(() => Math.random() < 0.3)
+        .map((s) => ({ s, p: nextPrice(s), t: Date.now(), v: 100 }));
+      if (data.length) send({ type: 'trade', data });
+    }, TICK_MS);
+
+    socket.on('data', (chunk) => {
+      const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+      pending = rest;
+
+      for (const { opcode, payload } of frames) {
+        if (opcode === 0x8) {
+          socket.end(encodeFrame(payload, 0x8));
+          return;
+        }
+        if (opcode === 0x9) {
+          socket.write(encodeFrame(payload, 0xa));
+          continue;
+        }
+        if (opcode !== 0x1) continue;
+
+        let msg;
+        try {
+          msg = JSON.parse(payload.toString('utf8'));
+        } catch (_) {
+          continue;
+        }
+        const symbol = String(msg.symbol || '').toUpperCase();
+        if (!symbol) continue;
+        if (msg.type === 'subscribe') subscriptions.add(symbol);
+        if (msg.type === 'unsubscribe') subscriptions.delete(symbol);
+      }
+    });
+
+    socket.on('close', () => clearInterval(timer));
+    socket.on('error', () => clearInterval(timer));
+  });
+
+  return server;
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  createMockQuoteStream().listen(PORT, () => {
+    console.log(`Mock quote stream on ws://localhost:${PORT}`);
+  });
+}
@@ -0,0 +1,263 @@
+// server/proxy.mjs
+// Caching proxy for Finnhub + CoinGecko so a whole team shares one quota
+// and one cache. No dependencies; needs Node 18+ (global fetch).
+//
+//   FINNHUB_KEY=... COINGECKO_KEY=... node server/proxy.mjs
+//
+// Then set "Proxy server" in the app's Settings tab to http://host:8787.
+//
+// Routes mirror apiClient:
+//   GET /finnhub/<path>?<query>&keyName=sp500  -> https://finnhub.io/api/v1/<path>
+//   GET /coingecko/<path>?<query>              -> https://api.coingecko.com/api/v3/<path>
+//   GET /health
+//
+// Env:
+//   PORT                   default 8787
+//   FINNHUB_KEY            default Finnhub key
+//   FINNHUB_KEY_SP500      optional per-purpose keys (also _SECTORS, _COMPANIES)
+//   COINGECKO_KEY          optional CoinGecko demo key
+//   ALLOWED_ORIGIN         CORS origin, default *
+//   CACHE_MAX_ENTRIES      default 5000
+//   FINNHUB_RATE_PER_MIN   upstream calls per Finnhub key, default 60
+//   COINGECKO_RATE_PER_MIN upstream calls to CoinGecko, default 30
+//   FINNHUB_UPSTREAM / COINGECKO_UPSTREAM  override upstream base URLs
+
+import http from 'node:http';
+
+const PORT = Number(process.env.PORT) || 8787;
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*';
+const CACHE_MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES) || 5000;
+
+const UPSTREAMS = {
+  finnhub: process.env.FINNHUB_UPSTREAM || 'https://finnhub.io/api/v1',
+  coingecko: process.env.COINGECKO_UPSTREAM || 'https://api.coingecko.com/api/v3',
+};
+
+const MINUTE = 60 * 1000;
+
+// First matching prefix wins
+const TTL_RULES = {
+  finnhub: [
+    ['/quote', 1 * MINUTE],
+    ['/stock/profile2', 24 * 60 * MINUTE],
+    ['/stock/candle', 60 * MINUTE],
+    ['/calendar/earnings', 60 * MINUTE],
+  ],
+  coingecko: [
+    ['/coins/markets', 1 * MINUTE],
+    ['/global', 5 * MINUTE],
+    ['/search', 60 * MINUTE],
+  ],
+};
+
+const DEFAULT_TTL_MS = 1 * MINUTE;
+
+const RATE_PER_MINUTE = {
+  finnhub: Number(process.env.FINNHUB_RATE_PER_MIN) || 60,
+  coingecko: Number(process.env.COINGECKO_RATE_PER_MIN) || 30,
+};
+const RATE_BURST = 10;
+
+function finnhubKey(keyName) {
+  const name = String(keyName || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return (name && process.env[`FINNHUB_KEY_${name}`]) || process.env.FINNHUB_KEY || '';
+}
+
+function ttlFor(vendor, path) {
+  const rule = (TTL_RULES[vendor] || []).find(([prefix]) => path.startsWith(prefix));
+  return rule ? rule[1] : DEFAULT_TTL_MS;
+}
+
+// ---------- cache + in-flight collapsing ----------
+
+const cache = new Map();    // cacheKey -> { status, body, contentType, expires }
+const inflight = new Map(); // cacheKey -> Promise<entry>
+
+function cacheGet(key) {
+  const hit = cache.get(key);
+  if (!hit) return null;
+  if (hit.expires <= Date.now()) {
+    cache.delete(key);
+    return null;
+  }
+  // Refresh recency (Map keeps insertion order -> cheap LRU)
+  cache.delete(key);
+  cache.set(key, hit);
+  return hit;
+}
+
+function cacheSet(key, entry) {
+  cache.set(key, entry);
+  while (cache.size > CACHE_MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+// ---------- upstream pacing ----------
+//
+// One token bucket per upstream key: however many clients share the proxy,
+// cache misses queue here instead of pushing a key past its quota.
+
+const buckets = new Map(); // bucketKey -> { tokens, last, waiting: [resolve], timer }
+
+function drain(b, rate) {
+  const now = Date.now();
+  b.tokens = Math.min(RATE_BURST, b.tokens + ((now - b.last) / MINUTE) * rate);
+  b.last = now;
+
+  while (b.waiting.length && b.tokens >= 1) {
+    b.tokens -= 1;
+    b.waiting.shift()();
+  }
+
+  if (b.waiting.length && !b.timer) {
+    b.timer = setTimeout(() => {
+      b.timer = null;
+      drain(b, rate);
+    }, Math.ceil(((1 - b.tokens) / rate) * MINUTE));
+  }
+}
+
+function takeToken(vendor, bucketKey) {
+  let b = buckets.get(bucketKey);
+  if (!b) {
+    b = { tokens: RATE_BURST, last: Date.now(), waiting: [], timer: null };
+    buckets.set(bucketKey, b);
+  }
+  return new Promise((resolve) => {
+    b.waiting.push(resolve);
+    drain(b, RATE_PER_MINUTE[vendor]);
+  });
+}
+
+function queuedUpstream() {
+  let n = 0;
+  buckets.forEach((b) => {
+    n += b.waiting.length;
+  });
+  return n;
+}
+
+// ---------- upstream ----------
+
+function buildUpstream(vendor, path, params) {
+  const query = new URLSearchParams(params);
+  const headers = {};
+
+  if (vendor === 'finnhub') {
+    const token = finnhubKey(params.get('keyName'));
+    query.delete('keyName');
+    query.set('token', token);
+  } else if (process.env.COINGECKO_KEY) {
+    headers['x-cg-demo-api-key'] = process.env.COINGECKO_KEY;
+  }
+
+  const qs = query.toString();
+  return { url: `${UPSTREAMS[vendor]}${path}${qs ? `?${qs}` : ''}`, headers };
+}
+
+async function fetchUpstream(vendor, path, params) {
+  // Purposes configured with the same key share its bucket
+  await takeToken(
+    vendor,
+    vendor === 'finnhub' ? `finnhub:${finnhubKey(params.get('keyName'))}` : vendor
+  );
+  const { url, headers } = buildUpstream(vendor, path, params);
+  const res = await fetch(url, { headers });
+  return {
+    status: res.status,
+    body: await res.text(),
+    contentType: res.headers.get('content-type') || 'application/json',
+    retryAfter: res.headers.get('retry-after'),
+  };
+}
+
+async function getEntry(vendor, path, params) {
+  // Same request from different purposes shares one cache entry
+  const keyParams = new URLSearchParams(params);
+  keyParams.delete('keyName');
+  keyParams.sort();
+  const cacheKey = `${vendor}${path}?${keyParams}`;
+
+  const hit = cacheGet(cacheKey);
+  if (hit) return { ...hit, cache: 'HIT' };
+
+  if (inflight.has(cacheKey)) {
+    return { ...(await inflight.get(cacheKey)), cache: 'COLLAPSED' };
+  }
+
+  const promise = fetchUpstream(vendor, path, params)
+    .then((entry) => {
+      if (entry.status >= 200 && entry.status < 300) {
+        cacheSet(cacheKey, { ...entry, expires: Date.now() + ttlFor(vendor, path) });
+      }
+      return entry;
+    })
+    .finally(() => inflight.delete(cacheKey));
+
+  inflight.set(cacheKey, promise);
+  return { ...(await promise), cache: 'MISS' };
+}
+
+// ---------- http ----------
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Expose-Headers': 'Retry-After, X-Cache',
+    ...headers,
+  });
+  res.end(body);
+}
+
+function sendJson(res, status, obj) {
+  send(res, status, JSON.stringify(obj), { 'Content-Type': 'application/json' });
+}
+
+export function createProxyServer() {
+  return http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') return send(res, 204, '');
+    if (req.method !== 'GET') return sendJson(res, 405, { error: 'GET only' });
+
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === '/health') {
+      return sendJson(res, 200, {
+        ok: true,
+        cacheEntries: cache.size,
+        inflight: inflight.size,
+        queued: queuedUpstream(),
+        finnhubKey: !!process.env.FINNHUB_KEY,
+      });
+    }
+
+    const match = url.pathname.match(/^\/(finnhub|coingecko)(\/.*)$/);
+    if (!match) return sendJson(res, 404, { error: 'Unknown route' });
+
+    const [, vendor, path] = match;
+    const params = url.searchParams;
+    // Clients never choose the key
+    params.delete('token');
+
+    if (vendor === 'finnhub' && !finnhubKey(params.get('keyName'))) {
+      return sendJson(res, 500, { error: 'Proxy has no Finnhub key configured' });
+    }
+
+    try {
+      const entry = await getEntry(vendor, path, params);
+      const headers = { 'Content-Type': entry.contentType, 'X-Cache': entry.cache };
+      if (entry.retryAfter) headers['Retry-After'] = entry.retryAfter;
+      return send(res, entry.status, entry.body, headers);
+    } catch (err) {
+      return sendJson(res, 502, { error: `Upstream failed: ${err.message}` });
+    }
+  });
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  createProxyServer().listen(PORT, () => {
+    console.log(`Market Dashboard proxy listening on :${PORT}`);
+  });
+}
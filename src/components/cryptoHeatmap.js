@@ -1,8 +1,99 @@
 // src/components/cryptoHeatmap.js
-import { getCryptoData, resetCryptoCache } from '../data/cryptoService.js';
+import {
+  CRYPTO_CURRENCIES,
+  getCryptoCurrency,
+  getCryptoData,
+  getCryptoSnapshot,
+  resetCryptoCache,
+  setCryptoCurrency,
+  subscribeCrypto,
+} from '../data/cryptoService.js';
 import { renderHeatmap } from './heatmap.js';
-import { renderLastUpdatedLine } from './lastUpdated.js';
+import { renderLastUpdatedLine, renderLoadProgress } from './lastUpdated.js';
+import { renderStatsBar } from './summaryBar.js';
 import { TIMEFRAMES, TIMEFRAME_STORAGE_KEYS } from '../data/constants.js';
+import { getActiveTab, getTabSignal } from './tabs.js';
+import { onCryptoUniverseChange } from '../data/cryptoUniverse.js';
+
+// Coins that should not get shoved into a tiny strip where text is cramped:
+// the top ranks of whatever is on the map. Smaller coins can fall back to
+// logo-only.
+const PRIORITY_COUNT = 8;
+
+const CRYPTO_TIMEFRAMES = [
+  TIMEFRAMES.ONE_HOUR,
+  TIMEFRAMES.ONE_DAY,
+  TIMEFRAMES.ONE_WEEK,
+  TIMEFRAMES.ONE_MONTH,
+  TIMEFRAMES.YEAR_TO_DATE,
+  TIMEFRAMES.ONE_YEAR,
+];
+
+function byRank(items) {
+  return [...items].sort(
+    (a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity) || (b.marketCap ?? 0) - (a.marketCap ?? 0)
+  );
+}
+
+// "$64,012", "₿0.00001234", "€1.26T"
+function formatMoney(value, currency, { compact = false } = {}) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return '--';
+  const { sign } = CRYPTO_CURRENCIES[currency] || CRYPTO_CURRENCIES.usd;
+  const abs = Math.abs(value);
+
+  if (compact) {
+    const units = [
+      [1e12, 'T'],
+      [1e9, 'B'],
+      [1e6, 'M'],
+      [1e3, 'K'],
+    ];
+    const [div, suffix] = units.find(([d]) => abs >= d) || [1, ''];
+    return `${sign}${(value / div).toFixed(2)}${suffix}`;
+  }
+
+  // Alt prices in BTC/ETH run to many decimals; keep 4 significant digits
+  if (abs >= 1000) return `${sign}${value.toLocaleString('en-US', { maximumFractionDigits: 0 })}`;
+  if (abs >= 1) return `${sign}${value.toFixed(2)}`;
+  return `${sign}${value.toLocaleString('en-US', { maximumSignificantDigits: 4 })}`;
+}
+
+function formatPctStat(value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return '--';
+  return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+// Total cap (24h), BTC/ETH dominance, volume and active coins, in the
+// selected quote currency. CoinGecko only gives the 24h cap change in USD,
+// so it says so for other currencies.
+function overviewStats(global, currency) {
+  if (!global) return [];
+  const cap = global.totalMarketCap?.[currency];
+  const change = formatPctStat(global.marketCapChangePct24h);
+  return [
+    {
+      label: 'Market cap',
+      text: `${formatMoney(cap, currency, { compact: true })} (${currency === 'usd' ? change : `${change} in USD`})`,
+      value: global.marketCapChangePct24h,
+    },
+    {
+      label: 'BTC dom.',
+      text: global.dominance?.btc == null ? '--' : `${global.dominance.btc.toFixed(1)}%`,
+    },
+    {
+      label: 'ETH dom.',
+      text: global.dominance?.eth == null ? '--' : `${global.dominance.eth.toFixed(1)}%`,
+    },
+    {
+      label: '24h volume',
+      text: formatMoney(global.totalVolume?.[currency], currency, { compact: true }),
+    },
+    {
+      label: 'Coins',
+      text: global.activeCoins == null ? '--' : global.activeCoins.toLocaleString('en-US'),
+    },
+  ];
+}
 
 export function initCryptoHeatmap() {
   const container = document.getElementById('crypto-view');
@@ -12,27 +103,33 @@ export function initCryptoHeatmap() {
   const lastUpdatedEl = container.querySelector('.last-updated');
   const dropdown = container.querySelector('.timeframe-select');
   const refreshBtn = container.querySelector('.crypto-refresh-btn');
+  const currencySelect = container.querySelector('.crypto-currency-select');
+  const overviewEl = container.querySelector('.crypto-overview');
+  const progressEl = container.querySelector('.load-progress');
 
   const tfKey = TIMEFRAME_STORAGE_KEYS.crypto;
-  const savedTf =
-    (tfKey && localStorage.getItem(tfKey)) || TIMEFRAMES.ONE_DAY;
-
-  let currentTimeframe =
-    savedTf === TIMEFRAMES.ONE_WEEK || savedTf === TIMEFRAMES.ONE_MONTH
-      ? savedTf
-      : TIMEFRAMES.ONE_DAY;
+  const savedTf = localStorage.getItem(tfKey);
+  let currentTimeframe = CRYPTO_TIMEFRAMES.includes(savedTf) ? savedTf : TIMEFRAMES.ONE_DAY;
 
   if (dropdown) {
     dropdown.value = currentTimeframe;
     dropdown.addEventListener('change', () => {
-      const value =
-        dropdown.value === TIMEFRAMES.ONE_WEEK ||
-        dropdown.value === TIMEFRAMES.ONE_MONTH
-          ? dropdown.value
-          : TIMEFRAMES.ONE_DAY;
-
-      currentTimeframe = value;
-      if (tfKey) localStorage.setItem(tfKey, value);
+      currentTimeframe = CRYPTO_TIMEFRAMES.includes(dropdown.value)
+        ? dropdown.value
+        : TIMEFRAMES.ONE_DAY;
+      localStorage.setItem(tfKey, currentTimeframe);
+      refresh();
+    });
+  }
+
+  if (currencySelect) {
+    currencySelect.innerHTML = Object.entries(CRYPTO_CURRENCIES)
+      .map(([code, { label }]) => `<option value="${code}">${label}</option>`)
+      .join('');
+    currencySelect.value = getCryptoCurrency();
+    currencySelect.addEventListener('change', () => {
+      setCryptoCurrency(currencySelect.value);
+      currencySelect.value = getCryptoCurrency();
       refresh();
     });
   }
@@ -44,42 +141,72 @@ export function initCryptoHeatmap() {
     });
   }
 
-  // Priority coins: these should not get shoved into a tiny strip where text is cramped.
-  // Smaller coins can fall back to logo-only.
-  const CRYPTO_PRIORITY = ['BTC', 'ETH', 'BNB', 'XRP', 'SOL', 'TRX', 'DOGE', 'ADA'];
+  function paint(data) {
+    const { items, currency } = data;
+    renderLoadProgress(progressEl, data.progress, 'Jan 1 prices');
+    renderStatsBar(overviewEl, overviewStats(data.global, currency));
+    const label = CRYPTO_CURRENCIES[currency]?.label || 'USD';
+
+    const tiles = items.map((c) => ({
+      symbol: c.symbol,
+      label: c.name,
+      marketCap: c.marketCap,
+      changePct1H: c.changePct1H,
+      changePct1D: c.changePct1D,
+      changePct1W: c.changePct1W,
+      changePct1M: c.changePct1M,
+      changePctYTD: c.changePctYTD,
+      changePct1Y: c.changePct1Y,
+      logoUrl: c.logoUrl || null,
+      // In the tile where it fits; the title is for hover, which touch lacks
+      details: [formatMoney(c.price, currency), formatMoney(c.marketCap, currency, { compact: true })],
+      title: `${c.name} (${c.symbol}/${label})\nPrice ${formatMoney(c.price, currency)}\nMarket cap ${formatMoney(
+        c.marketCap,
+        currency,
+        { compact: true }
+      )}`,
+    }));
+
+    const ranked = byRank(items);
+    renderHeatmap(heatmapContainer, tiles, currentTimeframe, {
+      mode: 'crypto',
+      forceTopFullWidthSymbol: ranked[0]?.symbol ?? null,
+      prioritySymbols: ranked.slice(0, PRIORITY_COUNT).map((c) => c.symbol),
+      // This is the legibility threshold (measuredContent * scale).
+      // Higher = stronger protection from thin strips.
+      minPriorityTextScale: 0.5,
+    });
+  }
 
   async function refresh() {
     const tf = currentTimeframe;
+    // Cached markets for this currency first (instant on a currency switch)
+    paint(getCryptoSnapshot());
 
     try {
-      const data = await getCryptoData();
-      const { items, lastFetch, error } = data;
-
-      const tiles = items.map((c) => ({
-        symbol: c.symbol,
-        label: c.name,
-        marketCap: c.marketCap,
-        changePct1D: c.changePct1D,
-        changePct1W: c.changePct1W,
-        changePct1M: c.changePct1M,
-        logoUrl: c.logoUrl || null,
-      }));
-
-      renderHeatmap(heatmapContainer, tiles, tf, {
-        mode: 'crypto',
-        forceTopFullWidthSymbol: 'BTC',
-        prioritySymbols: CRYPTO_PRIORITY,
-        // This is the legibility threshold (measuredContent * scale).
-        // Higher = stronger protection from thin strips.
-        minPriorityTextScale: 0.5,
-      });
-
-      renderLastUpdatedLine(lastUpdatedEl, lastFetch, tf, error);
+      const data = await getCryptoData({ signal: getTabSignal('crypto'), timeframe: tf });
+      paint(data);
+      renderLastUpdatedLine(lastUpdatedEl, data.lastFetch, tf, data.error);
     } catch (err) {
       renderLastUpdatedLine(lastUpdatedEl, null, currentTimeframe, err.message);
     }
   }
 
+  // Hidden tabs don't poll; coming back refreshes if the cache is stale
+  document.addEventListener('tabchange', (ev) => {
+    if (ev.detail?.name === 'crypto') refresh();
+  });
+
+  // Jan 1 prices landing during a YTD load
+  subscribeCrypto(() => paint(getCryptoSnapshot()));
+
+  // Coins edited in Settings
+  onCryptoUniverseChange(() => {
+    if (getActiveTab() === 'crypto') refresh();
+  });
+
   refresh();
-  setInterval(refresh, 5 * 60 * 1000);
+  setInterval(() => {
+    if (getActiveTab() === 'crypto') refresh();
+  }, 5 * 60 * 1000);
 }
@@ -1,6 +1,7 @@
 // src/components/earningsCalendar.js
 import { getWeeklyEarnings, resetEarningsCache } from '../data/earningsService.js';
 import { renderLastUpdatedLine } from './lastUpdated.js';
+import { getTabSignal } from './tabs.js';
 
 const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
 
@@ -14,8 +15,10 @@ export function initEarningsCalendar() {
 
   async function refresh() {
     try {
-      const { dataByDay, lastFetch, error } = await getWeeklyEarnings();
-      renderGrid(container, dataByDay);
+      const { dataByDay, holidays, lastFetch, error } = await getWeeklyEarnings({
+        signal: getTabSignal('earnings'),
+      });
+      renderGrid(container, dataByDay, holidays);
       // Use “1W” as the timeframe label for the calendar
       renderLastUpdatedLine(lastUpdatedEl, lastFetch, '1W', error);
     } catch (err) {
@@ -31,11 +34,16 @@ export function initEarningsCalendar() {
     });
   }
 
+  // Coming back finishes a load that was cancelled when the tab was left
+  document.addEventListener('tabchange', (ev) => {
+    if (ev.detail?.name === 'earnings') refresh();
+  });
+
   // Initial render
   refresh();
 }
 
-function renderGrid(container, dataByDay) {
+function renderGrid(container, dataByDay, holidays = {}) {
   if (!container) return;
   container.innerHTML = '';
 
@@ -48,6 +56,17 @@ function renderGrid(container, dataByDay) {
     dayHeader.textContent = day;
     col.appendChild(dayHeader);
 
+    // NYSE holiday: no sessions to list
+    if (holidays && holidays[day]) {
+      col.classList.add('earnings-day-closed');
+      const note = document.createElement('div');
+      note.className = 'earnings-closed-note';
+      note.textContent = `Market closed · ${holidays[day]}`;
+      col.appendChild(note);
+      container.appendChild(col);
+      return;
+    }
+
     const dayList = document.createElement('div');
     dayList.className = 'earnings-day-list';
 
@@ -1,4 +1,5 @@
 // src/components/heatmap.js
+import { TIMEFRAMES, TIMEFRAME_FIELDS } from '../data/constants.js';
 
 const HEATMAP_STATE = new WeakMap();
 
@@ -11,17 +12,53 @@ const DEFAULT_BASE_CONTENT_WIDTH_PX = 70;
 
 const DEFAULT_MIN_PRIORITY_TEXT_SCALE = 0.78;
 
+// Detail lines under the % (px at scale=1): line height and rough glyph width
+const DETAIL_LINE_PX = 13;
+const DETAIL_CHAR_PX = 6;
+
+// Grouped layout: header strip on top of each group block
+const GROUP_HEADER_PX = 16;
+const GROUP_MIN_HEADER_W_PX = 48;
+const UNGROUPED_LABEL = 'Other';
+
+// Nearby periods to color a tile by when it has no value for the chosen one
+const TIMEFRAME_FALLBACKS = {
+  [TIMEFRAMES.ONE_HOUR]: [TIMEFRAMES.ONE_DAY],
+  [TIMEFRAMES.ONE_DAY]: [TIMEFRAMES.ONE_WEEK, TIMEFRAMES.ONE_MONTH],
+  // A different period's move painted as this one would mislead (e.g. when
+  // candles failed); leave these neutral
+  [TIMEFRAMES.ONE_WEEK]: [],
+  [TIMEFRAMES.ONE_MONTH]: [],
+  [TIMEFRAMES.YEAR_TO_DATE]: [],
+  [TIMEFRAMES.ONE_YEAR]: [],
+};
+
+// Plain squarify through the constrained layout (nothing to protect)
+const SQUARIFY_CFG = { prioritySymbols: new Set(), forceTopFullWidthSymbol: null };
+const SQUARIFY_BEHAVIOR = { preferColumnsWhenShort: true, constrainAllStrips: false };
+
+// sectors: ALL tiles must remain readable -> constrain every strip
+const SECTORS_BEHAVIOR = { preferColumnsWhenShort: true, constrainAllStrips: true };
+
 /**
  * renderHeatmap(container, tiles, timeframe, options?)
  *
- * tiles: [{ symbol, label?, marketCap?, changePct1D, changePct1W, changePct1M?, logoUrl? }]
+ * tiles: [{ symbol, label?, marketCap?, changePct1H?, changePct1D, changePct1W, changePct1M?, changePctYTD?, changePct1Y?, logoUrl?, sector?, extended?, details?, title? }]
+ *   one changePct* field per TIMEFRAME_FIELDS entry; a missing one falls
+ *   back to a nearby period for 1H/1D only
+ *   extended: the colored value is a pre-market / after-hours move (badged)
+ *   details: extra text lines (e.g. price, market cap) shown under the %,
+ *   in order, as far as the tile has room
+ *   title: hover text
  *
  * options:
  *  {
  *    mode: 'default' | 'crypto' | 'sectors',
+ *    groupBy?: string,                 // default/sectors mode: tile field to nest by, e.g. 'sector'
  *    prioritySymbols?: string[],
  *    forceTopFullWidthSymbol?: string, // crypto: 'BTC'
- *    minPriorityTextScale?: number     // increase if still too short
+ *    minPriorityTextScale?: number,    // increase if still too short
+ *    onTileClick?: (tile) => void      // tiles become tappable
  *  }
  */
 export function renderHeatmap(container, tiles, timeframe, options = {}) {
@@ -49,8 +86,21 @@ export function renderHeatmap(container, tiles, timeframe, options = {}) {
     state.winHandler = () => scheduleDraw(container);
     window.addEventListener('resize', state.winHandler);
     window.addEventListener('orientationchange', state.winHandler);
+
+    // One delegated listener; tiles are rebuilt on every layout change
+    container.addEventListener('click', (ev) => {
+      const onTileClick = state.options && state.options.onTileClick;
+      const el = ev.target.closest('.heatmap-tile');
+      if (!onTileClick || !el || !container.contains(el)) return;
+      const tile = (state.tiles || []).find(
+        (t) => String(t.symbol || '').toUpperCase() === el.dataset.symbol
+      );
+      if (tile) onTileClick(tile);
+    });
   }
 
+  container.classList.toggle('heatmap-clickable', !!options.onTileClick);
+
   HEATMAP_STATE.set(container, state);
   scheduleDraw(container);
 }
@@ -111,9 +161,6 @@ function draw(container) {
     }
   }
 
-  container.innerHTML = '';
-  if (!tiles.length) return;
-
   // Always render all tiles even if marketCap missing (fallback weight=1)
   const nodes = tiles
     .map((t) => {
@@ -123,8 +170,33 @@ function draw(container) {
     })
     .filter((n) => n && typeof n.weight === 'number' && n.weight > 0);
 
+  // Same geometry as last paint (e.g. a streamed price tick): only recolor
+  // the tiles whose % moved instead of rebuilding the DOM.
+  const groupBy = mode !== 'crypto' && options.groupBy ? options.groupBy : null;
+  const groupOf = (tile) => (groupBy && tile[groupBy]) || UNGROUPED_LABEL;
+
+  const layoutKey = [
+    pxW,
+    pxH,
+    JSON.stringify(options),
+    ...nodes.map((n) => `${n.tile.symbol}:${n.weight}${groupBy ? `:${groupOf(n.tile)}` : ''}`),
+  ].join('|');
+
+  if (state._layoutKey === layoutKey && state._tileEls) {
+    patchTiles(state._tileEls, tiles, timeframe);
+    if (state._groupEls) patchGroups(state._groupEls, nodes, timeframe, groupOf);
+    return;
+  }
+
+  container.innerHTML = '';
+  state._layoutKey = null;
+  state._tileEls = null;
+  state._groupEls = null;
   if (!nodes.length) return;
 
+  const tileEls = new Map(); // symbol -> { el, pct }
+  let groupEls = null;       // group -> { el, pctEl, pct }
+
   // Config + layout
   const cfg =
     mode === 'crypto'
@@ -141,38 +213,50 @@ function draw(container) {
           constrainAllStrips: false,
         })
       : mode === 'sectors'
-      ? computeConstrainedTreemap(nodes, pxW, pxH, cfg, {
-          preferColumnsWhenShort: true,
-          // sectors: ALL sectors must remain readable -> constrain every strip
-          constrainAllStrips: true,
-        })
+      ? groupBy
+        ? computeGroupedTreemap(nodes, pxW, pxH, groupOf, cfg, SECTORS_BEHAVIOR)
+        : computeConstrainedTreemap(nodes, pxW, pxH, cfg, SECTORS_BEHAVIOR)
+      : groupBy
+      ? computeGroupedTreemap(nodes, pxW, pxH, groupOf)
       : computeRowTreemap(nodes, pxW, pxH); // S&P default stays as row-fill
 
+  // Group frames sit above the tiles (z-index in heatmap.css) so their
+  // borders stay visible; they don't take pointer events
+  if (groupBy) {
+    groupEls = new Map();
+    rects.groups.forEach((g) => {
+      const el = document.createElement('div');
+      el.className = 'heatmap-group';
+      el.style.left = `${g.x * 100}%`;
+      el.style.top = `${g.y * 100}%`;
+      el.style.width = `${g.w * 100}%`;
+      el.style.height = `${g.h * 100}%`;
+
+      const pct = groupPct(g.nodes, timeframe);
+      let pctEl = null;
+      if (g.headerPx) {
+        el.innerHTML = `
+          <div class="heatmap-group-header" style="height:${g.headerPx}px">
+            <span class="group-name">${g.name}</span>
+            <span class="group-pct ${pctColorClass(pct)}">${formatPct(pct)}</span>
+          </div>
+        `;
+        pctEl = el.querySelector('.group-pct');
+      }
+
+      container.appendChild(el);
+      groupEls.set(g.name, { el, pctEl, pct });
+    });
+  }
+
   rects.forEach(({ tile, x, y, w, h }) => {
     const el = document.createElement('div');
 
-    const primary =
-      timeframe === '1D'
-        ? tile.changePct1D
-        : timeframe === '1W'
-        ? tile.changePct1W
-        : tile.changePct1M;
-
-    const fallback =
-      timeframe === '1D'
-        ? tile.changePct1W ?? tile.changePct1M
-        : timeframe === '1W'
-        ? tile.changePct1D ?? tile.changePct1M
-        : tile.changePct1W ?? tile.changePct1D;
-
-    const pct =
-      primary != null && !Number.isNaN(primary)
-        ? primary
-        : fallback != null && !Number.isNaN(fallback)
-        ? fallback
-        : null;
-
-    el.className = `heatmap-tile ${pctColorClass(pct)}`;
+    const pct = tilePct(tile, timeframe);
+
+    el.className = tileClassName(tile, pct);
+    el.dataset.symbol = String(tile.symbol || '').toUpperCase();
+    if (tile.title) el.title = tile.title;
     el.style.left = `${x * 100}%`;
     el.style.top = `${y * 100}%`;
     el.style.width = `${w * 100}%`;
@@ -198,8 +282,7 @@ function draw(container) {
 
     el.style.setProperty('--tile-scale', scale.toString());
 
-    const pctDisplay =
-      pct != null && !Number.isNaN(pct) ? `${pct.toFixed(2)}%` : '--';
+    const pctDisplay = formatPct(pct);
 
     const sym = String(tile.symbol || '').toUpperCase();
 
@@ -245,17 +328,117 @@ function draw(container) {
 
     const symbolHtml = showText ? `<div class="tile-symbol">${sym}</div>` : '';
     const pctHtml = showText ? `<div class="tile-pct">${pctDisplay}</div>` : '';
+    // Default mode has no measured config; its content is the stock column
+    const baseContentHeightPx = cfg ? cfg.baseContentHeightPx : DEFAULT_BASE_CONTENT_HEIGHT_PX;
+    const detailHtml =
+      showText && tile.details?.length
+        ? fittingDetails(tile.details, tileWidthPx / scale, tileHeightPx / scale - baseContentHeightPx)
+            .map((line) => `<div class="tile-detail">${line}</div>`)
+            .join('')
+        : '';
 
     el.innerHTML = `
       <div class="tile-content">
         ${logoHtml}
         ${symbolHtml}
         ${pctHtml}
+        ${detailHtml}
       </div>
     `;
 
     container.appendChild(el);
+    tileEls.set(sym, { el, pct, extended: !!tile.extended });
   });
+
+  state._layoutKey = layoutKey;
+  state._tileEls = tileEls;
+  state._groupEls = groupEls;
+}
+
+// Leading detail lines that fit the spare room (px at scale=1)
+function fittingDetails(details, widthPx, spareHeightPx) {
+  const out = [];
+  for (const line of details || []) {
+    if (spareHeightPx < DETAIL_LINE_PX * (out.length + 1)) break;
+    if (String(line).length * DETAIL_CHAR_PX > widthPx) break;
+    out.push(line);
+  }
+  return out;
+}
+
+function tilePct(tile, timeframe) {
+  const key = TIMEFRAME_FIELDS[timeframe] ? timeframe : TIMEFRAMES.ONE_MONTH;
+  for (const tf of [key, ...TIMEFRAME_FALLBACKS[key]]) {
+    const value = tile[TIMEFRAME_FIELDS[tf]];
+    if (value != null && !Number.isNaN(value)) return value;
+  }
+  return null;
+}
+
+function formatPct(pct) {
+  return pct != null && !Number.isNaN(pct) ? `${pct.toFixed(2)}%` : '--';
+}
+
+// In-place update for tiles whose % changed; briefly flashes them
+function patchTiles(tileEls, tiles, timeframe) {
+  tiles.forEach((tile) => {
+    const sym = String(tile.symbol || '').toUpperCase();
+    const rec = tileEls.get(sym);
+    if (!rec) return;
+    if (tile.title && tile.title !== rec.el.title) rec.el.title = tile.title;
+    rec.el.querySelectorAll('.tile-detail').forEach((detailEl, i) => {
+      const line = tile.details?.[i];
+      if (line != null && detailEl.textContent !== line) detailEl.textContent = line;
+    });
+
+    const pct = tilePct(tile, timeframe);
+    const extended = !!tile.extended;
+    if (pct === rec.pct && extended === rec.extended) return;
+    rec.pct = pct;
+    rec.extended = extended;
+
+    rec.el.className = `${tileClassName(tile, pct)} tile-flash`;
+
+    const pctEl = rec.el.querySelector('.tile-pct');
+    if (pctEl) pctEl.textContent = formatPct(pct);
+
+    clearTimeout(rec.flashTimer);
+    rec.flashTimer = setTimeout(() => rec.el.classList.remove('tile-flash'), 600);
+  });
+}
+
+// Cap-weighted % of a group; tiles without data don't count
+function groupPct(nodes, timeframe) {
+  let sum = 0;
+  let weight = 0;
+  for (const n of nodes) {
+    const pct = tilePct(n.tile, timeframe);
+    if (pct == null) continue;
+    sum += pct * n.weight;
+    weight += n.weight;
+  }
+  return weight > 0 ? sum / weight : null;
+}
+
+function patchGroups(groupEls, nodes, timeframe, groupOf) {
+  const byGroup = new Map();
+  for (const n of nodes) {
+    const name = groupOf(n.tile);
+    if (!byGroup.has(name)) byGroup.set(name, []);
+    byGroup.get(name).push(n);
+  }
+
+  groupEls.forEach((rec, name) => {
+    const pct = groupPct(byGroup.get(name) || [], timeframe);
+    if (pct === rec.pct || !rec.pctEl) return;
+    rec.pct = pct;
+    rec.pctEl.className = `group-pct ${pctColorClass(pct)}`;
+    rec.pctEl.textContent = formatPct(pct);
+  });
+}
+
+function tileClassName(tile, pct) {
+  return `heatmap-tile ${pctColorClass(pct)}${tile.extended ? ' tile-extended' : ''}`;
 }
 
 function pctColorClass(pct) {
@@ -350,6 +533,73 @@ function computeRowTreemap(nodes, containerW, containerH) {
   }));
 }
 
+/**
+ * Nested layout (finviz-style): one block per group sized by its total
+ * weight, then the group's tiles squarified inside it below a header strip.
+ * Returns tile rects like the other layouts, plus `groups` for the frames.
+ * @param {object} [innerCfg] constrained-layout config for the tiles inside
+ *   each group (plain squarify unless the mode needs readable text, e.g. sectors)
+ * @param {object} [innerBehavior] constrained-layout behavior for the same
+ */
+function computeGroupedTreemap(
+  nodes,
+  containerW,
+  containerH,
+  groupOf,
+  innerCfg = SQUARIFY_CFG,
+  innerBehavior = SQUARIFY_BEHAVIOR
+) {
+  const byGroup = new Map();
+  for (const n of nodes) {
+    const name = groupOf(n.tile);
+    if (!byGroup.has(name)) byGroup.set(name, []);
+    byGroup.get(name).push(n);
+  }
+
+  const groupNodes = [...byGroup].map(([name, members]) => ({
+    tile: { symbol: name, members },
+    weight: members.reduce((s, n) => s + n.weight, 0),
+  }));
+
+  const groupRects = computeConstrainedTreemap(
+    groupNodes,
+    containerW,
+    containerH,
+    SQUARIFY_CFG,
+    SQUARIFY_BEHAVIOR
+  );
+
+  const rects = [];
+  rects.groups = [];
+
+  groupRects.forEach(({ tile: group, x, y, w, h }) => {
+    const gW = w * containerW;
+    const gH = h * containerH;
+
+    // Tiny groups give up the header rather than their tiles
+    const headerPx =
+      gH >= GROUP_HEADER_PX * 3 && gW >= GROUP_MIN_HEADER_W_PX ? GROUP_HEADER_PX : 0;
+    const innerH = gH - headerPx;
+
+    rects.groups.push({ name: group.symbol, nodes: group.members, x, y, w, h, headerPx });
+    if (innerH <= 0) return;
+
+    const inner = computeConstrainedTreemap(group.members, gW, innerH, innerCfg, innerBehavior);
+
+    inner.forEach((r) => {
+      rects.push({
+        tile: r.tile,
+        x: x + (r.x * gW) / containerW,
+        y: y + (headerPx + r.y * innerH) / containerH,
+        w: (r.w * gW) / containerW,
+        h: (r.h * innerH) / containerH,
+      });
+    });
+  });
+
+  return rects;
+}
+
 // ---------- constrained config + measurement ----------
 
 function getRenderConfig(container, state, options, profile) {
@@ -1,15 +1,36 @@
 // components/lastUpdated.js
 import { formatEstTime } from '../data/timezone.js';
+import { REQUEST_ERRORS } from '../data/constants.js';
+
+// "23/45 quotes" while a refresh is landing, empty otherwise
+export function renderLoadProgress(el, progress, noun = 'quotes') {
+  if (!el) return;
+  el.textContent = progress ? `${progress.done}/${progress.total} ${noun}` : '';
+}
 
 export function renderLastUpdatedLine(el, lastIso, timeframe, error) {
+  // Cancelled because the user switched tabs: nothing went wrong
+  if (error === REQUEST_ERRORS.ABORTED) error = null;
+  const timedOut = error === REQUEST_ERRORS.TIMEOUT;
+  // Quotes are fine; only some period references are missing
+  const noCandles = error === REQUEST_ERRORS.CANDLES;
+
   if (!lastIso) {
-    el.textContent = error
+    el.textContent = timedOut
+      ? `Last updated: -- (${timeframe}) – timed out`
+      : noCandles
+      ? `Last updated: -- (${timeframe}) – some ${timeframe} history failed to load`
+      : error
       ? `Last updated: -- (${timeframe}) – error: ${error}`
       : `Last updated: -- (${timeframe})`;
     return;
   }
   const formatted = formatEstTime(lastIso);
-  if (error) {
+  if (timedOut) {
+    el.textContent = `Last updated: ${formatted} (${timeframe}) – timed out`;
+  } else if (noCandles) {
+    el.textContent = `Last updated: ${formatted} (${timeframe}) – some ${timeframe} history failed to load`;
+  } else if (error) {
     el.textContent = `Last updated: ${formatted} (${timeframe}) – last refresh failed`;
   } else {
     el.textContent = `Last updated: ${formatted} (${timeframe})`;
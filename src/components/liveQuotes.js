@@ -0,0 +1,92 @@
+// src/components/liveQuotes.js
+// Optional streaming mode: keeps one WebSocket subscribed to the symbols of
+// the visible tab and feeds trades into the stock/sector services.
+import { createQuoteStream } from '../data/quoteStream.js';
+import { getStreamConfig, onStreamConfigChange } from '../data/streamConfig.js';
+import { apiClient } from '../data/apiClient.js';
+import { applySp500Trades, getLargestStocks, subscribeSp500 } from '../data/stocksService.js';
+import { applySectorTrades, getSectorSnapshot } from '../data/sectorService.js';
+import { getActiveTab } from './tabs.js';
+
+// Finnhub's free plan accepts about 50 subscriptions per socket; beyond
+// that symbols are silently ignored
+const STREAM_SYMBOL_LIMIT = 50;
+
+// Which symbols each tab wants streamed
+const TAB_SYMBOLS = {
+  sp500: () => getLargestStocks(STREAM_SYMBOL_LIMIT),
+  sectors: () => getSectorSnapshot().sectors.map((s) => s.symbol),
+};
+
+let stream = null;
+let pendingTrades = [];
+let flushScheduled = false;
+
+function setStatusBadge(status) {
+  // CSS shows a LIVE marker on the heatmap toolbars while open
+  document.body.dataset.stream = status || 'off';
+}
+
+function symbolsForTab(name) {
+  const fn = TAB_SYMBOLS[name];
+  return fn ? fn() : [];
+}
+
+// Coalesce bursts of trades into one service update per frame
+function queueTrades(trades) {
+  pendingTrades.push(...trades);
+  if (flushScheduled) return;
+  flushScheduled = true;
+
+  requestAnimationFrame(() => {
+    flushScheduled = false;
+    const latest = new Map();
+    pendingTrades.forEach((t) => latest.set(t.symbol, t));
+    pendingTrades = [];
+
+    const trades = Array.from(latest.values());
+    applySp500Trades(trades);
+    applySectorTrades(trades);
+  });
+}
+
+function stop() {
+  if (stream) stream.close();
+  stream = null;
+  setStatusBadge('off');
+}
+
+function start() {
+  const { enabled, url } = getStreamConfig();
+  stop();
+  if (!enabled) return;
+
+  const streamUrl = url || apiClient.finnhubStreamUrl('sp500');
+  if (!streamUrl) {
+    console.warn('Live quotes: no stream URL or Finnhub key');
+    return;
+  }
+
+  stream = createQuoteStream({
+    url: streamUrl,
+    onTrades: queueTrades,
+    onStatus: setStatusBadge,
+  });
+  stream.setSymbols(symbolsForTab(getActiveTab()));
+}
+
+export function initLiveQuotes() {
+  setStatusBadge('off');
+
+  document.addEventListener('tabchange', (ev) => {
+    if (stream) stream.setSymbols(symbolsForTab(ev.detail?.name));
+  });
+
+  // Another index picked on the stocks tab
+  subscribeSp500((ev) => {
+    if (ev.type === 'universe' && stream) stream.setSymbols(symbolsForTab(getActiveTab()));
+  });
+
+  onStreamConfigChange(start);
+  start();
+}
@@ -0,0 +1,117 @@
+// src/components/macroHeatmap.js
+import {
+  getMacroData,
+  getMacroSnapshot,
+  resetMacroCache,
+  subscribeMacro,
+} from '../data/macroService.js';
+import { renderHeatmap } from './heatmap.js';
+import { renderLastUpdatedLine, renderLoadProgress } from './lastUpdated.js';
+import { getActiveTab, getTabSignal } from './tabs.js';
+import { TIMEFRAMES, TIMEFRAME_STORAGE_KEYS } from '../data/constants.js';
+
+const MACRO_TIMEFRAMES = [
+  TIMEFRAMES.ONE_DAY,
+  TIMEFRAMES.ONE_WEEK,
+  TIMEFRAMES.ONE_MONTH,
+  TIMEFRAMES.YEAR_TO_DATE,
+];
+
+export function initMacroHeatmap() {
+  const view = document.getElementById('macro-view');
+  if (!view) {
+    console.warn('Macro view container not found');
+    return;
+  }
+
+  const heatmapEl = view.querySelector('.heatmap-container');
+  const lastUpdatedEl = view.querySelector('.last-updated');
+  const refreshBtn = view.querySelector('.macro-refresh-btn');
+  const dropdown = view.querySelector('.timeframe-select');
+  const progressEl = view.querySelector('.load-progress');
+
+  if (!heatmapEl) {
+    console.warn('Macro heatmap container not found');
+    return;
+  }
+
+  const tfKey = TIMEFRAME_STORAGE_KEYS.macro;
+  const savedTf = localStorage.getItem(tfKey);
+  let currentTimeframe = MACRO_TIMEFRAMES.includes(savedTf) ? savedTf : TIMEFRAMES.ONE_DAY;
+
+  if (dropdown) {
+    dropdown.value = currentTimeframe;
+    dropdown.addEventListener('change', () => {
+      currentTimeframe = MACRO_TIMEFRAMES.includes(dropdown.value)
+        ? dropdown.value
+        : TIMEFRAMES.ONE_DAY;
+      localStorage.setItem(tfKey, currentTimeframe);
+      refresh();
+    });
+  }
+
+  if (refreshBtn) {
+    refreshBtn.addEventListener('click', () => {
+      resetMacroCache();
+      refresh();
+    });
+  }
+
+  function paint(data) {
+    const { assets, quotes } = data;
+
+    // Equal-sized tiles: there's no common size measure across asset classes
+    const tiles = assets.map((a) => {
+      const q = quotes[a.symbol] || {};
+      return {
+        symbol: a.display || a.symbol,
+        label: a.name,
+        marketCap: 1,
+        changePct1D: q.changePct1D,
+        changePct1W: q.changePct1W,
+        changePct1M: q.changePct1M,
+        changePctYTD: q.changePctYTD,
+        assetClass: a.assetClass,
+      };
+    });
+
+    renderHeatmap(heatmapEl, tiles, currentTimeframe, {
+      mode: 'sectors',
+      groupBy: 'assetClass',
+      prioritySymbols: tiles.map((t) => t.symbol),
+      minPriorityTextScale: 0.78,
+    });
+  }
+
+  function repaint() {
+    const data = getMacroSnapshot();
+    paint(data);
+    renderLoadProgress(progressEl, data.progress);
+  }
+
+  async function refresh() {
+    const timeframe = currentTimeframe;
+    // Paint the cache now; quotes then fill in via the subscription below
+    repaint();
+    try {
+      const data = await getMacroData({ signal: getTabSignal('macro'), timeframe });
+      repaint();
+      renderLastUpdatedLine(lastUpdatedEl, data.lastQuotesFetch, timeframe, data.error);
+    } catch (err) {
+      console.error('Macro refresh error', err);
+      renderLastUpdatedLine(lastUpdatedEl, null, timeframe, err.message);
+    }
+  }
+
+  subscribeMacro(repaint);
+
+  // Hidden tabs don't poll; coming back refreshes if the cache is stale
+  document.addEventListener('tabchange', (ev) => {
+    if (ev.detail?.name === 'macro') refresh();
+  });
+
+  refresh();
+  setInterval(() => {
+    if (getActiveTab() === 'macro') refresh();
+  }, 10 * 60 * 1000);
+}
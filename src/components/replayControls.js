@@ -0,0 +1,95 @@
+// src/components/replayControls.js
+import { listSnapshots } from '../data/snapshotStore.js';
+import { formatEstTime, isDifferentTradingDay } from '../data/timezone.js';
+
+const PLAY_STEP_MS = 600;
+
+/**
+ * Slider + play button over a view's stored snapshots for the latest
+ * session. The right-most slider position is "Live".
+ *
+ * @param {HTMLElement} view section containing a .replay-bar
+ * @param {{ viewName: string | (() => string), onChange: (snapshot: object|null) => void }} opts
+ *   viewName may be a getter when the view switches datasets (stock universes);
+ *   onChange gets the snapshot to paint, or null to go back to live data
+ */
+export function initReplayControls(view, { viewName, onChange }) {
+  const bar = view.querySelector('.replay-bar');
+  const slider = bar?.querySelector('.replay-slider');
+  const playBtn = bar?.querySelector('.replay-play');
+  const timeEl = bar?.querySelector('.replay-time');
+
+  let snapshots = [];
+  let playTimer = null;
+
+  if (!slider) {
+    return { reload: async () => {}, reset: () => {}, isReplaying: () => false };
+  }
+
+  const position = () => Number(slider.value);
+  const isLive = () => position() >= snapshots.length;
+
+  function show() {
+    const snap = isLive() ? null : snapshots[position()];
+    if (timeEl) timeEl.textContent = snap ? formatEstTime(snap.takenAt) : 'Live';
+    bar.classList.toggle('replaying', !!snap);
+    onChange(snap);
+  }
+
+  function stop() {
+    clearInterval(playTimer);
+    playTimer = null;
+    if (playBtn) playBtn.textContent = '▶';
+  }
+
+  slider.addEventListener('input', () => {
+    stop();
+    show();
+  });
+
+  if (playBtn) {
+    playBtn.addEventListener('click', () => {
+      if (playTimer) {
+        stop();
+        return;
+      }
+      if (!snapshots.length) return;
+
+      // From live, play the whole session; otherwise resume where we are
+      if (isLive()) slider.value = '0';
+      show();
+      playBtn.textContent = '❚❚';
+      playTimer = setInterval(() => {
+        slider.value = String(position() + 1);
+        show();
+        if (isLive()) stop();
+      }, PLAY_STEP_MS);
+    });
+  }
+
+  async function reload() {
+    const wasLive = isLive();
+    const all = await listSnapshots(typeof viewName === 'function' ? viewName() : viewName);
+    const last = all[all.length - 1];
+
+    snapshots = last
+      ? all.filter((s) => !isDifferentTradingDay(s.takenAt, last.takenAt))
+      : [];
+
+    slider.max = String(snapshots.length);
+    if (wasLive) slider.value = slider.max;
+    bar.hidden = !snapshots.length;
+  }
+
+  // Back to live with no history, e.g. before loading another dataset's
+  function reset() {
+    stop();
+    snapshots = [];
+    slider.max = '0';
+    slider.value = '0';
+    bar.hidden = true;
+    show();
+  }
+
+  return { reload, reset, isReplaying: () => !isLive() };
+}
@@ -0,0 +1,239 @@
+// src/components/rotationView.js
+// Relative rotation graph (RS-Ratio vs RS-Momentum against SPY) with
+// trailing tails, plus a ranked table. Lives inside the Sectors tab.
+import {
+  ROTATION_LOOKBACKS,
+  getRotationData,
+  getRotationSnapshot,
+} from '../data/rotationService.js';
+import { REQUEST_ERRORS, STORAGE_KEYS } from '../data/constants.js';
+import { formatEstDateTime } from '../data/timezone.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART_SIZE = 400; // viewBox units; the SVG scales to its container
+const CHART_PAD = 28;
+const MIN_SPAN = 2;     // keep at least 98..102 on both axes
+
+// "Closes as of Oct 17, 4:00 PM – timed out", same wording as the
+// last-updated lines of the other views
+function asOfText(asOf, error) {
+  // Cancelled because the user switched tabs: nothing went wrong
+  if (error === REQUEST_ERRORS.ABORTED) error = null;
+  const stamp = asOf ? formatEstDateTime(asOf) : '--';
+  if (!error) return asOf ? `Closes as of ${stamp}` : '';
+
+  const problem =
+    error === REQUEST_ERRORS.TIMEOUT
+      ? 'timed out'
+      : error === REQUEST_ERRORS.CANDLES
+      ? 'some sector history failed to load'
+      : asOf
+      ? 'last refresh failed'
+      : `error: ${error}`;
+  return `Closes as of ${stamp} – ${problem}`;
+}
+
+// One color per SPDR sector so tails stay recognizable across refreshes
+const SECTOR_COLORS = {
+  XLK: '#4e9af1',
+  XLF: '#f5c542',
+  XLV: '#3ddc84',
+  XLY: '#ff8a65',
+  XLC: '#ba68c8',
+  XLI: '#90a4ae',
+  XLP: '#aed581',
+  XLE: '#ff6b61',
+  XLU: '#4dd0e1',
+  XLRE: '#f06292',
+  XLB: '#ffb74d',
+};
+
+const QUADRANT_LABELS = {
+  leading: 'Leading',
+  weakening: 'Weakening',
+  lagging: 'Lagging',
+  improving: 'Improving',
+};
+
+function svgEl(tag, attrs = {}) {
+  const el = document.createElementNS(SVG_NS, tag);
+  for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, String(v));
+  return el;
+}
+
+function formatSigned(value, digits = 2) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return '--';
+  return `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+}
+
+function renderChart(el, sectors) {
+  el.innerHTML = '';
+  const points = sectors.flatMap((s) => s.tail);
+  if (!points.length) {
+    el.textContent = 'Not enough history yet';
+    return;
+  }
+
+  // Symmetric around 100 so the quadrants stay the same size
+  const span = Math.max(
+    MIN_SPAN,
+    ...points.map((p) => Math.abs(p.ratio - 100)),
+    ...points.map((p) => Math.abs(p.momentum - 100))
+  ) * 1.1;
+  const inner = CHART_SIZE - CHART_PAD * 2;
+  const x = (ratio) => CHART_PAD + ((ratio - (100 - span)) / (2 * span)) * inner;
+  const y = (momentum) => CHART_PAD + (1 - (momentum - (100 - span)) / (2 * span)) * inner;
+  const mid = CHART_PAD + inner / 2;
+
+  const svg = svgEl('svg', {
+    viewBox: `0 0 ${CHART_SIZE} ${CHART_SIZE}`,
+    class: 'rotation-svg',
+    role: 'img',
+    'aria-label': 'Relative rotation graph',
+  });
+
+  // Quadrant backgrounds: Improving | Leading / Lagging | Weakening
+  [
+    ['improving', CHART_PAD, CHART_PAD],
+    ['leading', mid, CHART_PAD],
+    ['lagging', CHART_PAD, mid],
+    ['weakening', mid, mid],
+  ].forEach(([quadrant, qx, qy]) => {
+    svg.appendChild(
+      svgEl('rect', {
+        x: qx,
+        y: qy,
+        width: inner / 2,
+        height: inner / 2,
+        class: `rotation-quadrant quadrant-${quadrant}`,
+      })
+    );
+    const label = svgEl('text', {
+      x: quadrant === 'leading' || quadrant === 'weakening' ? qx + inner / 2 - 4 : qx + 4,
+      y: quadrant === 'lagging' || quadrant === 'weakening' ? qy + inner / 2 - 4 : qy + 12,
+      'text-anchor': quadrant === 'leading' || quadrant === 'weakening' ? 'end' : 'start',
+      class: 'rotation-quadrant-label',
+    });
+    label.textContent = QUADRANT_LABELS[quadrant];
+    svg.appendChild(label);
+  });
+
+  const xAxis = svgEl('text', { x: CHART_SIZE - CHART_PAD, y: CHART_SIZE - 8, 'text-anchor': 'end', class: 'rotation-axis-label' });
+  xAxis.textContent = 'RS-Ratio →';
+  const yAxis = svgEl('text', { x: 8, y: CHART_PAD - 10, class: 'rotation-axis-label' });
+  yAxis.textContent = '↑ RS-Momentum';
+  svg.append(xAxis, yAxis);
+
+  sectors.forEach((s) => {
+    if (!s.tail.length) return;
+    const color = SECTOR_COLORS[s.symbol] || '#ccc';
+    const coords = s.tail.map((p) => [x(p.ratio), y(p.momentum)]);
+
+    svg.appendChild(
+      svgEl('polyline', {
+        points: coords.map(([cx, cy]) => `${cx.toFixed(1)},${cy.toFixed(1)}`).join(' '),
+        class: 'rotation-tail',
+        stroke: color,
+      })
+    );
+    coords.slice(0, -1).forEach(([cx, cy]) => {
+      svg.appendChild(svgEl('circle', { cx, cy, r: 1.8, fill: color, class: 'rotation-tail-dot' }));
+    });
+
+    const [hx, hy] = coords[coords.length - 1];
+    const head = svgEl('circle', { cx: hx, cy: hy, r: 4, fill: color, class: 'rotation-head' });
+    const title = svgEl('title');
+    title.textContent = `${s.name} (${s.symbol}) RS-Ratio ${s.ratio.toFixed(2)}, RS-Momentum ${s.momentum.toFixed(2)}`;
+    head.appendChild(title);
+
+    const label = svgEl('text', { x: hx + 6, y: hy - 6, class: 'rotation-head-label', fill: color });
+    label.textContent = s.symbol;
+    svg.append(head, label);
+  });
+
+  el.appendChild(svg);
+}
+
+function renderTable(el, sectors, relativePeriods) {
+  const head = `
+    <thead>
+      <tr>
+        <th>#</th>
+        <th>Sector</th>
+        <th>RS-Ratio</th>
+        <th>RS-Mom</th>
+        <th>Quadrant</th>
+        ${relativePeriods.map((p) => `<th>vs SPY ${p}</th>`).join('')}
+      </tr>
+    </thead>`;
+
+  const rows = sectors
+    .map((s, i) => {
+      const rel = relativePeriods
+        .map((p) => {
+          const v = s.relative[p];
+          const cls = v > 0 ? 'pct-pos' : v < 0 ? 'pct-neg' : '';
+          return `<td class="${cls}">${v == null ? '--' : `${formatSigned(v)}%`}</td>`;
+        })
+        .join('');
+      return `
+        <tr>
+          <td>${i + 1}</td>
+          <td><span class="rotation-swatch" style="background:${SECTOR_COLORS[s.symbol] || '#ccc'}"></span>${s.symbol} <span class="rotation-name">${s.name}</span></td>
+          <td>${s.ratio == null ? '--' : s.ratio.toFixed(2)}</td>
+          <td>${s.momentum == null ? '--' : s.momentum.toFixed(2)}</td>
+          <td class="quadrant-text-${s.quadrant || 'none'}">${QUADRANT_LABELS[s.quadrant] || '--'}</td>
+          ${rel}
+        </tr>`;
+    })
+    .join('');
+
+  el.innerHTML = `${head}<tbody>${rows}</tbody>`;
+}
+
+/**
+ * @param {HTMLElement} view the Sectors tab section (contains .rotation-panel)
+ * @param {{ getSignal: () => AbortSignal }} opts
+ * @returns {{ refresh: () => Promise<void> }}
+ */
+export function initRotationView(view, { getSignal }) {
+  const panel = view.querySelector('.rotation-panel');
+  const chartEl = panel?.querySelector('.rotation-chart');
+  const tableEl = panel?.querySelector('.rotation-table');
+  const asOfEl = panel?.querySelector('.rotation-asof');
+  const lookbackSelect = panel?.querySelector('.rotation-lookback');
+  if (!panel || !chartEl || !tableEl) return { refresh: async () => {} };
+
+  const saved = localStorage.getItem(STORAGE_KEYS.rotationLookback);
+  let lookback = ROTATION_LOOKBACKS[saved] ? saved : 'weekly';
+
+  if (lookbackSelect) {
+    lookbackSelect.innerHTML = Object.entries(ROTATION_LOOKBACKS)
+      .map(([key, { label }]) => `<option value="${key}">${label}</option>`)
+      .join('');
+    lookbackSelect.value = lookback;
+    lookbackSelect.addEventListener('change', () => {
+      lookback = ROTATION_LOOKBACKS[lookbackSelect.value] ? lookbackSelect.value : 'weekly';
+      localStorage.setItem(STORAGE_KEYS.rotationLookback, lookback);
+      paint(getRotationSnapshot(lookback));
+    });
+  }
+
+  function paint(data) {
+    renderChart(chartEl, data.sectors);
+    renderTable(tableEl, data.sectors, data.relativePeriods);
+    if (asOfEl) asOfEl.textContent = asOfText(data.asOf, data.error);
+  }
+
+  async function refresh() {
+    paint(getRotationSnapshot(lookback));
+    try {
+      paint(await getRotationData({ signal: getSignal(), lookback }));
+    } catch (err) {
+      console.error('Rotation refresh error', err);
+      paint({ ...getRotationSnapshot(lookback), error: err.message });
+    }
+  }
+
+  return { refresh };
+}
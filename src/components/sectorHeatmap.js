@@ -1,8 +1,52 @@
 // src/components/sectorHeatmap.js
-import { getSectorData, resetSectorCache } from '../data/sectorService.js';
-import { resetSp500Cache } from '../data/stocksService.js';
+import {
+  getIndustryData,
+  getIndustrySnapshot,
+  getSectorData,
+  getSectorMembers,
+  getSectorSnapshot,
+  resetSectorCache,
+  subscribeSectors,
+} from '../data/sectorService.js';
+import { onIndustryEtfsChange } from '../data/industryEtfs.js';
+import {
+  getCachedStocks,
+  loadStockQuotesIfNeeded,
+  resetSp500Cache,
+  subscribeSp500,
+} from '../data/stocksService.js';
 import { renderHeatmap } from './heatmap.js';
-import { renderLastUpdatedLine } from './lastUpdated.js';
+import { renderLastUpdatedLine, renderLoadProgress } from './lastUpdated.js';
+import { getActiveTab, getTabSignal } from './tabs.js';
+import { initReplayControls } from './replayControls.js';
+import { initRotationView } from './rotationView.js';
+import { resetRotationCache } from '../data/rotationService.js';
+import { STORAGE_KEYS, TIMEFRAMES, TIMEFRAME_STORAGE_KEYS } from '../data/constants.js';
+import { formatEstDateTime } from '../data/timezone.js';
+
+const VIEW_MODES = ['heatmap', 'industries', 'rotation'];
+
+const WEIGHT_SOURCES = {
+  constituents: 'member market caps',
+  aum: 'ETF assets',
+  default: 'default table',
+};
+
+// "31.2% of the S&P 500 · member market caps, Oct 17, 10:32 AM"
+function weightLine(data, symbol) {
+  const weight = data.marketCaps?.[symbol];
+  if (typeof weight !== 'number') return '';
+  const source = WEIGHT_SOURCES[data.weightsSource] || WEIGHT_SOURCES.default;
+  const updated = data.weightsUpdatedAt ? `, ${formatEstDateTime(data.weightsUpdatedAt)}` : '';
+  return `${weight.toFixed(1)}% of the S&P 500 · ${source}${updated}`;
+}
+
+const SECTOR_TIMEFRAMES = [
+  TIMEFRAMES.ONE_DAY,
+  TIMEFRAMES.ONE_WEEK,
+  TIMEFRAMES.ONE_MONTH,
+  TIMEFRAMES.YEAR_TO_DATE,
+];
 
 export function initSectorHeatmap() {
   const view = document.getElementById('sectors-view');
@@ -14,61 +58,284 @@ export function initSectorHeatmap() {
   const heatmapEl = view.querySelector('.heatmap-container');
   const lastUpdatedEl = view.querySelector('.last-updated');
   const refreshBtn = view.querySelector('.sectors-refresh-btn');
+  const dropdown = view.querySelector('.timeframe-select');
+  const progressEl = view.querySelector('.load-progress');
+  const breadcrumbEl = view.querySelector('.sector-breadcrumb');
+  const modeSelect = view.querySelector('.sector-view-select');
+  const rotationPanel = view.querySelector('.rotation-panel');
 
   if (!heatmapEl) {
     console.warn('Sector heatmap container not found');
     return;
   }
 
+  const tfKey = TIMEFRAME_STORAGE_KEYS.sectors;
+  const savedTf = localStorage.getItem(tfKey);
+  let currentTimeframe = SECTOR_TIMEFRAMES.includes(savedTf) ? savedTf : TIMEFRAMES.ONE_DAY;
+
+  if (dropdown) {
+    dropdown.value = currentTimeframe;
+    dropdown.addEventListener('change', () => {
+      currentTimeframe = SECTOR_TIMEFRAMES.includes(dropdown.value)
+        ? dropdown.value
+        : TIMEFRAMES.ONE_DAY;
+      localStorage.setItem(tfKey, currentTimeframe);
+      refresh();
+    });
+  }
+
+  // 'heatmap' (SPDR sectors), 'industries' (industry/thematic ETFs) or
+  // 'rotation' (relative strength vs SPY)
+  const savedMode = localStorage.getItem(STORAGE_KEYS.sectorViewMode);
+  let mode = VIEW_MODES.includes(savedMode) ? savedMode : 'heatmap';
+  const rotation = initRotationView(view, { getSignal: () => getTabSignal('sectors') });
+
+  function applyMode() {
+    view.classList.toggle('rotation-mode', mode === 'rotation');
+    view.classList.toggle('industries-mode', mode === 'industries');
+    if (rotationPanel) rotationPanel.hidden = mode !== 'rotation';
+    if (modeSelect) modeSelect.value = mode;
+  }
+
+  if (modeSelect) {
+    modeSelect.addEventListener('change', () => {
+      mode = VIEW_MODES.includes(modeSelect.value) ? modeSelect.value : 'heatmap';
+      localStorage.setItem(STORAGE_KEYS.sectorViewMode, mode);
+      applyMode();
+      // The two maps keep separate replay histories
+      replay.reset();
+      refresh();
+    });
+  }
+  applyMode();
+
   if (refreshBtn) {
     refreshBtn.addEventListener('click', () => {
-      resetSectorCache();
-      resetSp500Cache();
+      if (mode === 'rotation') {
+        resetRotationCache();
+      } else {
+        resetSectorCache();
+        resetSp500Cache();
+      }
       refresh();
     });
   }
 
-  async function refresh() {
-    const timeframe = '1D';
-    try {
-      const { sectors, quotes, marketCaps, lastQuotesFetch, error } =
-        await getSectorData();
-
-      const tiles = sectors.map((s) => {
-        const symbol = s.symbol;
-        const q = quotes[symbol] || {};
-        const cap =
-          marketCaps &&
-          typeof marketCaps[symbol] === 'number' &&
-          marketCaps[symbol] > 0
-            ? marketCaps[symbol]
-            : 1;
+  function paint(data) {
+    const timeframe = currentTimeframe;
+    const { sectors, quotes, marketCaps } = data;
+
+    const tiles = sectors.map((s) => {
+      const symbol = s.symbol;
+      const q = quotes[symbol] || {};
+      const cap =
+        marketCaps &&
+        typeof marketCaps[symbol] === 'number' &&
+        marketCaps[symbol] > 0
+          ? marketCaps[symbol]
+          : 1;
 
+      return {
+        symbol,
+        label: s.name,
+        marketCap: cap,
+        changePct1D: q.changePct1D,
+        changePct1W: q.changePct1W,
+        changePct1M: q.changePct1M,
+        changePctYTD: q.changePctYTD,
+      };
+    });
+
+    // All sectors should remain readable -> constrain all strips
+    const sectorSymbols = sectors.map((s) => s.symbol);
+
+    renderHeatmap(heatmapEl, tiles, timeframe, {
+      mode: 'sectors',
+      prioritySymbols: sectorSymbols,
+      // If you still see super-short tiles, increase this (e.g. 0.78 → 0.84)
+      minPriorityTextScale: 0.78,
+      onTileClick: (tile) => openSector(tile.symbol),
+    });
+  }
+
+  // ----- Industry / thematic ETFs, grouped under their parent sector -----
+
+  function paintIndustries(data) {
+    const { etfs, quotes, marketCaps } = data;
+
+    const tiles = etfs.map((e) => {
+      const q = quotes[e.symbol] || {};
+      const aum = marketCaps?.[e.symbol];
+      return {
+        symbol: e.symbol,
+        label: e.name,
+        marketCap: typeof aum === 'number' && aum > 0 ? aum : 1,
+        changePct1D: q.changePct1D,
+        changePct1W: q.changePct1W,
+        changePct1M: q.changePct1M,
+        changePctYTD: q.changePctYTD,
+        parentName: e.parentName,
+      };
+    });
+
+    renderHeatmap(heatmapEl, tiles, currentTimeframe, {
+      mode: 'sectors',
+      groupBy: 'parentName',
+      prioritySymbols: etfs.map((e) => e.symbol),
+      minPriorityTextScale: 0.78,
+    });
+  }
+
+  // ----- Drill-down: one sector's S&P members, nested by industry -----
+
+  let drilled = null; // sector entry ({ symbol, name, sector }) or null
+
+  function paintMembers() {
+    const members = getSectorMembers(drilled.symbol);
+    const { quotes, marketCaps, logos, meta } = getCachedStocks(members);
+
+    const tiles = members
+      .filter((symbol) => quotes[symbol])
+      .map((symbol) => {
+        const q = quotes[symbol];
+        const cap = marketCaps[symbol];
         return {
           symbol,
-          label: s.name,
-          marketCap: cap,
+          marketCap: typeof cap === 'number' && cap > 0 ? cap : 1,
           changePct1D: q.changePct1D,
+          changePct1W: q.changePct1W,
+          changePct1M: q.changePct1M,
+          changePctYTD: q.changePctYTD,
+          logoUrl: logos[symbol] ?? null,
+          industry: meta[symbol]?.industry ?? null,
         };
       });
 
-      // All sectors should remain readable -> constrain all strips
-      const sectorSymbols = sectors.map((s) => s.symbol);
+    renderHeatmap(heatmapEl, tiles, currentTimeframe, { groupBy: 'industry' });
+    renderLoadProgress(
+      progressEl,
+      tiles.length < members.length ? { done: tiles.length, total: members.length } : null
+    );
+  }
 
-      renderHeatmap(heatmapEl, tiles, timeframe, {
-        mode: 'sectors',
-        prioritySymbols: sectorSymbols,
-        // If you still see super-short tiles, increase this (e.g. 0.78 → 0.84)
-        minPriorityTextScale: 0.78,
-      });
+  function showDrill(symbol) {
+    drilled = getSectorSnapshot().sectors.find((s) => s.symbol === symbol) || null;
+    view.classList.toggle('drilled', !!drilled);
+    if (breadcrumbEl) {
+      breadcrumbEl.hidden = !drilled;
+      breadcrumbEl.querySelector('.breadcrumb-current').textContent = drilled
+        ? `${drilled.name} (${drilled.symbol})`
+        : '';
+    }
+    renderWeightLine();
+    replay.reset();
+
+    if (drilled && getActiveTab() === 'sectors') refreshMembers();
+  }
+
+  // Members the stocks tab never quoted (e.g. the S&P tail) or quoted too
+  // long ago; the line below the map dates the oldest one shown
+  async function refreshMembers() {
+    const sector = drilled;
+    const members = getSectorMembers(sector.symbol);
+    await loadStockQuotesIfNeeded(members, { signal: getTabSignal('sectors') });
+    if (drilled !== sector) return;
+    repaint();
+    const { lastQuotesFetch } = getCachedStocks(members);
+    renderLastUpdatedLine(lastUpdatedEl, lastQuotesFetch, currentTimeframe);
+  }
+
+  function renderWeightLine() {
+    const el = breadcrumbEl?.querySelector('.breadcrumb-weight');
+    if (el) el.textContent = drilled ? weightLine(getSectorSnapshot(), drilled.symbol) : '';
+  }
+
+  // Each drill-down is a history entry so the browser back button leaves it
+  function openSector(symbol) {
+    if (drilled) return;
+    history.pushState({ sectorDrill: symbol }, '', `#sectors/${symbol}`);
+    showDrill(symbol);
+  }
+
+  window.addEventListener('popstate', (ev) => {
+    showDrill(ev.state?.sectorDrill || null);
+  });
+
+  breadcrumbEl?.querySelector('.breadcrumb-back')?.addEventListener('click', () => {
+    if (history.state?.sectorDrill) history.back();
+    else showDrill(null);
+  });
+
+  // Replaying: paint the stored quotes instead of live ones
+  let replaySnapshot = null;
+  const replay = initReplayControls(view, {
+    viewName: () => (mode === 'industries' ? 'industries' : 'sectors'),
+    onChange: (snap) => {
+      replaySnapshot = snap;
+      repaint();
+    },
+  });
+
+  function repaint() {
+    if (mode === 'industries') {
+      const live = getIndustrySnapshot();
+      paintIndustries(replaySnapshot ? { ...live, quotes: replaySnapshot.quotes } : live);
+      renderLoadProgress(progressEl, live.progress);
+      return;
+    }
+    if (drilled) {
+      paintMembers();
+      return;
+    }
+    const live = getSectorSnapshot();
+    paint(replaySnapshot ? { ...live, quotes: replaySnapshot.quotes } : live);
+    renderLoadProgress(progressEl, live.progress);
+  }
 
-      renderLastUpdatedLine(lastUpdatedEl, lastQuotesFetch, timeframe, error);
+  async function refresh() {
+    if (mode === 'rotation') {
+      await rotation.refresh();
+      return;
+    }
+    const timeframe = currentTimeframe;
+    // Paint the cache now; quotes then fill in via the subscription below
+    repaint();
+    try {
+      const load = mode === 'industries' ? getIndustryData : getSectorData;
+      const data = await load({ signal: getTabSignal('sectors'), timeframe });
+      repaint();
+      renderWeightLine();
+      if (drilled && mode === 'heatmap') await refreshMembers();
+      else renderLastUpdatedLine(lastUpdatedEl, data.lastQuotesFetch, timeframe, data.error);
+      await replay.reload();
     } catch (err) {
       console.error('Sector refresh error', err);
-      renderLastUpdatedLine(lastUpdatedEl, null, '1D', err.message);
+      renderLastUpdatedLine(lastUpdatedEl, null, timeframe, err.message);
     }
   }
 
+  // Streamed ticks and quotes landing mid-refresh: repaint from memory
+  // (heatmap only touches changed tiles)
+  subscribeSectors(repaint);
+  subscribeSp500(() => {
+    if (drilled) repaint();
+  });
+
+  // ETF set edited in Settings
+  onIndustryEtfsChange(() => {
+    if (mode === 'industries') refresh();
+  });
+
+  // Hidden tabs don't poll; coming back refreshes if the cache is stale
+  document.addEventListener('tabchange', (ev) => {
+    if (ev.detail?.name === 'sectors') refresh();
+  });
+
+  // Reloaded on a drill-down entry: reopen it
+  if (history.state?.sectorDrill) showDrill(history.state.sectorDrill);
+
   refresh();
-  setInterval(refresh, 10 * 60 * 1000);
+  setInterval(() => {
+    if (getActiveTab() === 'sectors') refresh();
+  }, 10 * 60 * 1000);
 }
@@ -0,0 +1,436 @@
+// src/components/settingsPanel.js
+import {
+  FINNHUB_KEY_NAMES,
+  getFinnhubUserKey,
+  getCoinGeckoUserKey,
+  isBuiltInKeysEnabled,
+  setFinnhubUserKey,
+  setCoinGeckoUserKey,
+  setBuiltInKeysEnabled,
+  maskKey,
+} from '../data/keyStore.js';
+import { getProxyBase, setProxyBase } from '../data/proxyConfig.js';
+import { getStreamConfig, setStreamConfig } from '../data/streamConfig.js';
+import {
+  deleteCustomUniverse,
+  getCustomUniverses,
+  parseSymbolList,
+  saveCustomUniverse,
+} from '../data/stockUniverses.js';
+import {
+  formatIndustryEtfs,
+  getIndustryEtfs,
+  parseIndustryEtfs,
+  setIndustryEtfs,
+} from '../data/industryEtfs.js';
+import { SECTOR_LIST } from '../data/sectorService.js';
+import {
+  CRYPTO_MODES,
+  TOP_N_OPTIONS,
+  addCryptoCoin,
+  getCryptoUniverse,
+  removeCryptoCoin,
+  resetCryptoCoins,
+  setCryptoUniverse,
+} from '../data/cryptoUniverse.js';
+import { marketData } from '../data/marketData.js';
+import { apiClient } from '../data/apiClient.js';
+
+const FINNHUB_LABELS = {
+  default: 'Finnhub – Default',
+  sp500: 'Finnhub – S&P 500',
+  sectors: 'Finnhub – Sectors',
+  companies: 'Finnhub – Companies',
+};
+
+export function initSettings() {
+  const view = document.getElementById('settings-view');
+  if (!view) return;
+
+  const keysEl = view.querySelector('.settings-keys');
+  const builtInToggle = view.querySelector('.settings-builtin-toggle');
+  if (!keysEl) return;
+
+  const rows = [
+    ...FINNHUB_KEY_NAMES.map((name) => ({
+      id: `finnhub-${name}`,
+      label: FINNHUB_LABELS[name] || `Finnhub – ${name}`,
+      get: () => getFinnhubUserKey(name),
+      set: (key) => setFinnhubUserKey(name, key),
+      test: (key) => apiClient.testFinnhubKey(key),
+    })),
+    {
+      id: 'coingecko',
+      label: 'CoinGecko',
+      get: () => getCoinGeckoUserKey(),
+      set: (key) => setCoinGeckoUserKey(key),
+      test: (key) => apiClient.testCoinGeckoKey(key),
+    },
+  ];
+
+  keysEl.innerHTML = '';
+  rows.forEach((row) => keysEl.appendChild(renderKeyRow(row)));
+
+  if (builtInToggle) {
+    builtInToggle.checked = isBuiltInKeysEnabled();
+    builtInToggle.addEventListener('change', () => {
+      setBuiltInKeysEnabled(builtInToggle.checked);
+    });
+  }
+
+  initStreamSection(view);
+  initCustomListsSection(view);
+  initIndustryEtfsSection(view);
+  initCryptoCoinsSection(view);
+  initProxySection(view);
+}
+
+function initCryptoCoinsSection(view) {
+  const modeSelect = view.querySelector('.settings-crypto-mode');
+  const topSelect = view.querySelector('.settings-crypto-top');
+  const coinsEl = view.querySelector('.settings-crypto-coins');
+  const searchInput = view.querySelector('.settings-crypto-search');
+  const resultsEl = view.querySelector('.settings-crypto-results');
+  const statusEl = view.querySelector('.settings-crypto-status');
+  if (!modeSelect || !coinsEl || !searchInput || !resultsEl) return;
+
+  function setStatus(text, kind) {
+    if (!statusEl) return;
+    statusEl.textContent = text;
+    statusEl.className = `settings-key-status settings-crypto-status${
+      kind ? ` is-${kind}` : ''
+    }`;
+  }
+
+  function coinRow(coin, actionLabel, onAction) {
+    const row = document.createElement('div');
+    row.className = 'settings-list-row';
+
+    const label = document.createElement('span');
+    label.className = 'settings-list-label';
+    label.textContent = `${coin.symbol} · ${coin.name}${coin.rank ? ` (#${coin.rank})` : ''}`;
+
+    const btn = document.createElement('button');
+    btn.textContent = actionLabel;
+    btn.addEventListener('click', () => onAction(coin));
+
+    row.append(label, btn);
+    return row;
+  }
+
+  function render() {
+    const { mode, coins, topN } = getCryptoUniverse();
+    modeSelect.value = mode;
+    if (topSelect) {
+      topSelect.value = String(topN);
+      topSelect.disabled = mode !== CRYPTO_MODES.TOP;
+    }
+    // The hand-picked list only applies in list mode
+    view.querySelector('.settings-crypto-list')?.toggleAttribute('hidden', mode === CRYPTO_MODES.TOP);
+
+    coinsEl.innerHTML = '';
+    coins.forEach((coin) => {
+      coinsEl.appendChild(
+        coinRow(coin, 'Remove', (c) => {
+          removeCryptoCoin(c.id);
+          render();
+          setStatus(`Removed ${c.symbol}`, null);
+        })
+      );
+    });
+  }
+
+  if (topSelect) {
+    topSelect.innerHTML = TOP_N_OPTIONS.map((n) => `<option value="${n}">Top ${n}</option>`).join('');
+    topSelect.addEventListener('change', () => {
+      setCryptoUniverse({ topN: Number(topSelect.value) });
+    });
+  }
+
+  modeSelect.addEventListener('change', () => {
+    setCryptoUniverse({ mode: modeSelect.value });
+    render();
+  });
+
+  const ADD_FAILURES = {
+    invalid: () => 'That coin has no CoinGecko ID',
+    listed: (c) => `${c.symbol} is already listed`,
+    full: () => `The list is full (${getCryptoUniverse().coins.length} coins); remove one first`,
+  };
+
+  // Only the latest search may fill the results
+  let searchSeq = 0;
+
+  async function search() {
+    const query = searchInput.value.trim();
+    const seq = ++searchSeq;
+    resultsEl.innerHTML = '';
+    if (!query) {
+      setStatus('', null);
+      return;
+    }
+    setStatus('Searching…', null);
+    try {
+      const results = (await marketData.searchCrypto(query)).slice(0, 10);
+      if (seq !== searchSeq) return;
+      setStatus(results.length ? '' : 'No coins found', results.length ? null : 'error');
+      results.forEach((coin) => {
+        resultsEl.appendChild(
+          coinRow(coin, 'Add', (c) => {
+            const failure = addCryptoCoin(c);
+            render();
+            setStatus(failure ? ADD_FAILURES[failure](c) : `Added ${c.symbol}`, failure ? 'error' : 'ok');
+          })
+        );
+      });
+    } catch (err) {
+      if (seq !== searchSeq) return;
+      setStatus(`Search failed: ${err?.message || String(err)}`, 'error');
+    }
+  }
+
+  view.querySelector('.settings-crypto-search-btn')?.addEventListener('click', search);
+  searchInput.addEventListener('keydown', (ev) => {
+    if (ev.key === 'Enter') search();
+  });
+
+  view.querySelector('.settings-crypto-reset')?.addEventListener('click', () => {
+    resetCryptoCoins();
+    render();
+    setStatus('Restored the default coins', null);
+  });
+
+  render();
+}
+
+function initIndustryEtfsSection(view) {
+  const input = view.querySelector('.settings-industry-etfs');
+  const statusEl = view.querySelector('.settings-industry-status');
+  if (!input) return;
+
+  function setStatus(text, kind) {
+    if (!statusEl) return;
+    statusEl.textContent = text;
+    statusEl.className = `settings-key-status settings-industry-status${
+      kind ? ` is-${kind}` : ''
+    }`;
+  }
+
+  input.value = formatIndustryEtfs(getIndustryEtfs());
+
+  view.querySelector('.settings-industry-save')?.addEventListener('click', () => {
+    const parents = SECTOR_LIST.map((s) => s.symbol);
+    const { etfs: list, errors } = parseIndustryEtfs(input.value, parents);
+    if (errors.length) {
+      setStatus(`${errors.join('; ')}. Use one of ${parents.join(', ')}.`, 'error');
+      return;
+    }
+    if (!list.length) {
+      setStatus('Add at least one ETF', 'error');
+      return;
+    }
+    setIndustryEtfs(list);
+    input.value = formatIndustryEtfs(getIndustryEtfs());
+    setStatus(`Saved ${list.length} ETFs`, 'ok');
+  });
+
+  view.querySelector('.settings-industry-reset')?.addEventListener('click', () => {
+    setIndustryEtfs(null);
+    input.value = formatIndustryEtfs(getIndustryEtfs());
+    setStatus('Restored the default ETFs', null);
+  });
+}
+
+function initCustomListsSection(view) {
+  const listsEl = view.querySelector('.settings-lists');
+  const nameInput = view.querySelector('.settings-list-name');
+  const symbolsInput = view.querySelector('.settings-list-symbols');
+  const statusEl = view.querySelector('.settings-list-status');
+  if (!listsEl || !nameInput || !symbolsInput) return;
+
+  let editingId = null; // null = the form creates a new list
+
+  function setStatus(text, kind) {
+    if (!statusEl) return;
+    statusEl.textContent = text;
+    statusEl.className = `settings-key-status settings-list-status${
+      kind ? ` is-${kind}` : ''
+    }`;
+  }
+
+  function edit(list) {
+    editingId = list ? list.id : null;
+    nameInput.value = list ? list.name : '';
+    symbolsInput.value = list ? list.symbols.join(' ') : '';
+    setStatus(list ? `Editing ${list.name}` : '', null);
+  }
+
+  function renderLists() {
+    listsEl.innerHTML = '';
+    getCustomUniverses().forEach((list) => {
+      const row = document.createElement('div');
+      row.className = 'settings-list-row';
+
+      const label = document.createElement('button');
+      label.className = 'settings-list-label';
+      label.textContent = `${list.name} (${list.symbols.length})`;
+      label.addEventListener('click', () => edit(list));
+
+      const del = document.createElement('button');
+      del.className = 'settings-list-delete';
+      del.textContent = 'Delete';
+      del.addEventListener('click', () => {
+        deleteCustomUniverse(list.id);
+        if (editingId === list.id) edit(null);
+        renderLists();
+        setStatus(`Deleted ${list.name}`, null);
+      });
+
+      row.append(label, del);
+      listsEl.appendChild(row);
+    });
+  }
+
+  view.querySelector('.settings-list-save')?.addEventListener('click', () => {
+    try {
+      const saved = saveCustomUniverse({
+        id: editingId,
+        name: nameInput.value,
+        symbols: parseSymbolList(symbolsInput.value),
+      });
+      edit(saved);
+      renderLists();
+      setStatus(`Saved ${saved.name} (${saved.symbols.length} tickers)`, 'ok');
+    } catch (err) {
+      setStatus(err?.message || String(err), 'error');
+    }
+  });
+
+  view.querySelector('.settings-list-new')?.addEventListener('click', () => edit(null));
+
+  renderLists();
+}
+
+function initStreamSection(view) {
+  const toggle = view.querySelector('.settings-stream-toggle');
+  const urlInput = view.querySelector('.settings-stream-url');
+  if (!toggle || !urlInput) return;
+
+  const { enabled, url } = getStreamConfig();
+  toggle.checked = enabled;
+  urlInput.value = url;
+
+  toggle.addEventListener('change', () => {
+    setStreamConfig({ enabled: toggle.checked });
+  });
+
+  view.querySelector('.settings-stream-save')?.addEventListener('click', () => {
+    setStreamConfig({ url: urlInput.value });
+  });
+}
+
+function initProxySection(view) {
+  const input = view.querySelector('.settings-proxy-input');
+  const statusEl = view.querySelector('.settings-proxy-status');
+  if (!input || !statusEl) return;
+
+  input.value = getProxyBase();
+
+  function setStatus(text, kind) {
+    statusEl.textContent = text;
+    statusEl.className = `settings-key-status settings-proxy-status${
+      kind ? ` is-${kind}` : ''
+    }`;
+  }
+
+  view.querySelector('.settings-proxy-save')?.addEventListener('click', () => {
+    setProxyBase(input.value);
+    input.value = getProxyBase();
+    setStatus(getProxyBase() ? 'Using proxy' : 'Calling vendors directly', 'ok');
+  });
+
+  view.querySelector('.settings-proxy-clear')?.addEventListener('click', () => {
+    setProxyBase('');
+    input.value = '';
+    setStatus('Calling vendors directly', null);
+  });
+
+  view.querySelector('.settings-proxy-test')?.addEventListener('click', async () => {
+    const base = input.value.trim();
+    if (!base) {
+      setStatus('Enter a proxy URL first', 'error');
+      return;
+    }
+    setStatus('Testing…', null);
+    try {
+      const health = await apiClient.testProxy(base);
+      setStatus(`Proxy OK (${health.cacheEntries} cached)`, 'ok');
+    } catch (err) {
+      setStatus(`Test failed: ${err?.message || String(err)}`, 'error');
+    }
+  });
+}
+
+function renderKeyRow(row) {
+  const el = document.createElement('div');
+  el.className = 'settings-key-row';
+
+  el.innerHTML = `
+    <label class="settings-key-label" for="key-${row.id}">${row.label}</label>
+    <div class="settings-key-controls">
+      <input id="key-${row.id}" class="settings-key-input" type="password"
+        autocomplete="off" autocapitalize="off" spellcheck="false" />
+      <button class="settings-key-save">Save</button>
+      <button class="settings-key-test">Test</button>
+      <button class="settings-key-clear">Clear</button>
+    </div>
+    <div class="settings-key-status"></div>
+  `;
+
+  const input = el.querySelector('.settings-key-input');
+  const statusEl = el.querySelector('.settings-key-status');
+
+  // Never put the stored key back into the DOM; show it masked instead
+  function showSaved() {
+    const saved = row.get();
+    input.value = '';
+    input.placeholder = saved ? maskKey(saved) : 'Not set (using fallback)';
+  }
+
+  function setStatus(text, kind) {
+    statusEl.textContent = text;
+    statusEl.className = `settings-key-status${kind ? ` is-${kind}` : ''}`;
+  }
+
+  el.querySelector('.settings-key-save').addEventListener('click', () => {
+    const value = input.value.trim();
+    if (!value) return;
+    row.set(value);
+    showSaved();
+    setStatus('Saved', 'ok');
+  });
+
+  el.querySelector('.settings-key-clear').addEventListener('click', () => {
+    row.set('');
+    showSaved();
+    setStatus('Cleared', null);
+  });
+
+  el.querySelector('.settings-key-test').addEventListener('click', async () => {
+    const key = input.value.trim() || row.get();
+    if (!key) {
+      setStatus('Enter a key first', 'error');
+      return;
+    }
+    setStatus('Testing…', null);
+    try {
+      await row.test(key);
+      setStatus('Key works', 'ok');
+    } catch (err) {
+      setStatus(`Test failed: ${err?.message || String(err)}`, 'error');
+    }
+  });
+
+  showSaved();
+  return el;
+}
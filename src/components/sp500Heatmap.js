@@ -1,17 +1,153 @@
 // src/components/sp500Heatmap.js
-import { getSp500Data, resetSp500Cache } from '../data/stocksService.js';
+import {
+  getSp500Data,
+  getSp500Snapshot,
+  resetSp500Cache,
+  setStockUniverse,
+  subscribeSp500,
+} from '../data/stocksService.js';
+import { listUniverses, onUniversesChange } from '../data/stockUniverses.js';
+import { computeIndexSummary } from '../data/indexSummary.js';
 import { renderHeatmap } from './heatmap.js';
-import { renderLastUpdatedLine } from './lastUpdated.js';
+import { renderSummaryBar } from './summaryBar.js';
+import { renderLastUpdatedLine, renderLoadProgress } from './lastUpdated.js';
+import { getActiveTab, getTabSignal } from './tabs.js';
+import { initReplayControls } from './replayControls.js';
+import { getStreamConfig, onStreamConfigChange } from '../data/streamConfig.js';
+import {
+  STORAGE_KEYS,
+  TIMEFRAMES,
+  TIMEFRAME_FIELDS,
+  TIMEFRAME_STORAGE_KEYS,
+} from '../data/constants.js';
+
+const SESSIONS = ['regular', 'extended', 'combined'];
+
+// 1D value for the chosen session; falls back to the regular move when
+// there are no extended-hours prints for the current session
+function sessionChange(q, session) {
+  if (session === 'extended' && q.changePctExt != null) {
+    return { value: q.changePctExt, extended: true };
+  }
+  if (session === 'combined' && q.changePctCombined != null) {
+    return { value: q.changePctCombined, extended: true };
+  }
+  return { value: q.changePct1D, extended: false };
+}
+
+const SP500_TIMEFRAMES = [
+  TIMEFRAMES.ONE_DAY,
+  TIMEFRAMES.ONE_WEEK,
+  TIMEFRAMES.ONE_MONTH,
+  TIMEFRAMES.YEAR_TO_DATE,
+];
 
 export function initSp500Heatmap() {
   const view = document.getElementById('sp500-view');
   if (!view) return;
 
   const heatmapEl = view.querySelector('.heatmap-container');
+  const titleEl = view.querySelector('.toolbar-title');
+  const universeSelect = view.querySelector('.universe-select');
   const lastUpdatedEl = view.querySelector('.last-updated');
   const refreshBtn = view.querySelector('.sp500-refresh-btn');
+  const layoutSelect = view.querySelector('.layout-select');
+  const sessionSelect = view.querySelector('.session-select');
+  const dropdown = view.querySelector('.timeframe-select');
+  const progressEl = view.querySelector('.load-progress');
+  const summaryEl = view.querySelector('.index-summary');
   if (!heatmapEl) return;
 
+  const tfKey = TIMEFRAME_STORAGE_KEYS.sp500;
+  const savedTf = localStorage.getItem(tfKey);
+  let currentTimeframe = SP500_TIMEFRAMES.includes(savedTf) ? savedTf : TIMEFRAMES.ONE_DAY;
+
+  if (dropdown) {
+    dropdown.value = currentTimeframe;
+    dropdown.addEventListener('change', () => {
+      currentTimeframe = SP500_TIMEFRAMES.includes(dropdown.value)
+        ? dropdown.value
+        : TIMEFRAMES.ONE_DAY;
+      localStorage.setItem(tfKey, currentTimeframe);
+      refresh();
+    });
+  }
+
+  let layout = localStorage.getItem(STORAGE_KEYS.sp500Layout) === 'sector' ? 'sector' : 'flat';
+
+  const savedSession = localStorage.getItem(STORAGE_KEYS.sp500Session);
+  let session = SESSIONS.includes(savedSession) ? savedSession : 'regular';
+
+  if (sessionSelect) {
+    sessionSelect.value = session;
+    sessionSelect.addEventListener('change', () => {
+      session = SESSIONS.includes(sessionSelect.value) ? sessionSelect.value : 'regular';
+      localStorage.setItem(STORAGE_KEYS.sp500Session, session);
+      repaint();
+    });
+  }
+
+  // Finnhub's REST quote has no pre/post-market price; only streamed trades
+  // outside the regular session (or the demo fixtures) fill one in. Without
+  // live quotes the toggle could never do anything, so it isn't offered; with
+  // them it waits, disabled, for the first extended-hours trade.
+  const SESSION_HINT = sessionSelect?.title || '';
+  function renderSessionSelect(quotes) {
+    if (!sessionSelect) return;
+    const hasExtended = Object.values(quotes || {}).some((q) => q.extSession);
+    sessionSelect.hidden = !hasExtended && !getStreamConfig().enabled;
+    sessionSelect.disabled = !hasExtended;
+    sessionSelect.title = hasExtended
+      ? SESSION_HINT
+      : 'No pre-market or after-hours trades yet (they arrive with live streaming outside regular hours)';
+  }
+
+  if (layoutSelect) {
+    layoutSelect.value = layout;
+    layoutSelect.addEventListener('change', () => {
+      layout = layoutSelect.value === 'sector' ? 'sector' : 'flat';
+      localStorage.setItem(STORAGE_KEYS.sp500Layout, layout);
+      repaint();
+    });
+  }
+
+  setStockUniverse(localStorage.getItem(STORAGE_KEYS.stockUniverse));
+
+  function renderUniversePicker() {
+    const { universe } = getSp500Snapshot();
+    if (titleEl) titleEl.textContent = `${universe.name} Heatmap`;
+    if (!universeSelect) return;
+
+    universeSelect.innerHTML = '';
+    listUniverses().forEach(({ id, name }) => {
+      const opt = document.createElement('option');
+      opt.value = id;
+      opt.textContent = name;
+      universeSelect.appendChild(opt);
+    });
+    universeSelect.value = universe.id;
+  }
+
+  function switchUniverse(id) {
+    setStockUniverse(id);
+    localStorage.setItem(STORAGE_KEYS.stockUniverse, getSp500Snapshot().universe.id);
+    renderUniversePicker();
+    replay.reset();
+    if (getActiveTab() === 'sp500') refresh();
+    else repaint();
+  }
+
+  if (universeSelect) {
+    universeSelect.addEventListener('change', () => switchUniverse(universeSelect.value));
+  }
+
+  // Custom lists edited or deleted in Settings: only the shown one needs a
+  // switch (a deleted one falls back to the default universe)
+  onUniversesChange(({ id }) => {
+    if (id === getSp500Snapshot().universe.id) switchUniverse(id);
+    else renderUniversePicker();
+  });
+
   if (refreshBtn) {
     refreshBtn.addEventListener('click', () => {
       resetSp500Cache();
@@ -19,34 +155,103 @@ export function initSp500Heatmap() {
     });
   }
 
-  async function refresh() {
-    const timeframe = '1D';
-    try {
-      const data = await getSp500Data();
-      const { symbols, quotes, marketCaps, logos } = data;
+  function paint(data) {
+    const timeframe = currentTimeframe;
+    const { symbols, quotes, marketCaps, logos, meta, indexLevel, universe } = data;
+    const priceWeighted = universe.weighting === 'price';
+    const summaryRows = [];
+    renderSessionSelect(quotes);
 
-      const tiles = symbols.map((sym) => {
+    // The tail fills in over several refreshes; skip symbols never quoted
+    const tiles = symbols
+      .filter((sym) => quotes?.[String(sym || '').toUpperCase()] || quotes?.[sym])
+      .map((sym) => {
         const key = String(sym || '').toUpperCase();
         const q = quotes?.[key] || quotes?.[sym] || {};
         const cap = marketCaps?.[key] ?? marketCaps?.[sym] ?? null;
+        // The Dow weighs members by share price, the others by market cap
+        const weight = priceWeighted ? q.price : cap;
+        const hasWeight = typeof weight === 'number' && weight > 0;
+        const oneDay = sessionChange(q, session);
 
-        return {
+        const tile = {
           symbol: key,
-          marketCap: typeof cap === 'number' && cap > 0 ? cap : 1,
-          changePct1D: q.changePct1D,
+          marketCap: hasWeight ? weight : 1,
+          changePct1D: oneDay.value,
+          extended: timeframe === TIMEFRAMES.ONE_DAY && oneDay.extended,
+          changePct1W: q.changePct1W,
+          changePct1M: q.changePct1M,
+          changePctYTD: q.changePctYTD,
           logoUrl: logos?.[key] ?? logos?.[sym] ?? null,
+          sector: meta?.[key]?.sector ?? null,
         };
+
+        summaryRows.push({
+          symbol: key,
+          weight: hasWeight ? weight : null,
+          // No cross-period fallback here, unlike the tiles
+          pct: tile[TIMEFRAME_FIELDS[timeframe]],
+          price: q.price,
+          high52: q.high52,
+          low52: q.low52,
+        });
+        return tile;
       });
 
-      // IMPORTANT: no mode passed => uses row-only layout (top->bottom, left->right)
-      renderHeatmap(heatmapEl, tiles, timeframe);
+    renderSummaryBar(summaryEl, computeIndexSummary(summaryRows, { indexLevel }), {
+      weighting: universe.weighting,
+    });
+
+    // IMPORTANT: no mode passed => uses row-only layout (top->bottom, left->right)
+    // unless grouped, which nests a squarified block per GICS sector
+    renderHeatmap(heatmapEl, tiles, timeframe, layout === 'sector' ? { groupBy: 'sector' } : {});
+  }
+
+  // Replaying: paint the stored quotes (caps/meta stay current)
+  let replaySnapshot = null;
+  const replay = initReplayControls(view, {
+    viewName: () => getSp500Snapshot().universe.id,
+    onChange: (snap) => {
+      replaySnapshot = snap;
+      repaint();
+    },
+  });
+
+  function repaint() {
+    const live = getSp500Snapshot();
+    paint(replaySnapshot ? { ...live, quotes: replaySnapshot.quotes } : live);
+    renderLoadProgress(progressEl, live.progress);
+  }
 
+  async function refresh() {
+    const timeframe = currentTimeframe;
+    // Paint the cache now; quotes then fill in via the subscription below
+    repaint();
+    try {
+      const data = await getSp500Data({ signal: getTabSignal('sp500'), timeframe });
+      repaint();
       renderLastUpdatedLine(lastUpdatedEl, data.lastQuotesFetch, timeframe, data.error);
+      await replay.reload();
     } catch (err) {
-      renderLastUpdatedLine(lastUpdatedEl, null, '1D', err?.message || String(err));
+      renderLastUpdatedLine(lastUpdatedEl, null, timeframe, err?.message || String(err));
     }
   }
 
+  // Streamed ticks and quotes landing mid-refresh: repaint from memory
+  // (heatmap only touches changed tiles)
+  subscribeSp500(repaint);
+  renderUniversePicker();
+
+  // Live quotes switched on or off in Settings: offer the session toggle or not
+  onStreamConfigChange(repaint);
+
+  // Hidden tabs don't poll; coming back refreshes if the cache is stale
+  document.addEventListener('tabchange', (ev) => {
+    if (ev.detail?.name === 'sp500') refresh();
+  });
+
   refresh();
-  setInterval(refresh, 10 * 60 * 1000);
+  setInterval(() => {
+    if (getActiveTab() === 'sp500') refresh();
+  }, 10 * 60 * 1000);
 }
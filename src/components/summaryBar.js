@@ -0,0 +1,96 @@
+// src/components/summaryBar.js
+// One-line index summary above a heatmap: weighted moves, breadth and the
+// biggest point contributors/detractors. renderStatsBar draws the same strip
+// from preformatted stats (crypto market overview).
+
+function signed(value, digits = 2) {
+  return `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+}
+
+function signClass(value) {
+  if (value > 0) return 'pct-pos';
+  if (value < 0) return 'pct-neg';
+  return 'pct-flat';
+}
+
+function stat(label, text, value = null) {
+  const el = document.createElement('span');
+  el.className = 'summary-stat';
+
+  const labelEl = document.createElement('span');
+  labelEl.className = 'summary-label';
+  labelEl.textContent = label;
+
+  const valueEl = document.createElement('span');
+  valueEl.className = `summary-value ${value == null ? '' : signClass(value)}`.trim();
+  valueEl.textContent = text;
+
+  el.append(labelEl, valueEl);
+  return el;
+}
+
+function moversStat(label, movers, unit) {
+  const el = stat(label, movers.length ? '' : '--');
+  const valueEl = el.querySelector('.summary-value');
+
+  movers.forEach((m) => {
+    const item = document.createElement('span');
+    item.className = `summary-mover ${signClass(m.value)}`;
+    item.title = `${m.symbol} ${signed(m.pct)}%`;
+    item.textContent = `${m.symbol} ${signed(m.value)}${unit === '%' ? '%' : ''}`;
+    valueEl.appendChild(item);
+  });
+  return el;
+}
+
+/**
+ * @param {HTMLElement} el
+ * @param {Array<{ label: string, text: string, value?: number|null }>} stats
+ *   value (optional) colors the text by sign; an empty list hides the bar
+ */
+export function renderStatsBar(el, stats) {
+  if (!el) return;
+  el.innerHTML = '';
+  el.hidden = !stats.length;
+  stats.forEach((s) => el.appendChild(stat(s.label, s.text, s.value ?? null)));
+}
+
+/**
+ * @param {HTMLElement} el
+ * @param {object|null} summary from computeIndexSummary(); null clears the bar
+ * @param {{ weighting?: 'cap' | 'price' }} [opts] labels the weighted move
+ */
+export function renderSummaryBar(el, summary, { weighting = 'cap' } = {}) {
+  if (!el) return;
+  el.innerHTML = '';
+  if (!summary || !summary.total) {
+    el.hidden = true;
+    return;
+  }
+  el.hidden = false;
+
+  const pctText = (v) => (v == null ? '--' : `${signed(v)}%`);
+  el.append(
+    stat(
+      weighting === 'price' ? 'Price-wt' : 'Cap-wt',
+      pctText(summary.weightedPct),
+      summary.weightedPct
+    ),
+    stat('Equal-wt', pctText(summary.equalWeightPct), summary.equalWeightPct),
+    stat(
+      'Adv/Dec',
+      `${summary.advancers}/${summary.decliners}` +
+        (summary.unchanged ? ` (${summary.unchanged} unch)` : '')
+    )
+  );
+
+  if (summary.newHighs != null) {
+    el.append(stat('52w Hi/Lo', `${summary.newHighs}/${summary.newLows}`));
+  }
+
+  const unitLabel = summary.unit === 'pts' ? ' (pts)' : '';
+  el.append(
+    moversStat(`Top${unitLabel}`, summary.contributors, summary.unit),
+    moversStat(`Bottom${unitLabel}`, summary.detractors, summary.unit)
+  );
+}
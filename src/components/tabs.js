@@ -1,4 +1,9 @@
 // components/tabs.js
+
+// One AbortController per visible tab: leaving a tab aborts its requests
+const tabControllers = {}; // name -> AbortController
+let activeTab = null;
+
 export function initTabs() {
   const tabs = document.querySelectorAll('#tab-bar .tab');
   const views = document.querySelectorAll('.tab-view');
@@ -6,6 +11,16 @@ export function initTabs() {
   function activate(name) {
     tabs.forEach(t => t.classList.toggle('active', t.dataset.tab === name));
     views.forEach(v => v.classList.toggle('active', v.id.startsWith(name)));
+
+    Object.keys(tabControllers).forEach(n => {
+      if (n === name) return;
+      tabControllers[n].abort();
+      delete tabControllers[n];
+    });
+    activeTab = name;
+
+    // Lets background work (e.g. live quotes) follow the visible tab
+    document.dispatchEvent(new CustomEvent('tabchange', { detail: { name } }));
   }
 
   tabs.forEach(t => {
@@ -17,3 +32,21 @@ export function initTabs() {
   // Default: S&P 500
   activate('sp500');
 }
+
+export function getActiveTab() {
+  return activeTab;
+}
+
+/**
+ * Signal for work done on behalf of a tab. It aborts when the user leaves
+ * the tab; asking for a hidden tab's signal returns an already-aborted one.
+ */
+export function getTabSignal(name) {
+  if (name !== activeTab) {
+    const c = new AbortController();
+    c.abort();
+    return c.signal;
+  }
+  if (!tabControllers[name]) tabControllers[name] = new AbortController();
+  return tabControllers[name].signal;
+}
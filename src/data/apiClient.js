@@ -1,8 +1,21 @@
 // src/data/apiClient.js
-const FINNHUB_BASE = 'https://finnhub.io/api/v1';
-const CG_BASE = 'https://api.coingecko.com/api/v3';
+import { createRequestScheduler } from './requestScheduler.js';
+import {
+  getFinnhubUserKey,
+  getCoinGeckoUserKey,
+  isBuiltInKeysEnabled,
+} from './keyStore.js';
+import { getProxyBase } from './proxyConfig.js';
+import { createCoalescer } from './coalesce.js';
+import { REQUEST_ERRORS } from './constants.js';
 
-const FINNHUB_KEYS = {
+const FINNHUB_DIRECT_BASE = 'https://finnhub.io/api/v1';
+const CG_DIRECT_BASE = 'https://api.coingecko.com/api/v3';
+const FINNHUB_STREAM_BASE = 'wss://ws.finnhub.io';
+
+// Built-in keys: shared fallback only. Users should enter their own keys in
+// Settings; this table can be switched off there.
+const BUILT_IN_FINNHUB_KEYS = {
   // Used when no keyName is provided
   default: 'd4d73mhr01qovljoddigd4d73mhr01qovljoddj0',
 
@@ -11,46 +24,224 @@ const FINNHUB_KEYS = {
   companies: 'd5s6jg1r01qoo9r2ukugd5s6jg1r01qoo9r2ukv0',
 };
 
-const CG_KEY = 'CG-3Vngf8kaoQdxDXjrg1jUJyYB';
+const BUILT_IN_CG_KEY = 'CG-3Vngf8kaoQdxDXjrg1jUJyYB';
+
+// CoinGecko demo keys allow ~30 calls/min
+const CG_BUCKET = 'coingecko';
+
+// The proxy caches and paces each upstream key itself (server/proxy.mjs);
+// just keep the client polite
+const PROXY_BUCKET = 'proxy';
+
+// A stalled upstream call must not hold up the whole refresh
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// Every upstream call goes through this queue. Finnhub buckets are keyed by
+// the token itself, so purposes that share a key also share its quota.
+const scheduler = createRequestScheduler();
+scheduler.configureBucket(CG_BUCKET, { ratePerMinute: 30, burst: 5 });
+scheduler.configureBucket(PROXY_BUCKET, { ratePerMinute: 600, burst: 20 });
+
+// Identical requests already on the wire share one promise
+// (keyed by `${vendor}:${pathAndQuery}`)
+const coalesce = createCoalescer();
+
+function finnhubBase() {
+  const proxy = getProxyBase();
+  return proxy ? `${proxy}/finnhub` : FINNHUB_DIRECT_BASE;
+}
+
+function coingeckoBase() {
+  const proxy = getProxyBase();
+  return proxy ? `${proxy}/coingecko` : CG_DIRECT_BASE;
+}
 
+function parseRetryAfterMs(res) {
+  const raw = res.headers && res.headers.get('Retry-After');
+  const secs = Number(raw);
+  return Number.isFinite(secs) && secs > 0 ? secs * 1000 : 0;
+}
+
+/**
+ * @param {string} url
+ * @param {object} options fetch options plus { timeoutMs, signal }
+ * Throws Error(REQUEST_ERRORS.TIMEOUT) or Error(REQUEST_ERRORS.ABORTED).
+ */
 async function fetchJson(url, options = {}) {
-  const res = await fetch(url, options);
-  if (res.status === 429) {
-    throw new Error('rate-limit');
+  const { timeoutMs = DEFAULT_TIMEOUT_MS, signal, ...fetchOptions } = options;
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+
+  const onAbort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener('abort', onAbort, { once: true });
   }
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`HTTP ${res.status}: ${text}`);
+
+  try {
+    const res = await fetch(url, { ...fetchOptions, signal: controller.signal });
+    if (res.status === 429) {
+      const err = new Error(REQUEST_ERRORS.RATE_LIMIT);
+      err.retryAfterMs = parseRetryAfterMs(res);
+      throw err;
+    }
+    if (!res.ok) {
+      const text = await res.text();
+      throw new Error(`HTTP ${res.status}: ${text}`);
+    }
+    return await res.json();
+  } catch (err) {
+    if (timedOut) throw new Error(REQUEST_ERRORS.TIMEOUT);
+    if (signal && signal.aborted) throw new Error(REQUEST_ERRORS.ABORTED);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
   }
-  return res.json();
 }
 
+// User key for the purpose -> user default key -> built-in (if enabled)
 function pickFinnhubToken(keyName) {
-  if (keyName && FINNHUB_KEYS[keyName]) return FINNHUB_KEYS[keyName];
-  return FINNHUB_KEYS.default;
+  if (keyName && getFinnhubUserKey(keyName)) return getFinnhubUserKey(keyName);
+  if (getFinnhubUserKey('default')) return getFinnhubUserKey('default');
+
+  if (!isBuiltInKeysEnabled()) return null;
+  if (keyName && BUILT_IN_FINNHUB_KEYS[keyName]) {
+    return BUILT_IN_FINNHUB_KEYS[keyName];
+  }
+  return BUILT_IN_FINNHUB_KEYS.default;
+}
+
+function pickCoinGeckoKey() {
+  if (getCoinGeckoUserKey()) return getCoinGeckoUserKey();
+  return isBuiltInKeysEnabled() ? BUILT_IN_CG_KEY : null;
+}
+
+// Module-private transport; apiClient adds coalescing on top
+function requestFinnhub(pathAndQuery, opts, signal) {
+  const joiner = pathAndQuery.includes('?') ? '&' : '?';
+  const fetchOpts = { signal, timeoutMs: opts.timeoutMs };
+
+  // Proxy holds the keys; tell it which purpose this call is for.
+  // An explicit token (Settings "Test") always goes direct.
+  if (getProxyBase() && !opts.token) {
+    const url = `${finnhubBase()}${pathAndQuery}${joiner}keyName=${encodeURIComponent(
+      opts.keyName || 'default'
+    )}`;
+    return scheduler.schedule(PROXY_BUCKET, () => fetchJson(url, fetchOpts), {
+      signal,
+    });
+  }
+
+  const token = opts.token || pickFinnhubToken(opts.keyName);
+  if (!token) return Promise.reject(new Error('Missing Finnhub token'));
+
+  const url = `${FINNHUB_DIRECT_BASE}${pathAndQuery}${joiner}token=${encodeURIComponent(
+    token
+  )}`;
+  return scheduler.schedule(token, () => fetchJson(url, fetchOpts), { signal });
+}
+
+function requestCoinGecko(pathAndQuery, opts, signal) {
+  const fetchOpts = { signal, timeoutMs: opts.timeoutMs };
+
+  if (getProxyBase() && !opts.key) {
+    const url = `${coingeckoBase()}${pathAndQuery}`;
+    return scheduler.schedule(PROXY_BUCKET, () => fetchJson(url, fetchOpts), {
+      signal,
+    });
+  }
+
+  const url = `${CG_DIRECT_BASE}${pathAndQuery}`;
+  const key = opts.key || pickCoinGeckoKey();
+  const headers = key ? { 'x-cg-demo-api-key': key } : {};
+  return scheduler.schedule(
+    CG_BUCKET,
+    () => fetchJson(url, { ...fetchOpts, headers }),
+    { signal }
+  );
 }
 
 export const apiClient = {
   /**
    * Finnhub generic caller
    * @param {string} pathAndQuery e.g. "/quote?symbol=AAPL"
-   * @param {object} opts e.g. { keyName: "sp500" }
+   * @param {object} opts e.g. { keyName: "sp500", signal, timeoutMs }
+   *                       or { token } to bypass key lookup
    */
   async finnhub(pathAndQuery, opts = {}) {
-    const token = pickFinnhubToken(opts.keyName);
-    if (!token) throw new Error('Missing Finnhub token');
-
-    const joiner = pathAndQuery.includes('?') ? '&' : '?';
-    const url = `${FINNHUB_BASE}${pathAndQuery}${joiner}token=${encodeURIComponent(
-      token
-    )}`;
-    return fetchJson(url);
+    // Key tests must really hit upstream with their own token
+    if (opts.token) return requestFinnhub(pathAndQuery, opts, opts.signal);
+    return coalesce(
+      `finnhub:${pathAndQuery}`,
+      (signal) => requestFinnhub(pathAndQuery, opts, signal),
+      opts.signal
+    );
   },
 
   // CoinGecko stays as-is for crypto
-  async coingecko(pathAndQuery) {
-    const url = `${CG_BASE}${pathAndQuery}`;
-    const headers = CG_KEY ? { 'x-cg-demo-api-key': CG_KEY } : {};
-    return fetchJson(url, { headers });
+  async coingecko(pathAndQuery, opts = {}) {
+    if (opts.key) return requestCoinGecko(pathAndQuery, opts, opts.signal);
+    return coalesce(
+      `coingecko:${pathAndQuery}`,
+      (signal) => requestCoinGecko(pathAndQuery, opts, signal),
+      opts.signal
+    );
+  },
+
+  /**
+   * WebSocket URL for Finnhub's trade stream, or null without a key.
+   */
+  finnhubStreamUrl(keyName) {
+    const token = pickFinnhubToken(keyName);
+    return token
+      ? `${FINNHUB_STREAM_BASE}?token=${encodeURIComponent(token)}`
+      : null;
+  },
+
+  /**
+   * Cheap authenticated call used by Settings to validate a key.
+   * Resolves true or throws the upstream error.
+   */
+  async testFinnhubKey(token) {
+    const data = await this.finnhub('/quote?symbol=AAPL', { token });
+    if (!data || typeof data.c !== 'number') {
+      throw new Error('Unexpected response');
+    }
+    return true;
+  },
+
+  async testCoinGeckoKey(key) {
+    await this.coingecko('/ping', { key });
+    return true;
+  },
+
+  /**
+   * @param {string} base proxy base URL to check (its /health route)
+   */
+  async testProxy(base) {
+    const data = await fetchJson(`${String(base).replace(/\/+$/, '')}/health`);
+    if (!data || !data.ok) throw new Error('Proxy not healthy');
+    return data;
+  },
+
+  /**
+   * Requests waiting in the scheduler plus requests currently in flight.
+   */
+  getQueueDepth() {
+    return scheduler.getQueueDepth();
+  },
+
+  /**
+   * @param {(stats: { queued: number, inFlight: number }) => void} fn
+   * @returns {() => void} unsubscribe
+   */
+  onQueueChange(fn) {
+    return scheduler.onQueueChange(fn);
   },
 };
@@ -0,0 +1,51 @@
+// src/data/coalesce.js
+import { REQUEST_ERRORS } from './constants.js';
+
+/**
+ * Concurrent calls with the same key share one promise. Each caller may pass
+ * its own AbortSignal: it stops waiting when aborted, and the shared work is
+ * aborted only once every waiter has gone.
+ *
+ * @returns {(key: string, fn: (signal: AbortSignal) => Promise<any>, signal?: AbortSignal) => Promise<any>}
+ */
+export function createCoalescer() {
+  const inflight = new Map(); // key -> { promise, controller, waiters }
+
+  return function coalesce(key, fn, signal) {
+    if (signal && signal.aborted) {
+      return Promise.reject(new Error(REQUEST_ERRORS.ABORTED));
+    }
+
+    let entry = inflight.get(key);
+    if (!entry) {
+      const controller = new AbortController();
+      entry = { controller, waiters: 0, promise: null };
+      const current = entry;
+      entry.promise = fn(controller.signal).finally(() => {
+        if (inflight.get(key) === current) inflight.delete(key);
+      });
+      inflight.set(key, entry);
+    }
+
+    const shared = entry;
+    shared.waiters += 1;
+    // A waiter without a signal keeps the shared work alive for good
+    if (!signal) return shared.promise;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        shared.waiters -= 1;
+        if (shared.waiters <= 0) {
+          if (inflight.get(key) === shared) inflight.delete(key);
+          shared.controller.abort();
+        }
+        reject(new Error(REQUEST_ERRORS.ABORTED));
+      };
+
+      signal.addEventListener('abort', onAbort, { once: true });
+      shared.promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  };
+}
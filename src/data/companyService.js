@@ -1,11 +1,21 @@
 // src/data/companyService.js
-import { apiClient } from './apiClient.js';
+import { marketData } from './marketData.js';
 import { STORAGE_KEYS } from './constants.js';
+import { createCoalescer } from './coalesce.js';
 
 const PROFILE_TTL_MINUTES = 60 * 24 * 7; // cache 1 week
+const SAVE_DEBOUNCE_MS = 1000;
 
 let profileCache = {}; // symbol -> { symbol, name, logo, marketCap, lastFetchIso }
 
+// One in-flight lookup per symbol; S&P and earnings often ask for the same names
+const coalesceProfile = createCoalescer();
+
+// Shared fetch queue: requests made in the same tick go out as one batch
+let queuedProfiles = []; // [{ key, signal, resolve, reject }]
+let flushScheduled = false;
+let saveTimer = null;
+
 function loadCache() {
   const raw = localStorage.getItem(STORAGE_KEYS.companyProfilesCache);
   if (!raw) return;
@@ -16,12 +26,22 @@ function loadCache() {
 }
 
 function saveCache() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
   localStorage.setItem(
     STORAGE_KEYS.companyProfilesCache,
     JSON.stringify(profileCache)
   );
 }
 
+// Many profiles land within a second of each other; write the blob once
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(saveCache, SAVE_DEBOUNCE_MS);
+}
+
 loadCache();
 
 function isStale(lastFetchIso) {
@@ -32,40 +52,86 @@ function isStale(lastFetchIso) {
   return diffMs > PROFILE_TTL_MINUTES * 60 * 1000;
 }
 
-export async function getCompanyProfile(symbol) {
-  const key = symbol.toUpperCase();
-  const cached = profileCache[key];
-  if (cached && !isStale(cached.lastFetchIso)) {
-    return cached;
-  }
-
-  const data = await apiClient.finnhub(
-    `/stock/profile2?symbol=${encodeURIComponent(key)}`,
-    { keyName: 'companies' }
-  );
-
-  // Finnhub field: marketCapitalization (number; units may be billions)
-  const rawCap =
-    typeof data.marketCapitalization === 'number'
-      ? data.marketCapitalization
-      : null;
-
-  let logoUrl = null;
-  if (data.logo) {
-    logoUrl = data.logo.startsWith('http')
-      ? data.logo
-      : `https://${data.logo}`;
-  }
+async function fetchProfile(key, signal) {
+  const data = await marketData.getProfile(key, { keyName: 'companies', signal });
 
   const profile = {
     symbol: key,
-    name: data.name || data.ticker || key,
-    logo: logoUrl,
-    marketCap: rawCap,
+    name: data.name || key,
+    logo: data.logo,
+    marketCap: data.marketCap,
     lastFetchIso: new Date().toISOString(),
   };
 
   profileCache[key] = profile;
-  saveCache();
+  scheduleSave();
   return profile;
 }
+
+async function flushProfileQueue() {
+  flushScheduled = false;
+  const batch = queuedProfiles;
+  queuedProfiles = [];
+
+  // apiClient's scheduler paces these against the 'companies' key
+  await Promise.all(
+    batch.map(async ({ key, signal, resolve, reject }) => {
+      try {
+        resolve(await fetchProfile(key, signal));
+      } catch (err) {
+        reject(err);
+      }
+    })
+  );
+
+  saveCache();
+}
+
+function enqueueProfile(key, signal) {
+  // The shared signal aborts only when every caller waiting on `key` has
+  return coalesceProfile(
+    key,
+    (sharedSignal) =>
+      new Promise((resolve, reject) => {
+        queuedProfiles.push({ key, signal: sharedSignal, resolve, reject });
+        if (!flushScheduled) {
+          flushScheduled = true;
+          Promise.resolve().then(flushProfileQueue);
+        }
+      }),
+    signal
+  );
+}
+
+/**
+ * @param {string} symbol
+ * @param {{ signal?: AbortSignal }} [opts]
+ */
+export async function getCompanyProfile(symbol, { signal } = {}) {
+  const key = symbol.toUpperCase();
+  const cached = profileCache[key];
+  if (cached && !isStale(cached.lastFetchIso)) {
+    return cached;
+  }
+  return enqueueProfile(key, signal);
+}
+
+/**
+ * Profiles for many symbols through the shared queue.
+ * Failed lookups come back as null instead of rejecting the whole batch.
+ * @param {string[]} symbols
+ * @param {{ signal?: AbortSignal }} [opts]
+ * @returns {Promise<Object<string, object|null>>} symbol -> profile
+ */
+export async function getCompanyProfiles(symbols, { signal } = {}) {
+  const keys = Array.from(new Set(symbols.map((s) => String(s).toUpperCase())));
+  const results = await Promise.allSettled(
+    keys.map((k) => getCompanyProfile(k, { signal }))
+  );
+
+  const out = {};
+  keys.forEach((k, i) => {
+    out[k] = results[i].status === 'fulfilled' ? results[i].value : null;
+  });
+  return out;
+}
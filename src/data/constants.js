@@ -1,25 +1,107 @@
 // src/data/constants.js
 
 export const TIMEFRAMES = {
+  ONE_HOUR: '1H',      // crypto only
   ONE_DAY: '1D',
   ONE_WEEK: '1W',
   ONE_MONTH: '1M',
+  YEAR_TO_DATE: 'YTD', // stocks/sectors from daily candles; crypto from the Jan 1 price
+  ONE_YEAR: '1Y',      // crypto only
+};
+
+// Tile/item field holding the % move for each timeframe
+export const TIMEFRAME_FIELDS = {
+  [TIMEFRAMES.ONE_HOUR]: 'changePct1H',
+  [TIMEFRAMES.ONE_DAY]: 'changePct1D',
+  [TIMEFRAMES.ONE_WEEK]: 'changePct1W',
+  [TIMEFRAMES.ONE_MONTH]: 'changePct1M',
+  [TIMEFRAMES.YEAR_TO_DATE]: 'changePctYTD',
+  [TIMEFRAMES.ONE_YEAR]: 'changePct1Y',
 };
 
 export const STORAGE_KEYS = {
-  // S&P 500 cache
+  // Stock universe caches (quotes, caps, logos) — one per index
   sp500Cache: 'md_sp500_cache',
+  nasdaq100Cache: 'md_nasdaq100_cache',
+  dow30Cache: 'md_dow30_cache',
+  // + custom list id, e.g. 'md_custom_cache_custom-lq3k2'
+  customUniverseCachePrefix: 'md_custom_cache_',
+
+  // User-defined stock lists: [{ id, name, symbols }]
+  customUniverses: 'md_custom_universes',
+
+  // Stocks tab universe id: 'sp500' | 'nasdaq100' | 'dow30' | custom id
+  stockUniverse: 'md_stock_universe',
+
+  // S&P 500 heatmap layout: 'flat' or 'sector'
+  sp500Layout: 'md_sp500_layout',
+
+  // S&P 500 1D session: 'regular' | 'extended' | 'combined'
+  sp500Session: 'md_sp500_session',
 
   // Sector cache
   sectorCache: 'md_sector_cache',
 
+  // 1W/1M/YTD reference closes from daily candles (refreshed once a day)
+  sp500Candles: 'md_sp500_candles',
+  nasdaq100Candles: 'md_nasdaq100_candles',
+  dow30Candles: 'md_dow30_candles',
+  customUniverseCandlesPrefix: 'md_custom_candles_',
+  sectorCandles: 'md_sector_candles',
+
+  // Sector rotation: daily closes for SPY + sector ETFs (refreshed once a day)
+  sectorRotation: 'md_sector_rotation',
+
+  // Industry/thematic ETFs for the Sectors tab: [{ symbol, name, parent }]
+  industryEtfs: 'md_industry_etfs',
+
+  // Sectors tab: 'heatmap' | 'industries' | 'rotation', and the rotation lookback key
+  sectorViewMode: 'md_sector_view',
+  rotationLookback: 'md_rotation_lookback',
+
+  // Macro tab: country ETFs, commodities, Treasuries, FX
+  macroCache: 'md_macro_cache',
+  macroCandles: 'md_macro_candles',
+
   // Crypto + earnings + profiles
   cryptoCache: 'md_crypto_cache',
+  // Crypto Jan 1 prices for YTD: { year, prices: { id: { usd, eur, ... } } }
+  cryptoYtdPrices: 'md_crypto_ytd',
+  // CoinGecko /global figures for the crypto overview bar
+  cryptoGlobalCache: 'md_crypto_global',
+  // Non-USD crypto caches, + currency code, e.g. 'md_crypto_cache_btc'
+  cryptoCurrencyCachePrefix: 'md_crypto_cache_',
+  // Crypto quote currency: 'usd' | 'eur' | 'gbp' | 'btc' | 'eth'
+  cryptoCurrency: 'md_crypto_currency',
+  // Crypto tab coins: { mode: 'list' | 'top', coins: [{ id, symbol, name }], topN }
+  cryptoUniverse: 'md_crypto_universe',
   earningsCache: 'md_earnings_cache',
   companyProfilesCache: 'companyProfilesCache',
+
+  // 'live' (Finnhub + CoinGecko) or 'fixture' (offline fake data)
+  dataProvider: 'md_data_provider',
+
+  // User-entered Finnhub/CoinGecko keys (Settings tab)
+  apiKeys: 'md_api_keys',
+
+  // Base URL of the self-hosted caching proxy ('' = call vendors directly)
+  proxyBase: 'md_proxy_base',
+
+  // Live WebSocket quote stream: { enabled, url }
+  streamConfig: 'md_stream_config',
+};
+
+// Error.message values thrown by apiClient for conditions callers branch on
+export const REQUEST_ERRORS = {
+  RATE_LIMIT: 'rate-limit',
+  TIMEOUT: 'timeout',
+  ABORTED: 'aborted', // caller cancelled (e.g. left the tab); not shown to users
+  CANDLES: 'candles', // some daily candles failed; periods that need them stay blank
 };
 
 export const TIMEFRAME_STORAGE_KEYS = {
-  // Only crypto still supports 1D/1W switching
   crypto: 'md_crypto_timeframe',
+  sp500: 'md_sp500_timeframe',
+  sectors: 'md_sector_timeframe',
+  macro: 'md_macro_timeframe',
 };
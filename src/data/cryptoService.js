@@ -1,63 +1,151 @@
 // src/data/cryptoService.js
-import { apiClient } from './apiClient.js';
-import { STORAGE_KEYS } from './constants.js';
+import { marketData } from './marketData.js';
+import { STORAGE_KEYS, REQUEST_ERRORS, TIMEFRAMES } from './constants.js';
 import { toEstIso, isOlderThanMinutes } from './timezone.js';
+import { CRYPTO_MODES, getCryptoUniverse } from './cryptoUniverse.js';
+import { createEmitter } from './emitter.js';
 
 const CRYPTO_REFRESH_MINUTES = 5;
 
-// Top 15 coins by market cap (CoinGecko IDs)
-const DEFAULT_IDS = [
-  'bitcoin',        // BTC
-  'ethereum',       // ETH
-  'binancecoin',    // BNB
-  'solana',         // SOL
-  'ripple',         // XRP
-  'cardano',        // ADA
-  'dogecoin',       // DOGE
-  'tron',           // TRX
-  'avalanche-2',    // AVAX
-  'toncoin',        // TON
-  'chainlink',      // LINK
-  'polkadot',       // DOT
-  'uniswap',        // UNI
-  'litecoin',       // LTC
-  'polygon',        // MATIC
-];
-
-let cryptoState = {
-  items: [],           // [{ id, symbol, name, price, marketCap, changePct1D, changePct1W, changePct1M, logoUrl }]
+// CoinGecko vs_currency codes offered in the crypto toolbar. Prices and caps
+// come back in that currency, so an ALT/BTC map shows strength against BTC.
+export const CRYPTO_CURRENCIES = {
+  usd: { label: 'USD', sign: '$' },
+  eur: { label: 'EUR', sign: '€' },
+  gbp: { label: 'GBP', sign: '£' },
+  btc: { label: 'BTC', sign: '₿' },
+  eth: { label: 'ETH', sign: 'Ξ' },
+};
+
+export const DEFAULT_CRYPTO_CURRENCY = 'usd';
+
+function readCurrency() {
+  const saved = localStorage.getItem(STORAGE_KEYS.cryptoCurrency);
+  return CRYPTO_CURRENCIES[saved] ? saved : DEFAULT_CRYPTO_CURRENCY;
+}
+
+let currency = readCurrency();
+
+// One cache per currency so switching back is instant; USD keeps the
+// original key
+function cacheKey(code = currency) {
+  return code === DEFAULT_CRYPTO_CURRENCY
+    ? STORAGE_KEYS.cryptoCache
+    : `${STORAGE_KEYS.cryptoCurrencyCachePrefix}${code}`;
+}
+
+// Identifies the coin set a cache was fetched for (edited in Settings)
+function universeKey() {
+  const { mode, coins, topN } = getCryptoUniverse();
+  return mode === CRYPTO_MODES.TOP ? `top:${topN}` : coins.map((c) => c.id).join(',');
+}
+
+function emptyState() {
+  return {
+    currency,
+    items: [],           // [{ id, symbol, name, price, marketCap, rank, changePct1H, changePct1D, changePct1W, changePct1M, changePct1Y, logoUrl }]
+    universeKey: null,
+    lastFetch: null,
+    status: 'idle',
+    error: null,
+  };
+}
+
+let cryptoState = emptyState();
+
+// Market-wide figures (all currencies in one response), same cadence
+let globalState = {
+  data: null,          // { totalMarketCap, totalVolume, marketCapChangePct24h, dominance, activeCoins }
   lastFetch: null,
-  status: 'idle',
-  error: null,
 };
 
 function loadCache() {
-  const raw = localStorage.getItem(STORAGE_KEYS.cryptoCache);
+  const raw = localStorage.getItem(cacheKey());
   if (!raw) return;
   try {
     const parsed = JSON.parse(raw);
     cryptoState.items = parsed.items || [];
+    cryptoState.universeKey = parsed.universeKey || null;
     cryptoState.lastFetch = parsed.lastFetch || null;
   } catch (_) {
     // ignore corrupt cache
   }
 }
 
-function saveCache() {
+function saveCache(state = cryptoState) {
   const snap = {
-    items: cryptoState.items,
-    lastFetch: cryptoState.lastFetch,
+    items: state.items,
+    universeKey: state.universeKey,
+    lastFetch: state.lastFetch,
   };
-  localStorage.setItem(STORAGE_KEYS.cryptoCache, JSON.stringify(snap));
+  localStorage.setItem(cacheKey(state.currency), JSON.stringify(snap));
+}
+
+function loadGlobalCache() {
+  const raw = localStorage.getItem(STORAGE_KEYS.cryptoGlobalCache);
+  if (!raw) return;
+  try {
+    const parsed = JSON.parse(raw);
+    globalState.data = parsed.data || null;
+    globalState.lastFetch = parsed.lastFetch || null;
+  } catch (_) {
+    // ignore corrupt cache
+  }
+}
+
+function saveGlobalCache() {
+  localStorage.setItem(STORAGE_KEYS.cryptoGlobalCache, JSON.stringify(globalState));
+}
+
+// YTD needs each coin's Jan 1 price, which CoinGecko's markets endpoint
+// doesn't carry. One history call returns every currency; prices stay valid
+// all year.
+let ytdState = {
+  year: null,
+  prices: {},          // coin id -> { usd, eur, btc, ... } at 00:00 UTC Jan 1, null if not listed then
+};
+let ytdProgress = null; // { done, total } while Jan 1 prices load
+let ytdLoading = null;  // promise of the running load
+
+// Pushes { type: 'ytd' } as each Jan 1 price lands
+const cryptoEvents = createEmitter();
+
+function loadYtdCache() {
+  const raw = localStorage.getItem(STORAGE_KEYS.cryptoYtdPrices);
+  if (!raw) return;
+  try {
+    const parsed = JSON.parse(raw);
+    ytdState = { year: parsed.year || null, prices: parsed.prices || {} };
+  } catch (_) {
+    // ignore corrupt cache
+  }
+}
+
+function saveYtdCache() {
+  localStorage.setItem(STORAGE_KEYS.cryptoYtdPrices, JSON.stringify(ytdState));
 }
 
 loadCache();
+loadGlobalCache();
+loadYtdCache();
+
+function fetchMarkets(vsCurrency, signal) {
+  const { mode, coins, topN } = getCryptoUniverse();
+  const opts = { vsCurrency, signal };
+  if (mode === CRYPTO_MODES.TOP) return marketData.getTopCryptoMarkets(topN, opts);
+  return marketData.getCryptoMarkets(coins.map((c) => c.id), opts);
+}
+
+async function refreshCryptoIfNeeded(signal) {
+  // A currency switch mid-fetch swaps cryptoState; keep writing to this one
+  const state = cryptoState;
+  const wanted = universeKey();
 
-async function refreshCryptoIfNeeded() {
   if (
-    cryptoState.lastFetch &&
+    state.lastFetch &&
+    state.universeKey === wanted &&
     !isOlderThanMinutes(
-      cryptoState.lastFetch,
+      state.lastFetch,
       CRYPTO_REFRESH_MINUTES,
       'America/New_York'
     )
@@ -65,63 +153,156 @@ async function refreshCryptoIfNeeded() {
     return;
   }
 
-  cryptoState.status = 'loading';
-  cryptoState.error = null;
+  state.status = 'loading';
+  state.error = null;
+
+  try {
+    state.items = await fetchMarkets(state.currency, signal);
+
+    state.universeKey = wanted;
+    state.lastFetch = toEstIso(new Date());
+    state.status = 'ready';
+    saveCache(state);
+  } catch (err) {
+    if (err.message === REQUEST_ERRORS.ABORTED) {
+      state.status = 'idle';
+      return;
+    }
+    state.status = err.message === REQUEST_ERRORS.TIMEOUT ? 'timeout' : 'error';
+    state.error = err.message;
+  }
+}
 
-  const idsStr = DEFAULT_IDS.join(',');
+async function refreshGlobalIfNeeded(signal) {
+  if (
+    globalState.lastFetch &&
+    !isOlderThanMinutes(globalState.lastFetch, CRYPTO_REFRESH_MINUTES, 'America/New_York')
+  ) {
+    return;
+  }
 
   try {
-    const data = await apiClient.coingecko(
-      `/coins/markets?vs_currency=usd&ids=${encodeURIComponent(
-        idsStr
-      )}&price_change_percentage=24h,7d,30d&per_page=${DEFAULT_IDS.length}&page=1`
-    );
-
-    cryptoState.items = data.map((c) => ({
-      id: c.id,
-      symbol: c.symbol.toUpperCase(),
-      name: c.name,
-      price: c.current_price,
-      marketCap: c.market_cap ?? null,
-      // Prefer *_in_currency if present, otherwise fallback
-      changePct1D:
-        c.price_change_percentage_24h_in_currency ??
-        c.price_change_percentage_24h ??
-        null,
-      changePct1W: c.price_change_percentage_7d_in_currency ?? null,
-      changePct1M: c.price_change_percentage_30d_in_currency ?? null,
-      logoUrl: c.image || null,
-    }));
-
-    cryptoState.lastFetch = toEstIso(new Date());
-    cryptoState.status = 'ready';
-    saveCache();
+    globalState.data = await marketData.getCryptoGlobal({ signal });
+    globalState.lastFetch = toEstIso(new Date());
+    saveGlobalCache();
   } catch (err) {
-    cryptoState.status = 'error';
-    cryptoState.error = err.message;
+    // Keep the cached figures; the bar is secondary to the tiles
+    if (err.message !== REQUEST_ERRORS.ABORTED) console.warn('Crypto global error', err);
+  }
+}
+
+// One /coins/{id}/history call per coin, paced by the scheduler; the whole
+// list loads in one go so YTD tiles never mix in another period
+async function loadYtdPrices(missing, year, signal) {
+  const progress = { done: 0, total: missing.length };
+  ytdProgress = progress;
+  cryptoEvents.emit({ type: 'ytd' });
+
+  await Promise.all(
+    missing.map(async (id) => {
+      try {
+        ytdState.prices[id] = await marketData.getCryptoPriceOn(id, `${year}-01-01`, { signal });
+      } catch (err) {
+        // Left missing: tried again next refresh
+        if (err.message !== REQUEST_ERRORS.ABORTED) console.warn('Crypto YTD price error', id, err);
+      }
+      progress.done += 1;
+      cryptoEvents.emit({ type: 'ytd' });
+    })
+  );
+
+  if (ytdProgress === progress) ytdProgress = null;
+  saveYtdCache();
+  cryptoEvents.emit({ type: 'ytd' });
+}
+
+async function refreshYtdPricesIfNeeded(signal) {
+  if (ytdLoading) return ytdLoading;
+
+  const year = new Date().getUTCFullYear();
+  if (ytdState.year !== year) ytdState = { year, prices: {} };
+
+  const missing = cryptoState.items.map((c) => c.id).filter((id) => !(id in ytdState.prices));
+  if (!missing.length) return;
+
+  ytdLoading = loadYtdPrices(missing, year, signal);
+  try {
+    await ytdLoading;
+  } finally {
+    ytdLoading = null;
   }
 }
 
-export async function getCryptoData() {
+function withYtdChange(item, code) {
+  const start = ytdState.prices[item.id]?.[code];
+  return {
+    ...item,
+    changePctYTD:
+      typeof start === 'number' && start > 0 && typeof item.price === 'number'
+        ? ((item.price - start) / start) * 100
+        : null,
+  };
+}
+
+/**
+ * @param {{ signal?: AbortSignal, timeframe?: string }} [opts]
+ *   signal: abort to stop fetching (tab left)
+ *   timeframe: YTD also loads Jan 1 prices for coins that lack one
+ * @returns {Promise<object>} state for the current quote currency, plus
+ *   `global` (market-wide figures, null until first fetched) and `progress`
+ *   ({ done, total } while Jan 1 prices load)
+ */
+export async function getCryptoData({ signal, timeframe = TIMEFRAMES.ONE_DAY } = {}) {
   try {
-    await refreshCryptoIfNeeded();
+    await Promise.all([refreshCryptoIfNeeded(signal), refreshGlobalIfNeeded(signal)]);
+    if (timeframe === TIMEFRAMES.YEAR_TO_DATE) await refreshYtdPricesIfNeeded(signal);
   } catch (_) {
     // ignore, use last cache
   }
-  return cryptoState;
+  return getCryptoSnapshot();
+}
+
+/**
+ * Cached markets for the current currency without touching the network.
+ */
+export function getCryptoSnapshot() {
+  const items = cryptoState.items.map((c) => withYtdChange(c, cryptoState.currency));
+  return { ...cryptoState, items, global: globalState.data, progress: ytdProgress };
+}
+
+/**
+ * @param {(event: { type: string }) => void} fn
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeCrypto(fn) {
+  return cryptoEvents.subscribe(fn);
+}
+
+export function getCryptoCurrency() {
+  return currency;
+}
+
+/**
+ * @param {string} code key of CRYPTO_CURRENCIES; unknown codes fall back to USD
+ */
+export function setCryptoCurrency(code) {
+  const next = CRYPTO_CURRENCIES[code] ? code : DEFAULT_CRYPTO_CURRENCY;
+  if (next === currency) return;
+
+  currency = next;
+  localStorage.setItem(STORAGE_KEYS.cryptoCurrency, currency);
+  cryptoState = emptyState();
+  loadCache();
 }
 
 export function resetCryptoCache() {
   try {
-    localStorage.removeItem(STORAGE_KEYS.cryptoCache);
+    localStorage.removeItem(cacheKey());
   } catch (_) {
     // ignore storage errors
   }
 
-  cryptoState = {
-    items: [],
-    lastFetch: null,
-    status: 'idle',
-    error: null,
-  };
+  cryptoState = emptyState();
+  // Keep the overview figures on screen until the refetch lands
+  globalState.lastFetch = null;
 }
@@ -0,0 +1,117 @@
+// src/data/cryptoUniverse.js
+// Which coins the Crypto tab shows (Settings tab): a hand-picked list of
+// CoinGecko IDs, or the current top N by market cap.
+import { STORAGE_KEYS } from './constants.js';
+import { createEmitter } from './emitter.js';
+
+export const CRYPTO_MODES = {
+  LIST: 'list',
+  TOP: 'top',
+};
+
+export const TOP_N_OPTIONS = [10, 25, 50, 100];
+
+// Starting list; symbols/names are for display in Settings only
+export const DEFAULT_COINS = [
+  { id: 'bitcoin', symbol: 'BTC', name: 'Bitcoin' },
+  { id: 'ethereum', symbol: 'ETH', name: 'Ethereum' },
+  { id: 'binancecoin', symbol: 'BNB', name: 'BNB' },
+  { id: 'solana', symbol: 'SOL', name: 'Solana' },
+  { id: 'ripple', symbol: 'XRP', name: 'XRP' },
+  { id: 'cardano', symbol: 'ADA', name: 'Cardano' },
+  { id: 'dogecoin', symbol: 'DOGE', name: 'Dogecoin' },
+  { id: 'tron', symbol: 'TRX', name: 'TRON' },
+  { id: 'avalanche-2', symbol: 'AVAX', name: 'Avalanche' },
+  { id: 'the-open-network', symbol: 'TON', name: 'Toncoin' },
+  { id: 'chainlink', symbol: 'LINK', name: 'Chainlink' },
+  { id: 'polkadot', symbol: 'DOT', name: 'Polkadot' },
+  { id: 'uniswap', symbol: 'UNI', name: 'Uniswap' },
+  { id: 'litecoin', symbol: 'LTC', name: 'Litecoin' },
+  { id: 'sui', symbol: 'SUI', name: 'Sui' },
+];
+
+const MAX_COINS = 100; // one /coins/markets page
+
+let config = {
+  mode: CRYPTO_MODES.LIST,
+  coins: DEFAULT_COINS,
+  topN: 25,
+};
+
+const changes = createEmitter();
+
+function loadConfig() {
+  const raw = localStorage.getItem(STORAGE_KEYS.cryptoUniverse);
+  if (!raw) return;
+  try {
+    const parsed = JSON.parse(raw);
+    config = {
+      mode: parsed.mode === CRYPTO_MODES.TOP ? CRYPTO_MODES.TOP : CRYPTO_MODES.LIST,
+      coins: Array.isArray(parsed.coins) && parsed.coins.length ? parsed.coins : DEFAULT_COINS,
+      topN: TOP_N_OPTIONS.includes(parsed.topN) ? parsed.topN : config.topN,
+    };
+  } catch (_) {
+    // ignore corrupt settings
+  }
+}
+
+function saveConfig() {
+  localStorage.setItem(STORAGE_KEYS.cryptoUniverse, JSON.stringify(config));
+}
+
+loadConfig();
+
+/**
+ * @returns {{ mode: 'list' | 'top', coins: Array<{ id, symbol, name }>, topN: number }}
+ */
+export function getCryptoUniverse() {
+  return { ...config, coins: config.coins.map((c) => ({ ...c })) };
+}
+
+/**
+ * @param {{ mode?, coins?, topN? }} next fields left out keep their value
+ */
+export function setCryptoUniverse(next) {
+  config = {
+    mode:
+      next.mode != null
+        ? next.mode === CRYPTO_MODES.TOP
+          ? CRYPTO_MODES.TOP
+          : CRYPTO_MODES.LIST
+        : config.mode,
+    coins: next.coins != null ? next.coins.slice(0, MAX_COINS) : config.coins,
+    topN: TOP_N_OPTIONS.includes(Number(next.topN)) ? Number(next.topN) : config.topN,
+  };
+  saveConfig();
+  changes.emit(getCryptoUniverse());
+}
+
+/**
+ * @param {{ id, symbol, name }} coin from marketData.searchCrypto
+ * @returns {null | 'invalid' | 'listed' | 'full'} why the coin wasn't added,
+ *   null when it was
+ */
+export function addCryptoCoin(coin) {
+  if (!coin?.id) return 'invalid';
+  if (config.coins.some((c) => c.id === coin.id)) return 'listed';
+  if (config.coins.length >= MAX_COINS) return 'full';
+  setCryptoUniverse({
+    coins: [...config.coins, { id: coin.id, symbol: coin.symbol, name: coin.name }],
+  });
+  return null;
+}
+
+export function removeCryptoCoin(id) {
+  const coins = config.coins.filter((c) => c.id !== id);
+  // Keep at least one coin so the tab never goes blank
+  if (!coins.length || coins.length === config.coins.length) return;
+  setCryptoUniverse({ coins });
+}
+
+export function resetCryptoCoins() {
+  setCryptoUniverse({ coins: DEFAULT_COINS });
+}
+
+export function onCryptoUniverseChange(fn) {
+  return changes.subscribe(fn);
+}
@@ -0,0 +1,39 @@
+// src/data/dow30-constituents.js
+// Dow Jones Industrial Average members, highest share price (= weight, the
+// Dow is price-weighted) first.
+import { SECTORS } from './sp500-constituents.js';
+
+export const DOW30_CONSTITUENTS = [
+  { symbol: 'GS', name: 'Goldman Sachs', sector: SECTORS.FIN, industry: 'Capital Markets' },
+  { symbol: 'MSFT', name: 'Microsoft', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'CAT', name: 'Caterpillar Inc.', sector: SECTORS.INDUSTRIALS, industry: 'Machinery' },
+  { symbol: 'HD', name: 'Home Depot (The)', sector: SECTORS.DISC, industry: 'Specialty Retail' },
+  { symbol: 'SHW', name: 'Sherwin-Williams', sector: SECTORS.MATERIALS, industry: 'Chemicals' },
+  { symbol: 'V', name: 'Visa Inc.', sector: SECTORS.FIN, industry: 'Financial Services' },
+  { symbol: 'UNH', name: 'UnitedHealth Group', sector: SECTORS.HEALTH, industry: 'Health Care Providers & Services' },
+  { symbol: 'AXP', name: 'American Express', sector: SECTORS.FIN, industry: 'Consumer Finance' },
+  { symbol: 'JPM', name: 'JPMorgan Chase', sector: SECTORS.FIN, industry: 'Banks' },
+  { symbol: 'MCD', name: 'McDonalds', sector: SECTORS.DISC, industry: 'Hotels, Restaurants & Leisure' },
+  { symbol: 'AMGN', name: 'Amgen', sector: SECTORS.HEALTH, industry: 'Biotechnology' },
+  { symbol: 'TRV', name: 'Travelers Companies (The)', sector: SECTORS.FIN, industry: 'Insurance' },
+  { symbol: 'IBM', name: 'IBM', sector: SECTORS.TECH, industry: 'IT Services' },
+  { symbol: 'AAPL', name: 'Apple Inc.', sector: SECTORS.TECH, industry: 'Technology Hardware, Storage & Peripherals' },
+  { symbol: 'CRM', name: 'Salesforce', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'AMZN', name: 'Amazon', sector: SECTORS.DISC, industry: 'Broadline Retail' },
+  { symbol: 'HON', name: 'Honeywell', sector: SECTORS.INDUSTRIALS, industry: 'Industrial Conglomerates' },
+  { symbol: 'BA', name: 'Boeing', sector: SECTORS.INDUSTRIALS, industry: 'Aerospace & Defense' },
+  { symbol: 'NVDA', name: 'Nvidia', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'JNJ', name: 'Johnson & Johnson', sector: SECTORS.HEALTH, industry: 'Pharmaceuticals' },
+  { symbol: 'CVX', name: 'Chevron Corporation', sector: SECTORS.ENERGY, industry: 'Oil, Gas & Consumable Fuels' },
+  { symbol: 'MMM', name: '3M', sector: SECTORS.INDUSTRIALS, industry: 'Industrial Conglomerates' },
+  { symbol: 'PG', name: 'Procter & Gamble', sector: SECTORS.STAPLES, industry: 'Household Products' },
+  { symbol: 'WMT', name: 'Walmart', sector: SECTORS.STAPLES, industry: 'Consumer Staples Distribution & Retail' },
+  { symbol: 'DIS', name: 'Walt Disney Company (The)', sector: SECTORS.COMM, industry: 'Entertainment' },
+  { symbol: 'MRK', name: 'Merck & Co.', sector: SECTORS.HEALTH, industry: 'Pharmaceuticals' },
+  { symbol: 'NKE', name: 'Nike, Inc.', sector: SECTORS.DISC, industry: 'Textiles, Apparel & Luxury Goods' },
+  { symbol: 'KO', name: 'Coca-Cola Company (The)', sector: SECTORS.STAPLES, industry: 'Beverages' },
+  { symbol: 'CSCO', name: 'Cisco', sector: SECTORS.TECH, industry: 'Communications Equipment' },
+  { symbol: 'VZ', name: 'Verizon', sector: SECTORS.COMM, industry: 'Diversified Telecommunication Services' },
+];
+
+export const DOW30_SYMBOLS = DOW30_CONSTITUENTS.map(c => c.symbol);
@@ -1,8 +1,8 @@
 // src/data/earningsService.js
-import { apiClient } from './apiClient.js';
-import { STORAGE_KEYS } from './constants.js';
+import { marketData } from './marketData.js';
+import { STORAGE_KEYS, REQUEST_ERRORS } from './constants.js';
 import { toEstIso, getCurrentWeekRangeEst, isOlderThanMinutes } from './timezone.js';
-import { getCompanyProfile } from './companyService.js';
+import { getCompanyProfiles } from './companyService.js';
 import { IMPORTANT_TICKERS } from './importantTickers.js';
 
 // Market cap threshold: only show companies above this (Finnhub profile2 marketCap is typically in billions)
@@ -16,6 +16,7 @@ const EARNINGS_REFRESH_MINUTES = 60 * 24; // at most once/day per week
 let earningsState = {
   weekKey: null,     // e.g. '2025-47'
   dataByDay: null,   // { Monday: { BMO: [], AMC: [] }, ... }
+  holidays: {},      // { Friday: 'Good Friday' } market-closed days this week
   lastFetch: null,
   status: 'idle',
   error: null,
@@ -29,6 +30,7 @@ function loadCache() {
     const parsed = JSON.parse(raw);
     earningsState.weekKey = parsed.weekKey || null;
     earningsState.dataByDay = parsed.dataByDay || null;
+    earningsState.holidays = parsed.holidays || {};
     earningsState.lastFetch = parsed.lastFetch || null;
   } catch (_) {}
 }
@@ -37,6 +39,7 @@ function saveCache() {
   const snapshot = {
     weekKey: earningsState.weekKey,
     dataByDay: earningsState.dataByDay,
+    holidays: earningsState.holidays,
     lastFetch: earningsState.lastFetch,
   };
   localStorage.setItem(STORAGE_KEYS.earningsCache, JSON.stringify(snapshot));
@@ -117,35 +120,35 @@ function rankOf(symbol) {
   return typeof r === 'number' ? r : 1e9;
 }
 
-// Fetch profiles ONLY for a small set (top 30 symbols), with mild throttling
-async function fetchProfilesForSymbolsLimited(symbols) {
+// Fetch profiles ONLY for a small set (top 30 symbols) through the shared
+// profile queue (dedupes with the S&P heatmap's lookups)
+async function fetchProfilesForSymbolsLimited(symbols, signal) {
+  const fetched = await getCompanyProfiles(symbols, { signal });
   const profiles = {};
   for (const symbol of symbols) {
-    try {
-      // tiny delay reduces 429 risk on mobile/WKWebView
-      await new Promise((r) => setTimeout(r, 80));
-      const p = await getCompanyProfile(symbol);
-      profiles[symbol] = p;
-    } catch (_) {
-      profiles[symbol] = {
-        symbol,
-        name: symbol,
-        logo: null,
-        marketCap: null,
-      };
-    }
+    profiles[symbol] = fetched[symbol] || {
+      symbol,
+      name: symbol,
+      logo: null,
+      marketCap: null,
+    };
   }
   return profiles;
 }
 
-async function refreshEarningsIfNeeded() {
-  const { monday, friday } = getCurrentWeekRangeEst();
+async function refreshEarningsIfNeeded(signal) {
+  const { monday, friday, tradingDays, holidays } = getCurrentWeekRangeEst();
 
-  // Use NY-local YYYY-MM-DD for the API query (not UTC slice)
-  const fromIso = fmtNYDateYYYYMMDD(monday);
-  const toIso = fmtNYDateYYYYMMDD(friday);
+  // Use NY-local YYYY-MM-DD for the API query (not UTC slice); holidays at
+  // either end of the week are left out of the range
+  const fromIso = tradingDays[0] || fmtNYDateYYYYMMDD(monday);
+  const toIso = tradingDays[tradingDays.length - 1] || fmtNYDateYYYYMMDD(friday);
 
-  const weekKey = makeWeekKey(fromIso);
+  const weekKey = makeWeekKey(fmtNYDateYYYYMMDD(monday));
+  const holidaysByDay = {};
+  for (const [iso, name] of Object.entries(holidays)) {
+    holidaysByDay[weekdayNameFromDate(iso)] = name;
+  }
   const nowIso = toEstIso(new Date());
 
   // Cache freshness check (NY)
@@ -167,17 +170,20 @@ async function refreshEarningsIfNeeded() {
 
   let raw;
   try {
-    // Single Finnhub call (your goal)
-    raw = await apiClient.finnhub(
-      `/calendar/earnings?from=${fromIso}&to=${toIso}`
-    );
+    // Single calendar call (your goal)
+    raw = await marketData.getEarningsCalendar(fromIso, toIso, { signal });
   } catch (err) {
-    earningsState.status = 'error';
+    if (err.message === REQUEST_ERRORS.ABORTED) {
+      earningsState.status = 'idle';
+      throw err;
+    }
+    earningsState.status =
+      err.message === REQUEST_ERRORS.TIMEOUT ? 'timeout' : 'error';
     earningsState.error = err.message;
     throw err;
   }
 
-  const allEntries = dedupeEntries(raw.earningsCalendar || []);
+  const allEntries = dedupeEntries(raw || []);
 
   // Filter to your important universe (your goal)
   const filteredEntries = allEntries.filter((e) =>
@@ -187,6 +193,7 @@ async function refreshEarningsIfNeeded() {
   if (!filteredEntries.length) {
     earningsState.weekKey = weekKey;
     earningsState.dataByDay = emptyWeekStruct();
+    earningsState.holidays = holidaysByDay;
     earningsState.lastFetch = nowIso;
     earningsState.status = 'ready';
     saveCache();
@@ -216,7 +223,13 @@ async function refreshEarningsIfNeeded() {
     new Set(preselected.map((e) => String(e.symbol || '').toUpperCase()))
   );
 
-  const profiles = await fetchProfilesForSymbolsLimited(symbolsNeeded);
+  const profiles = await fetchProfilesForSymbolsLimited(symbolsNeeded, signal);
+
+  // Left the tab: don't cache a week built from placeholder profiles
+  if (signal && signal.aborted) {
+    earningsState.status = 'idle';
+    return;
+  }
 
   // Apply cap filter (keep unknowns), then cap to 30
   const decorated = preselected.map((e) => {
@@ -253,7 +266,7 @@ async function refreshEarningsIfNeeded() {
 
   for (const { entry: e, profile } of finalList) {
     const dayName = weekdayNameFromDate(e.date);
-    if (!dayName || !grouped[dayName]) continue;
+    if (!dayName || !grouped[dayName] || holidaysByDay[dayName]) continue;
 
     const session = sessionFromHour(e.hour);
 
@@ -272,18 +285,23 @@ async function refreshEarningsIfNeeded() {
 
   earningsState.weekKey = weekKey;
   earningsState.dataByDay = grouped;
+  earningsState.holidays = holidaysByDay;
   earningsState.lastFetch = nowIso;
   earningsState.status = 'ready';
   saveCache();
 }
 
-export async function getWeeklyEarnings() {
+/**
+ * @param {{ signal?: AbortSignal }} [opts] abort to stop fetching (tab left)
+ */
+export async function getWeeklyEarnings({ signal } = {}) {
   try {
-    await refreshEarningsIfNeeded();
+    await refreshEarningsIfNeeded(signal);
   } catch (_) {}
 
   return {
     dataByDay: earningsState.dataByDay || emptyWeekStruct(),
+    holidays: earningsState.holidays,
     lastFetch: earningsState.lastFetch,
     status: earningsState.status,
     error: earningsState.error,
@@ -297,6 +315,7 @@ export function resetEarningsCache() {
   earningsState = {
     weekKey: null,
     dataByDay: null,
+    holidays: {},
     lastFetch: null,
     status: 'idle',
     error: null,
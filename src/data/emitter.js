@@ -0,0 +1,27 @@
+// src/data/emitter.js
+// Minimal pub/sub used by services to push updates to components.
+
+export function createEmitter() {
+  const listeners = new Set();
+
+  return {
+    /**
+     * @param {(event: object) => void} fn
+     * @returns {() => void} unsubscribe
+     */
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+
+    emit(event) {
+      listeners.forEach((fn) => {
+        try {
+          fn(event);
+        } catch (err) {
+          console.error('Listener error', err);
+        }
+      });
+    },
+  };
+}
@@ -0,0 +1,64 @@
+// src/data/indexSummary.js
+// Index-level stats for the summary bar, derived from per-stock quotes:
+// weighted and equal-weighted move, breadth, 52-week highs/lows and the stocks
+// that moved the index most. Weights are market caps, or share prices for a
+// price-weighted index like the Dow.
+
+const TOP_MOVERS = 5;
+
+/**
+ * @param {Array<{ symbol, weight, pct, price, high52, low52 }>} rows
+ *   weight null when unknown (left out of the weighted move); pct null when
+ *   the stock has no value for the period
+ * @param {{ indexLevel?: number|null }} opts index level the weights are
+ *   scaled to for point contributions; without it contributions stay in %
+ */
+export function computeIndexSummary(rows, { indexLevel = null } = {}) {
+  const priced = rows.filter((r) => typeof r.pct === 'number' && Number.isFinite(r.pct));
+  const weighted = priced.filter((r) => typeof r.weight === 'number' && r.weight > 0);
+  const totalWeight = weighted.reduce((sum, r) => sum + r.weight, 0);
+
+  let advancers = 0;
+  let decliners = 0;
+  for (const r of priced) {
+    if (r.pct > 0) advancers++;
+    else if (r.pct < 0) decliners++;
+  }
+
+  // 52-week range only exists once daily candles have loaded
+  const ranged = rows.filter((r) => typeof r.price === 'number' && r.high52 != null && r.low52 != null);
+  const newHighs = ranged.length ? ranged.filter((r) => r.price >= r.high52).length : null;
+  const newLows = ranged.length ? ranged.filter((r) => r.price <= r.low52).length : null;
+
+  const scale = typeof indexLevel === 'number' && indexLevel > 0 ? indexLevel : null;
+  const contributions = totalWeight
+    ? weighted.map((r) => {
+        const pctContribution = (r.weight / totalWeight) * r.pct;
+        return {
+          symbol: r.symbol,
+          pct: r.pct,
+          value: scale ? (pctContribution / 100) * scale : pctContribution,
+        };
+      })
+    : [];
+
+  const byValue = [...contributions].sort((a, b) => b.value - a.value);
+
+  return {
+    total: priced.length,
+    weightedPct: totalWeight
+      ? weighted.reduce((sum, r) => sum + r.weight * r.pct, 0) / totalWeight
+      : null,
+    equalWeightPct: priced.length
+      ? priced.reduce((sum, r) => sum + r.pct, 0) / priced.length
+      : null,
+    advancers,
+    decliners,
+    unchanged: priced.length - advancers - decliners,
+    newHighs,
+    newLows,
+    unit: scale ? 'pts' : '%',
+    contributors: byValue.filter((c) => c.value > 0).slice(0, TOP_MOVERS),
+    detractors: byValue.reverse().filter((c) => c.value < 0).slice(0, TOP_MOVERS),
+  };
+}
@@ -0,0 +1,119 @@
+// src/data/industryEtfs.js
+// Industry and thematic ETFs for the Sectors tab's industry map, each filed
+// under the SPDR sector ETF it belongs to. Editable in Settings.
+import { STORAGE_KEYS } from './constants.js';
+import { createEmitter } from './emitter.js';
+
+export const DEFAULT_INDUSTRY_ETFS = [
+  { symbol: 'SMH', name: 'Semiconductors', parent: 'XLK' },
+  { symbol: 'IGV', name: 'Software', parent: 'XLK' },
+  { symbol: 'SKYY', name: 'Cloud Computing', parent: 'XLK' },
+  { symbol: 'CIBR', name: 'Cybersecurity', parent: 'XLK' },
+  { symbol: 'KRE', name: 'Regional Banks', parent: 'XLF' },
+  { symbol: 'KBE', name: 'Banks', parent: 'XLF' },
+  { symbol: 'IAI', name: 'Broker-Dealers', parent: 'XLF' },
+  { symbol: 'KIE', name: 'Insurance', parent: 'XLF' },
+  { symbol: 'XBI', name: 'Biotech', parent: 'XLV' },
+  { symbol: 'IHI', name: 'Medical Devices', parent: 'XLV' },
+  { symbol: 'XPH', name: 'Pharmaceuticals', parent: 'XLV' },
+  { symbol: 'ITB', name: 'Home Builders', parent: 'XLY' },
+  { symbol: 'XRT', name: 'Retail', parent: 'XLY' },
+  { symbol: 'IBUY', name: 'Online Retail', parent: 'XLY' },
+  { symbol: 'XOP', name: 'Oil & Gas E&P', parent: 'XLE' },
+  { symbol: 'OIH', name: 'Oil Services', parent: 'XLE' },
+  { symbol: 'URA', name: 'Uranium', parent: 'XLE' },
+  { symbol: 'ITA', name: 'Aerospace & Defense', parent: 'XLI' },
+  { symbol: 'IYT', name: 'Transportation', parent: 'XLI' },
+  { symbol: 'JETS', name: 'Airlines', parent: 'XLI' },
+  { symbol: 'PAVE', name: 'Infrastructure', parent: 'XLI' },
+  { symbol: 'GDX', name: 'Gold Miners', parent: 'XLB' },
+  { symbol: 'XME', name: 'Metals & Mining', parent: 'XLB' },
+  { symbol: 'LIT', name: 'Lithium & Batteries', parent: 'XLB' },
+  { symbol: 'REZ', name: 'Residential REITs', parent: 'XLRE' },
+  { symbol: 'ICLN', name: 'Clean Energy', parent: 'XLU' },
+  { symbol: 'TAN', name: 'Solar', parent: 'XLU' },
+  { symbol: 'SOCL', name: 'Social Media', parent: 'XLC' },
+  { symbol: 'ESPO', name: 'Video Games & Esports', parent: 'XLC' },
+  { symbol: 'PBJ', name: 'Food & Beverage', parent: 'XLP' },
+];
+
+const SYMBOL_PATTERN = /^[A-Z][A-Z0-9.-]{0,9}$/;
+const MAX_ETFS = 60;
+
+const changes = createEmitter();
+
+let etfs = DEFAULT_INDUSTRY_ETFS;
+
+function loadConfig() {
+  const raw = localStorage.getItem(STORAGE_KEYS.industryEtfs);
+  if (!raw) return;
+  try {
+    const parsed = JSON.parse(raw);
+    if (Array.isArray(parsed) && parsed.length) etfs = parsed;
+  } catch (_) {
+    // ignore corrupt settings
+  }
+}
+
+loadConfig();
+
+/**
+ * @returns {Array<{ symbol, name, parent }>}
+ */
+export function getIndustryEtfs() {
+  return etfs.map((e) => ({ ...e }));
+}
+
+/**
+ * One ETF per line: "SYMBOL PARENT Name", e.g. "SMH XLK Semiconductors".
+ * Lines that don't start with a ticker are skipped; a parent not in
+ * `parents` rejects the line.
+ * @param {string} text
+ * @param {string[]} parents valid parent symbols (sectorService SECTOR_LIST;
+ *   passed in because sectorService imports this module)
+ * @returns {{ etfs: Array<{ symbol, name, parent }>, errors: string[] }}
+ *   errors: one message per rejected line, e.g. "Line 3: XLQ is not a sector ETF"
+ */
+export function parseIndustryEtfs(text, parents) {
+  const validParents = new Set(parents);
+  const seen = new Set();
+  const etfs = [];
+  const errors = [];
+  String(text || '')
+    .split('\n')
+    .forEach((line, i) => {
+      const [symbol, parent, ...name] = line.trim().split(/\s+/);
+      const key = String(symbol || '').toUpperCase();
+      if (!SYMBOL_PATTERN.test(key) || seen.has(key)) return;
+      const parentKey = String(parent || '').toUpperCase();
+      if (!validParents.has(parentKey)) {
+        errors.push(`Line ${i + 1}: ${parentKey || 'missing parent'} is not a sector ETF`);
+        return;
+      }
+      seen.add(key);
+      etfs.push({ symbol: key, parent: parentKey, name: name.join(' ') || key });
+    });
+  return { etfs: etfs.slice(0, MAX_ETFS), errors };
+}
+
+export function formatIndustryEtfs(list = etfs) {
+  return list.map((e) => `${e.symbol} ${e.parent} ${e.name}`).join('\n');
+}
+
+/**
+ * @param {Array<{ symbol, name, parent }>|null} list null restores the defaults
+ */
+export function setIndustryEtfs(list) {
+  if (list && list.length) {
+    etfs = list.map((e) => ({ ...e }));
+    localStorage.setItem(STORAGE_KEYS.industryEtfs, JSON.stringify(etfs));
+  } else {
+    etfs = DEFAULT_INDUSTRY_ETFS;
+    localStorage.removeItem(STORAGE_KEYS.industryEtfs);
+  }
+  changes.emit(getIndustryEtfs());
+}
+
+export function onIndustryEtfsChange(fn) {
+  return changes.subscribe(fn);
+}
@@ -0,0 +1,72 @@
+// src/data/keyStore.js
+// User-supplied API keys, kept in localStorage on this device only.
+import { STORAGE_KEYS } from './constants.js';
+
+// Finnhub key purposes (match the keyName values passed to apiClient.finnhub)
+export const FINNHUB_KEY_NAMES = ['default', 'sp500', 'sectors', 'companies'];
+
+function emptySettings() {
+  return {
+    finnhub: { default: '', sp500: '', sectors: '', companies: '' },
+    coingecko: '',
+    useBuiltInKeys: true,
+  };
+}
+
+let settings = emptySettings();
+
+function loadSettings() {
+  const raw = localStorage.getItem(STORAGE_KEYS.apiKeys);
+  if (!raw) return;
+  try {
+    const parsed = JSON.parse(raw);
+    settings = {
+      finnhub: { ...settings.finnhub, ...(parsed.finnhub || {}) },
+      coingecko: parsed.coingecko || '',
+      useBuiltInKeys: parsed.useBuiltInKeys !== false,
+    };
+  } catch (_) {
+    // ignore corrupt settings
+  }
+}
+
+function saveSettings() {
+  localStorage.setItem(STORAGE_KEYS.apiKeys, JSON.stringify(settings));
+}
+
+loadSettings();
+
+export function getFinnhubUserKey(keyName) {
+  return (settings.finnhub[keyName] || '').trim();
+}
+
+export function getCoinGeckoUserKey() {
+  return (settings.coingecko || '').trim();
+}
+
+export function isBuiltInKeysEnabled() {
+  return settings.useBuiltInKeys;
+}
+
+export function setFinnhubUserKey(keyName, key) {
+  if (!FINNHUB_KEY_NAMES.includes(keyName)) return;
+  settings.finnhub[keyName] = (key || '').trim();
+  saveSettings();
+}
+
+export function setCoinGeckoUserKey(key) {
+  settings.coingecko = (key || '').trim();
+  saveSettings();
+}
+
+export function setBuiltInKeysEnabled(enabled) {
+  settings.useBuiltInKeys = !!enabled;
+  saveSettings();
+}
+
+// "d4d73mhr01qo...j0" -> "••••••••ddj0"
+export function maskKey(key) {
+  if (!key) return '';
+  const tail = key.length > 4 ? key.slice(-4) : '';
+  return `${'•'.repeat(8)}${tail}`;
+}
@@ -0,0 +1,235 @@
+// src/data/macroService.js
+// Cross-asset tab: country ETFs, commodity proxies, Treasury ETFs and major
+// FX pairs, grouped by asset class. Same quote/reference pipeline as
+// sectorService.js, with its own cache.
+import { marketData } from './marketData.js';
+import { STORAGE_KEYS, REQUEST_ERRORS, TIMEFRAMES } from './constants.js';
+import { toEstIso, isOlderThanMinutes } from './timezone.js';
+import { getClosedSince } from './tradingCalendar.js';
+import { createEmitter } from './emitter.js';
+import { createReferenceCloses } from './referenceCloses.js';
+
+const MACRO_REFRESH_MINUTES = 10;
+
+export const ASSET_CLASSES = {
+  COUNTRIES: 'Countries',
+  COMMODITIES: 'Commodities',
+  BONDS: 'Treasuries',
+  FX: 'FX',
+};
+
+// `symbol` is what the quote provider knows; `display` (FX only) is the tile
+// label when that differs
+export const MACRO_LIST = [
+  { symbol: 'EWJ', name: 'Japan', assetClass: ASSET_CLASSES.COUNTRIES },
+  { symbol: 'FXI', name: 'China', assetClass: ASSET_CLASSES.COUNTRIES },
+  { symbol: 'EWG', name: 'Germany', assetClass: ASSET_CLASSES.COUNTRIES },
+  { symbol: 'EWU', name: 'United Kingdom', assetClass: ASSET_CLASSES.COUNTRIES },
+  { symbol: 'EWQ', name: 'France', assetClass: ASSET_CLASSES.COUNTRIES },
+  { symbol: 'EWC', name: 'Canada', assetClass: ASSET_CLASSES.COUNTRIES },
+  { symbol: 'INDA', name: 'India', assetClass: ASSET_CLASSES.COUNTRIES },
+  { symbol: 'EWZ', name: 'Brazil', assetClass: ASSET_CLASSES.COUNTRIES },
+  { symbol: 'EWY', name: 'South Korea', assetClass: ASSET_CLASSES.COUNTRIES },
+  { symbol: 'EWT', name: 'Taiwan', assetClass: ASSET_CLASSES.COUNTRIES },
+  { symbol: 'EWA', name: 'Australia', assetClass: ASSET_CLASSES.COUNTRIES },
+  { symbol: 'EWW', name: 'Mexico', assetClass: ASSET_CLASSES.COUNTRIES },
+  { symbol: 'GLD', name: 'Gold', assetClass: ASSET_CLASSES.COMMODITIES },
+  { symbol: 'SLV', name: 'Silver', assetClass: ASSET_CLASSES.COMMODITIES },
+  { symbol: 'USO', name: 'Crude Oil', assetClass: ASSET_CLASSES.COMMODITIES },
+  { symbol: 'UNG', name: 'Natural Gas', assetClass: ASSET_CLASSES.COMMODITIES },
+  { symbol: 'CPER', name: 'Copper', assetClass: ASSET_CLASSES.COMMODITIES },
+  { symbol: 'DBA', name: 'Agriculture', assetClass: ASSET_CLASSES.COMMODITIES },
+  { symbol: 'SHY', name: '1-3Y Treasuries', assetClass: ASSET_CLASSES.BONDS },
+  { symbol: 'IEI', name: '3-7Y Treasuries', assetClass: ASSET_CLASSES.BONDS },
+  { symbol: 'IEF', name: '7-10Y Treasuries', assetClass: ASSET_CLASSES.BONDS },
+  { symbol: 'TLT', name: '20Y+ Treasuries', assetClass: ASSET_CLASSES.BONDS },
+  { symbol: 'TIP', name: 'TIPS', assetClass: ASSET_CLASSES.BONDS },
+  { symbol: 'OANDA:EUR_USD', display: 'EUR/USD', name: 'Euro', assetClass: ASSET_CLASSES.FX },
+  { symbol: 'OANDA:USD_JPY', display: 'USD/JPY', name: 'Yen', assetClass: ASSET_CLASSES.FX },
+  { symbol: 'OANDA:GBP_USD', display: 'GBP/USD', name: 'Pound', assetClass: ASSET_CLASSES.FX },
+  { symbol: 'OANDA:USD_CHF', display: 'USD/CHF', name: 'Franc', assetClass: ASSET_CLASSES.FX },
+  { symbol: 'OANDA:AUD_USD', display: 'AUD/USD', name: 'Aussie', assetClass: ASSET_CLASSES.FX },
+  { symbol: 'OANDA:USD_CAD', display: 'USD/CAD', name: 'Loonie', assetClass: ASSET_CLASSES.FX },
+  { symbol: 'OANDA:USD_CNH', display: 'USD/CNH', name: 'Yuan', assetClass: ASSET_CLASSES.FX },
+];
+
+// Macro calls share the sectors Finnhub key
+const KEY_NAME = 'sectors';
+
+// 1W/1M/YTD closes from daily candles, refreshed once a trading day
+const macroReferences = createReferenceCloses({
+  storageKey: STORAGE_KEYS.macroCandles,
+  keyName: KEY_NAME,
+});
+
+// Pushes { type: 'quote', symbols } as a refresh lands each symbol and
+// { type: 'progress' } as it runs
+const macroEvents = createEmitter();
+
+let macroState = {
+  assets: MACRO_LIST,
+  quotes: {},          // symbol -> { price, changePct1D, previousClose }
+  progress: null,      // { done, total } while a refresh runs
+  lastQuotesFetch: null,
+  status: 'idle',
+  error: null,
+};
+
+function loadCache() {
+  const raw = localStorage.getItem(STORAGE_KEYS.macroCache);
+  if (!raw) return;
+  try {
+    const parsed = JSON.parse(raw);
+    macroState.quotes = parsed.quotes || macroState.quotes;
+    macroState.lastQuotesFetch = parsed.lastQuotesFetch || null;
+  } catch (_) {
+    // ignore
+  }
+}
+
+function saveCache() {
+  const snapshot = {
+    quotes: macroState.quotes,
+    lastQuotesFetch: macroState.lastQuotesFetch,
+  };
+  localStorage.setItem(STORAGE_KEYS.macroCache, JSON.stringify(snapshot));
+}
+
+loadCache();
+
+function getMacroSymbols() {
+  return macroState.assets.map((a) => a.symbol);
+}
+
+async function refreshQuotesIfNeeded(signal) {
+  const nowEstIso = toEstIso(new Date());
+
+  if (
+    macroState.lastQuotesFetch &&
+    !isOlderThanMinutes(macroState.lastQuotesFetch, MACRO_REFRESH_MINUTES, 'America/New_York')
+  ) {
+    return;
+  }
+
+  // Follows the US equity session like the other tabs; FX keeps trading
+  // overnight but moves little enough to wait for the open
+  const closedSince = getClosedSince();
+  if (closedSince && macroState.lastQuotesFetch && macroState.lastQuotesFetch >= closedSince) {
+    return;
+  }
+
+  macroState.status = 'loading';
+  macroState.error = null;
+
+  const symbols = getMacroSymbols();
+  const progress = { done: 0, total: symbols.length };
+  macroState.progress = progress;
+  macroEvents.emit({ type: 'progress' });
+  let timedOut = false;
+
+  await Promise.all(
+    symbols.map(async (symbol) => {
+      try {
+        const q = await marketData.getQuote(symbol, { keyName: KEY_NAME, signal });
+
+        macroState.quotes[symbol] = {
+          price: q.price,
+          changePct1D: q.changePct1D,
+          previousClose: q.previousClose,
+        };
+        progress.done += 1;
+        macroEvents.emit({ type: 'quote', symbols: [symbol] });
+      } catch (err) {
+        progress.done += 1;
+        macroEvents.emit({ type: 'progress' });
+        if (err.message === REQUEST_ERRORS.ABORTED) return;
+        if (err.message === REQUEST_ERRORS.TIMEOUT) timedOut = true;
+        console.warn('Macro quote error', symbol, err);
+      }
+    })
+  );
+
+  if (macroState.progress === progress) macroState.progress = null;
+  macroEvents.emit({ type: 'progress' });
+
+  if (signal && signal.aborted) {
+    macroState.status = 'idle';
+    saveCache();
+    return;
+  }
+
+  macroState.lastQuotesFetch = nowEstIso;
+  macroState.status = timedOut ? 'timeout' : 'ready';
+  macroState.error = timedOut ? REQUEST_ERRORS.TIMEOUT : null;
+  saveCache();
+}
+
+/**
+ * @param {{ signal?: AbortSignal, timeframe?: string }} [opts]
+ *   signal: abort to stop fetching (tab left)
+ *   timeframe: anything but 1D also loads daily candles for 1W/1M/YTD
+ */
+export async function getMacroData({ signal, timeframe = TIMEFRAMES.ONE_DAY } = {}) {
+  try {
+    await refreshQuotesIfNeeded(signal);
+  } catch (err) {
+    macroState.error = err.message;
+  }
+
+  if (timeframe !== TIMEFRAMES.ONE_DAY) {
+    try {
+      const { timedOut, failed } = await macroReferences.refresh(getMacroSymbols(), { signal });
+      if (failed && !macroState.error) {
+        macroState.error = timedOut ? REQUEST_ERRORS.TIMEOUT : REQUEST_ERRORS.CANDLES;
+      }
+    } catch (err) {
+      macroState.error = err.message;
+    }
+  }
+
+  return getMacroSnapshot();
+}
+
+/**
+ * Current state without touching the network.
+ */
+export function getMacroSnapshot() {
+  const quotes = {};
+  for (const [symbol, q] of Object.entries(macroState.quotes)) {
+    quotes[symbol] = { ...q, ...macroReferences.changesFor(symbol, q.price) };
+  }
+
+  return {
+    assets: macroState.assets,
+    quotes,
+    progress: macroState.progress,
+    lastQuotesFetch: macroState.lastQuotesFetch,
+    status: macroState.status,
+    error: macroState.error,
+  };
+}
+
+/**
+ * @param {(event: { type: string, symbols?: string[] }) => void} fn
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeMacro(fn) {
+  return macroEvents.subscribe(fn);
+}
+
+export function resetMacroCache() {
+  try {
+    localStorage.removeItem(STORAGE_KEYS.macroCache);
+  } catch (_) {
+    // ignore
+  }
+
+  macroState = {
+    assets: MACRO_LIST,
+    quotes: {},
+    progress: null,
+    lastQuotesFetch: null,
+    status: 'idle',
+    error: null,
+  };
+}
@@ -0,0 +1,147 @@
+// src/data/marketData.js
+// Vendor-neutral entry point for market data. Services call marketData.*
+// and get normalized objects back; which adapter answers is decided here.
+import { STORAGE_KEYS } from './constants.js';
+import { finnhubProvider } from './providers/finnhubProvider.js';
+import { coingeckoProvider } from './providers/coingeckoProvider.js';
+import { fixtureProvider } from './providers/fixtureProvider.js';
+
+const PROVIDERS = {
+  finnhub: finnhubProvider,
+  coingecko: coingeckoProvider,
+  fixture: fixtureProvider,
+};
+
+// Capability -> provider name
+const LIVE_ROUTES = {
+  stocks: 'finnhub',
+  crypto: 'coingecko',
+};
+
+const FIXTURE_ROUTES = {
+  stocks: 'fixture',
+  crypto: 'fixture',
+};
+
+function readMode() {
+  // ?provider=fixture wins over the stored setting (handy for demos)
+  try {
+    const fromUrl = new URLSearchParams(window.location.search).get('provider');
+    if (fromUrl) return fromUrl;
+  } catch (_) {
+    // ignore
+  }
+  try {
+    return localStorage.getItem(STORAGE_KEYS.dataProvider) || 'live';
+  } catch (_) {
+    return 'live';
+  }
+}
+
+let routes = readMode() === 'fixture' ? { ...FIXTURE_ROUTES } : { ...LIVE_ROUTES };
+
+export function registerProvider(name, adapter) {
+  PROVIDERS[name] = adapter;
+}
+
+/**
+ * Point a capability ('stocks' | 'crypto') at a registered provider.
+ */
+export function setProviderRoute(capability, name) {
+  if (!PROVIDERS[name]) throw new Error(`Unknown provider: ${name}`);
+  routes[capability] = name;
+}
+
+export function getProviderRoutes() {
+  return { ...routes };
+}
+
+function call(capability, method, args) {
+  const name = routes[capability];
+  const provider = PROVIDERS[name];
+  if (!provider || typeof provider[method] !== 'function') {
+    throw new Error(`Provider "${name}" does not support ${method}`);
+  }
+  return provider[method](...args);
+}
+
+export const marketData = {
+  /**
+   * @param {string} symbol
+   * @param {object} opts e.g. { keyName: "sp500" }
+   * @returns {Promise<{ symbol, price, changePct1D, previousClose, extendedPrice? }>}
+   *   price/changePct1D are regular-session values; extendedPrice is the
+   *   latest pre/post-market print when the provider has one
+   */
+  getQuote(symbol, opts = {}) {
+    return call('stocks', 'getQuote', [symbol, opts]);
+  },
+
+  /**
+   * @returns {Promise<{ symbol, name, logo, marketCap }>}
+   */
+  getProfile(symbol, opts = {}) {
+    return call('stocks', 'getProfile', [symbol, opts]);
+  },
+
+  /**
+   * @returns {Promise<{ symbol, aum }>} assets under management, null if unknown
+   */
+  getEtfProfile(symbol, opts = {}) {
+    return call('stocks', 'getEtfProfile', [symbol, opts]);
+  },
+
+  /**
+   * @param {string} fromIso YYYY-MM-DD
+   * @param {string} toIso YYYY-MM-DD
+   * @returns {Promise<Array<{ date, close, high, low }>>} oldest first
+   */
+  getDailyCandles(symbol, fromIso, toIso, opts = {}) {
+    return call('stocks', 'getDailyCandles', [symbol, fromIso, toIso, opts]);
+  },
+
+  /**
+   * @returns {Promise<Array<{ symbol, date, hour, epsActual, epsEstimate, revenueActual, revenueEstimate }>>}
+   */
+  getEarningsCalendar(fromIso, toIso, opts = {}) {
+    return call('stocks', 'getEarningsCalendar', [fromIso, toIso, opts]);
+  },
+
+  /**
+   * @returns {Promise<Array<{ id, symbol, name, price, marketCap, rank, changePct1H, changePct1D, changePct1W, changePct1M, changePct1Y, logoUrl }>>}
+   */
+  getCryptoMarkets(ids, opts = {}) {
+    return call('crypto', 'getCryptoMarkets', [ids, opts]);
+  },
+
+  /**
+   * A coin's price on a past day, keyed by vs_currency code.
+   * @param {string} dateIso YYYY-MM-DD
+   * @returns {Promise<Object<string, number>|null>}
+   */
+  getCryptoPriceOn(id, dateIso, opts = {}) {
+    return call('crypto', 'getCryptoPriceOn', [id, dateIso, opts]);
+  },
+
+  /**
+   * Whole-market figures; cap and volume keyed by vs_currency code.
+   * @returns {Promise<{ totalMarketCap, totalVolume, marketCapChangePct24h, dominance: { btc, eth }, activeCoins }>}
+   */
+  getCryptoGlobal(opts = {}) {
+    return call('crypto', 'getCryptoGlobal', [opts]);
+  },
+
+  /**
+   * Same shape as getCryptoMarkets, for the largest `count` coins by market cap.
+   */
+  getTopCryptoMarkets(count, opts = {}) {
+    return call('crypto', 'getTopCryptoMarkets', [count, opts]);
+  },
+
+  /**
+   * @returns {Promise<Array<{ id, symbol, name, rank, thumb }>>}
+   */
+  searchCrypto(query, opts = {}) {
+    return call('crypto', 'searchCrypto', [query, opts]);
+  },
+};
@@ -0,0 +1,110 @@
+// src/data/nasdaq100-constituents.js
+// Nasdaq-100 members, largest market caps first (cap-weighted like the S&P;
+// stocksService re-ranks by live caps). Includes the foreign listings.
+import { SECTORS } from './sp500-constituents.js';
+
+export const NASDAQ100_CONSTITUENTS = [
+  { symbol: 'NVDA', name: 'Nvidia', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'MSFT', name: 'Microsoft', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'AAPL', name: 'Apple Inc.', sector: SECTORS.TECH, industry: 'Technology Hardware, Storage & Peripherals' },
+  { symbol: 'AMZN', name: 'Amazon', sector: SECTORS.DISC, industry: 'Broadline Retail' },
+  { symbol: 'AVGO', name: 'Broadcom', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'META', name: 'Meta Platforms', sector: SECTORS.COMM, industry: 'Interactive Media & Services' },
+  { symbol: 'GOOGL', name: 'Alphabet Inc. (Class A)', sector: SECTORS.COMM, industry: 'Interactive Media & Services' },
+  { symbol: 'GOOG', name: 'Alphabet Inc. (Class C)', sector: SECTORS.COMM, industry: 'Interactive Media & Services' },
+  { symbol: 'TSLA', name: 'Tesla, Inc.', sector: SECTORS.DISC, industry: 'Automobiles' },
+  { symbol: 'NFLX', name: 'Netflix', sector: SECTORS.COMM, industry: 'Entertainment' },
+  { symbol: 'COST', name: 'Costco', sector: SECTORS.STAPLES, industry: 'Consumer Staples Distribution & Retail' },
+  { symbol: 'PLTR', name: 'Palantir Technologies', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'ASML', name: 'ASML Holding', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'AMD', name: 'Advanced Micro Devices', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'CSCO', name: 'Cisco', sector: SECTORS.TECH, industry: 'Communications Equipment' },
+  { symbol: 'TMUS', name: 'T-Mobile US', sector: SECTORS.COMM, industry: 'Wireless Telecommunication Services' },
+  { symbol: 'AZN', name: 'AstraZeneca', sector: SECTORS.HEALTH, industry: 'Pharmaceuticals' },
+  { symbol: 'SHOP', name: 'Shopify', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'LIN', name: 'Linde plc', sector: SECTORS.MATERIALS, industry: 'Chemicals' },
+  { symbol: 'ISRG', name: 'Intuitive Surgical', sector: SECTORS.HEALTH, industry: 'Health Care Equipment & Supplies' },
+  { symbol: 'PEP', name: 'PepsiCo', sector: SECTORS.STAPLES, industry: 'Beverages' },
+  { symbol: 'APP', name: 'AppLovin', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'INTU', name: 'Intuit', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'MU', name: 'Micron Technology', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'LRCX', name: 'Lam Research', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'AMGN', name: 'Amgen', sector: SECTORS.HEALTH, industry: 'Biotechnology' },
+  { symbol: 'QCOM', name: 'Qualcomm', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'TXN', name: 'Texas Instruments', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'BKNG', name: 'Booking Holdings', sector: SECTORS.DISC, industry: 'Hotels, Restaurants & Leisure' },
+  { symbol: 'AMAT', name: 'Applied Materials', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'ARM', name: 'Arm Holdings', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'GILD', name: 'Gilead Sciences', sector: SECTORS.HEALTH, industry: 'Biotechnology' },
+  { symbol: 'ADBE', name: 'Adobe Inc.', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'PDD', name: 'PDD Holdings', sector: SECTORS.DISC, industry: 'Broadline Retail' },
+  { symbol: 'KLAC', name: 'KLA Corporation', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'PANW', name: 'Palo Alto Networks', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'HON', name: 'Honeywell', sector: SECTORS.INDUSTRIALS, industry: 'Industrial Conglomerates' },
+  { symbol: 'ADP', name: 'Automatic Data Processing', sector: SECTORS.INDUSTRIALS, industry: 'Professional Services' },
+  { symbol: 'CMCSA', name: 'Comcast', sector: SECTORS.COMM, industry: 'Media' },
+  { symbol: 'CRWD', name: 'CrowdStrike', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'MELI', name: 'MercadoLibre', sector: SECTORS.DISC, industry: 'Broadline Retail' },
+  { symbol: 'ADI', name: 'Analog Devices', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'INTC', name: 'Intel', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'VRTX', name: 'Vertex Pharmaceuticals', sector: SECTORS.HEALTH, industry: 'Biotechnology' },
+  { symbol: 'SBUX', name: 'Starbucks', sector: SECTORS.DISC, industry: 'Hotels, Restaurants & Leisure' },
+  { symbol: 'DASH', name: 'DoorDash', sector: SECTORS.DISC, industry: 'Hotels, Restaurants & Leisure' },
+  { symbol: 'CEG', name: 'Constellation Energy', sector: SECTORS.UTILITIES, industry: 'Electric Utilities' },
+  { symbol: 'MSTR', name: 'Strategy', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'CDNS', name: 'Cadence Design Systems', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'SNPS', name: 'Synopsys', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'ORLY', name: 'O\'Reilly Automotive', sector: SECTORS.DISC, industry: 'Specialty Retail' },
+  { symbol: 'ABNB', name: 'Airbnb', sector: SECTORS.DISC, industry: 'Hotels, Restaurants & Leisure' },
+  { symbol: 'MAR', name: 'Marriott International', sector: SECTORS.DISC, industry: 'Hotels, Restaurants & Leisure' },
+  { symbol: 'CTAS', name: 'Cintas', sector: SECTORS.INDUSTRIALS, industry: 'Commercial Services & Supplies' },
+  { symbol: 'MDLZ', name: 'Mondelez International', sector: SECTORS.STAPLES, industry: 'Food Products' },
+  { symbol: 'FTNT', name: 'Fortinet', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'REGN', name: 'Regeneron Pharmaceuticals', sector: SECTORS.HEALTH, industry: 'Biotechnology' },
+  { symbol: 'PYPL', name: 'PayPal', sector: SECTORS.FIN, industry: 'Financial Services' },
+  { symbol: 'WDAY', name: 'Workday, Inc.', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'ADSK', name: 'Autodesk', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'MNST', name: 'Monster Beverage', sector: SECTORS.STAPLES, industry: 'Beverages' },
+  { symbol: 'CSX', name: 'CSX Corporation', sector: SECTORS.INDUSTRIALS, industry: 'Ground Transportation' },
+  { symbol: 'AEP', name: 'American Electric Power', sector: SECTORS.UTILITIES, industry: 'Electric Utilities' },
+  { symbol: 'CHTR', name: 'Charter Communications', sector: SECTORS.COMM, industry: 'Media' },
+  { symbol: 'ROP', name: 'Roper Technologies', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'AXON', name: 'Axon Enterprise', sector: SECTORS.INDUSTRIALS, industry: 'Aerospace & Defense' },
+  { symbol: 'IDXX', name: 'Idexx Laboratories', sector: SECTORS.HEALTH, industry: 'Health Care Equipment & Supplies' },
+  { symbol: 'NXPI', name: 'NXP Semiconductors', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'FAST', name: 'Fastenal', sector: SECTORS.INDUSTRIALS, industry: 'Trading Companies & Distributors' },
+  { symbol: 'PAYX', name: 'Paychex', sector: SECTORS.INDUSTRIALS, industry: 'Professional Services' },
+  { symbol: 'PCAR', name: 'Paccar', sector: SECTORS.INDUSTRIALS, industry: 'Machinery' },
+  { symbol: 'TRI', name: 'Thomson Reuters', sector: SECTORS.INDUSTRIALS, industry: 'Professional Services' },
+  { symbol: 'DDOG', name: 'Datadog', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'ZS', name: 'Zscaler', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'CPRT', name: 'Copart', sector: SECTORS.INDUSTRIALS, industry: 'Commercial Services & Supplies' },
+  { symbol: 'EA', name: 'Electronic Arts', sector: SECTORS.COMM, industry: 'Entertainment' },
+  { symbol: 'KDP', name: 'Keurig Dr Pepper', sector: SECTORS.STAPLES, industry: 'Beverages' },
+  { symbol: 'ROST', name: 'Ross Stores', sector: SECTORS.DISC, industry: 'Specialty Retail' },
+  { symbol: 'XEL', name: 'Xcel Energy', sector: SECTORS.UTILITIES, industry: 'Electric Utilities' },
+  { symbol: 'VRSK', name: 'Verisk Analytics', sector: SECTORS.INDUSTRIALS, industry: 'Professional Services' },
+  { symbol: 'BKR', name: 'Baker Hughes', sector: SECTORS.ENERGY, industry: 'Energy Equipment & Services' },
+  { symbol: 'EXC', name: 'Exelon', sector: SECTORS.UTILITIES, industry: 'Electric Utilities' },
+  { symbol: 'FANG', name: 'Diamondback Energy', sector: SECTORS.ENERGY, industry: 'Oil, Gas & Consumable Fuels' },
+  { symbol: 'CCEP', name: 'Coca-Cola Europacific Partners', sector: SECTORS.STAPLES, industry: 'Beverages' },
+  { symbol: 'TTWO', name: 'Take-Two Interactive', sector: SECTORS.COMM, industry: 'Entertainment' },
+  { symbol: 'MDB', name: 'MongoDB', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'CTSH', name: 'Cognizant', sector: SECTORS.TECH, industry: 'IT Services' },
+  { symbol: 'TEAM', name: 'Atlassian', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'MCHP', name: 'Microchip Technology', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'KHC', name: 'Kraft Heinz', sector: SECTORS.STAPLES, industry: 'Food Products' },
+  { symbol: 'ODFL', name: 'Old Dominion', sector: SECTORS.INDUSTRIALS, industry: 'Ground Transportation' },
+  { symbol: 'GEHC', name: 'GE HealthCare', sector: SECTORS.HEALTH, industry: 'Health Care Equipment & Supplies' },
+  { symbol: 'CSGP', name: 'CoStar Group', sector: SECTORS.REAL_ESTATE, industry: 'Real Estate Management & Development' },
+  { symbol: 'LULU', name: 'Lululemon Athletica', sector: SECTORS.DISC, industry: 'Textiles, Apparel & Luxury Goods' },
+  { symbol: 'DXCM', name: 'Dexcom', sector: SECTORS.HEALTH, industry: 'Health Care Equipment & Supplies' },
+  { symbol: 'WBD', name: 'Warner Bros. Discovery', sector: SECTORS.COMM, industry: 'Entertainment' },
+  { symbol: 'TTD', name: 'Trade Desk (The)', sector: SECTORS.COMM, industry: 'Media' },
+  { symbol: 'ON', name: 'ON Semiconductor', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'CDW', name: 'CDW Corporation', sector: SECTORS.TECH, industry: 'Electronic Equipment, Instruments & Components' },
+  { symbol: 'GFS', name: 'GlobalFoundries', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'BIIB', name: 'Biogen', sector: SECTORS.HEALTH, industry: 'Biotechnology' },
+];
+
+export const NASDAQ100_SYMBOLS = NASDAQ100_CONSTITUENTS.map(c => c.symbol);
@@ -0,0 +1,112 @@
+// src/data/providers/coingeckoProvider.js
+import { apiClient } from '../apiClient.js';
+
+function normalizeMarket(c) {
+  return {
+    id: c.id,
+    symbol: c.symbol.toUpperCase(),
+    name: c.name,
+    price: c.current_price,
+    marketCap: c.market_cap ?? null,
+    rank: c.market_cap_rank ?? null,
+    changePct1H: c.price_change_percentage_1h_in_currency ?? null,
+    // Prefer *_in_currency if present, otherwise fallback
+    changePct1D:
+      c.price_change_percentage_24h_in_currency ??
+      c.price_change_percentage_24h ??
+      null,
+    changePct1W: c.price_change_percentage_7d_in_currency ?? null,
+    changePct1M: c.price_change_percentage_30d_in_currency ?? null,
+    changePct1Y: c.price_change_percentage_1y_in_currency ?? null,
+    logoUrl: c.image || null,
+  };
+}
+
+export const coingeckoProvider = {
+  name: 'coingecko',
+
+  /**
+   * @param {string[]} ids CoinGecko coin IDs
+   * @returns {Promise<Array<{ id, symbol, name, price, marketCap, rank, changePct1H, changePct1D, changePct1W, changePct1M, changePct1Y, logoUrl }>>}
+   */
+  async getCryptoMarkets(ids, opts = {}) {
+    const vsCurrency = opts.vsCurrency || 'usd';
+    const idsStr = ids.join(',');
+
+    const data = await apiClient.coingecko(
+      `/coins/markets?vs_currency=${encodeURIComponent(
+        vsCurrency
+      )}&ids=${encodeURIComponent(
+        idsStr
+      )}&price_change_percentage=1h,24h,7d,30d,1y&per_page=${ids.length}&page=1`,
+      { signal: opts.signal }
+    );
+
+    return data.map(normalizeMarket);
+  },
+
+  /**
+   * The largest `count` coins by market cap (max 250, one page).
+   */
+  async getTopCryptoMarkets(count, opts = {}) {
+    const vsCurrency = opts.vsCurrency || 'usd';
+    const data = await apiClient.coingecko(
+      `/coins/markets?vs_currency=${encodeURIComponent(
+        vsCurrency
+      )}&order=market_cap_desc&price_change_percentage=1h,24h,7d,30d,1y&per_page=${count}&page=1`,
+      { signal: opts.signal }
+    );
+
+    return data.map(normalizeMarket);
+  },
+
+  /**
+   * Price at 00:00 UTC on a past day (e.g. Jan 1 for YTD) in every
+   * vs_currency CoinGecko reports.
+   * @param {string} dateIso YYYY-MM-DD
+   * @returns {Promise<Object<string, number>|null>} e.g. { usd, eur, btc, ... }
+   */
+  async getCryptoPriceOn(id, dateIso, opts = {}) {
+    const [y, m, d] = dateIso.split('-');
+    const data = await apiClient.coingecko(
+      `/coins/${encodeURIComponent(id)}/history?date=${d}-${m}-${y}&localization=false`,
+      { signal: opts.signal }
+    );
+    return data.market_data?.current_price || null;
+  },
+
+  /**
+   * /global: total cap and volume per vs_currency, dominance in %.
+   * @returns {Promise<{ totalMarketCap, totalVolume, marketCapChangePct24h, dominance: { btc, eth }, activeCoins }>}
+   */
+  async getCryptoGlobal(opts = {}) {
+    const { data } = await apiClient.coingecko('/global', { signal: opts.signal });
+    const pct = data.market_cap_percentage || {};
+
+    return {
+      totalMarketCap: data.total_market_cap || {},
+      totalVolume: data.total_volume || {},
+      marketCapChangePct24h: data.market_cap_change_percentage_24h_usd ?? null,
+      dominance: { btc: pct.btc ?? null, eth: pct.eth ?? null },
+      activeCoins: data.active_cryptocurrencies ?? null,
+    };
+  },
+
+  /**
+   * @returns {Promise<Array<{ id, symbol, name, rank, thumb }>>} best matches first
+   */
+  async searchCrypto(query, opts = {}) {
+    const data = await apiClient.coingecko(
+      `/search?query=${encodeURIComponent(query)}`,
+      { signal: opts.signal }
+    );
+
+    return (data.coins || []).map((c) => ({
+      id: c.id,
+      symbol: String(c.symbol || '').toUpperCase(),
+      name: c.name,
+      rank: c.market_cap_rank ?? null,
+      thumb: c.thumb || null,
+    }));
+  },
+};
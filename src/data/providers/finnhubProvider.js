@@ -0,0 +1,153 @@
+// src/data/providers/finnhubProvider.js
+import { apiClient } from '../apiClient.js';
+
+// Finnhub /quote fields: c = current, dp = % change, pc = previous close
+function pctFromQuote(data) {
+  if (typeof data.dp === 'number') return data.dp;
+  if (
+    typeof data.c === 'number' &&
+    typeof data.pc === 'number' &&
+    data.pc !== 0
+  ) {
+    return ((data.c - data.pc) / data.pc) * 100;
+  }
+  return null;
+}
+
+// Exchange-prefixed FX pairs, e.g. "OANDA:EUR_USD"
+const FOREX_SYMBOL = /^[A-Z]+:[A-Z]{3}_[A-Z]{3}$/;
+
+// /quote only covers stocks. FX pairs: the latest daily forex candle is
+// today's bar (still forming) and the one before it the previous close.
+async function forexQuote(symbol, opts) {
+  const to = Math.floor(Date.now() / 1000);
+  const from = to - 10 * 24 * 60 * 60; // spans weekends and holidays
+  const data = await apiClient.finnhub(
+    `/forex/candle?symbol=${encodeURIComponent(symbol)}&resolution=D&from=${from}&to=${to}`,
+    { keyName: opts.keyName, signal: opts.signal }
+  );
+
+  const closes = data.s === 'ok' && Array.isArray(data.c) ? data.c : [];
+  const price = closes.length ? closes[closes.length - 1] : null;
+  const previousClose = closes.length > 1 ? closes[closes.length - 2] : null;
+  return {
+    symbol,
+    price,
+    changePct1D: pctFromQuote({ c: price, pc: previousClose }),
+    previousClose,
+    extendedPrice: null,
+  };
+}
+
+function normalizeLogo(logo) {
+  if (!logo) return null;
+  return logo.startsWith('http') ? logo : `https://${logo}`;
+}
+
+export const finnhubProvider = {
+  name: 'finnhub',
+
+  /**
+   * @returns {Promise<{ symbol, price, changePct1D, previousClose }>}
+   */
+  async getQuote(symbol, opts = {}) {
+    if (FOREX_SYMBOL.test(symbol)) return forexQuote(symbol, opts);
+
+    const data = await apiClient.finnhub(
+      `/quote?symbol=${encodeURIComponent(symbol)}`,
+      { keyName: opts.keyName, signal: opts.signal }
+    );
+
+    return {
+      symbol,
+      price: typeof data.c === 'number' ? data.c : null,
+      changePct1D: pctFromQuote(data),
+      previousClose: typeof data.pc === 'number' ? data.pc : null,
+      // /quote only carries the regular session; extended-hours prints
+      // arrive through the trade stream instead
+      extendedPrice: null,
+    };
+  },
+
+  /**
+   * @returns {Promise<{ symbol, name, logo, marketCap }>}
+   */
+  async getProfile(symbol, opts = {}) {
+    const data = await apiClient.finnhub(
+      `/stock/profile2?symbol=${encodeURIComponent(symbol)}`,
+      { keyName: opts.keyName || 'companies', signal: opts.signal }
+    );
+
+    return {
+      symbol,
+      name: data.name || data.ticker || symbol,
+      logo: normalizeLogo(data.logo),
+      // Finnhub field: marketCapitalization (number; units may be billions)
+      marketCap:
+        typeof data.marketCapitalization === 'number'
+          ? data.marketCapitalization
+          : null,
+    };
+  },
+
+  /**
+   * Fund size for ETFs. Finnhub's aum is in millions of USD.
+   * @returns {Promise<{ symbol, aum }>} aum null when not reported
+   */
+  async getEtfProfile(symbol, opts = {}) {
+    const data = await apiClient.finnhub(
+      `/etf/profile?symbol=${encodeURIComponent(symbol)}`,
+      { keyName: opts.keyName, signal: opts.signal }
+    );
+
+    const aum = data.profile && data.profile.aum;
+    return { symbol, aum: typeof aum === 'number' && aum > 0 ? aum : null };
+  },
+
+  /**
+   * Daily bars, oldest first. Finnhub answers { s: 'no_data' } for empty ranges.
+   * FX pairs ("OANDA:EUR_USD") come from the forex endpoint.
+   * @param {string} fromIso YYYY-MM-DD
+   * @param {string} toIso YYYY-MM-DD
+   * @returns {Promise<Array<{ date, close, high, low }>>}
+   */
+  async getDailyCandles(symbol, fromIso, toIso, opts = {}) {
+    const from = Math.floor(Date.parse(`${fromIso}T00:00:00Z`) / 1000);
+    const to = Math.floor(Date.parse(`${toIso}T23:59:59Z`) / 1000);
+    const path = FOREX_SYMBOL.test(symbol) ? '/forex/candle' : '/stock/candle';
+    const data = await apiClient.finnhub(
+      `${path}?symbol=${encodeURIComponent(symbol)}&resolution=D&from=${from}&to=${to}`,
+      { keyName: opts.keyName, signal: opts.signal }
+    );
+
+    if (data.s !== 'ok' || !Array.isArray(data.t)) return [];
+    return data.t.map((t, i) => ({
+      date: new Date(t * 1000).toISOString().slice(0, 10),
+      close: data.c[i],
+      high: data.h[i],
+      low: data.l[i],
+    }));
+  },
+
+  /**
+   * @param {string} fromIso YYYY-MM-DD
+   * @param {string} toIso YYYY-MM-DD
+   * @returns {Promise<Array<{ symbol, date, hour, epsActual, epsEstimate, revenueActual, revenueEstimate }>>}
+   */
+  async getEarningsCalendar(fromIso, toIso, opts = {}) {
+    const data = await apiClient.finnhub(
+      `/calendar/earnings?from=${fromIso}&to=${toIso}`,
+      { keyName: opts.keyName, signal: opts.signal }
+    );
+
+    return (data.earningsCalendar || []).map((e) => ({
+      symbol: e.symbol,
+      date: e.date,
+      hour: e.hour,
+      epsActual: e.epsActual,
+      epsEstimate: e.epsEstimate,
+      revenueActual: e.revenueActual,
+      revenueEstimate: e.revenueEstimate,
+    }));
+  },
+};
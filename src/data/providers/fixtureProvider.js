@@ -0,0 +1,241 @@
+// src/data/providers/fixtureProvider.js
+// Offline adapter: deterministic fake data so the UI can be developed and
+// demoed without burning API quota. Values are stable for a given symbol/day.
+import { SP500_CONSTITUENTS } from '../sp500-constituents.js';
+import { IMPORTANT_TICKERS } from '../importantTickers.js';
+import { getMarketState } from '../tradingCalendar.js';
+
+const KNOWN_NAMES = new Map(SP500_CONSTITUENTS.map((c) => [c.symbol, c.name]));
+
+const CRYPTO_FIXTURES = {
+  bitcoin: { symbol: 'BTC', name: 'Bitcoin', price: 64000, marketCap: 1.26e12 },
+  ethereum: { symbol: 'ETH', name: 'Ethereum', price: 3100, marketCap: 3.7e11 },
+  binancecoin: { symbol: 'BNB', name: 'BNB', price: 580, marketCap: 8.5e10 },
+  solana: { symbol: 'SOL', name: 'Solana', price: 145, marketCap: 6.7e10 },
+  ripple: { symbol: 'XRP', name: 'XRP', price: 0.55, marketCap: 3.1e10 },
+  cardano: { symbol: 'ADA', name: 'Cardano', price: 0.42, marketCap: 1.5e10 },
+  dogecoin: { symbol: 'DOGE', name: 'Dogecoin', price: 0.12, marketCap: 1.7e10 },
+  tron: { symbol: 'TRX', name: 'TRON', price: 0.13, marketCap: 1.1e10 },
+  'avalanche-2': { symbol: 'AVAX', name: 'Avalanche', price: 27, marketCap: 1.1e10 },
+  'the-open-network': { symbol: 'TON', name: 'Toncoin', price: 6.5, marketCap: 1.6e10 },
+  chainlink: { symbol: 'LINK', name: 'Chainlink', price: 13, marketCap: 7.9e9 },
+  polkadot: { symbol: 'DOT', name: 'Polkadot', price: 5.8, marketCap: 8.4e9 },
+  uniswap: { symbol: 'UNI', name: 'Uniswap', price: 7.4, marketCap: 4.4e9 },
+  litecoin: { symbol: 'LTC', name: 'Litecoin', price: 72, marketCap: 5.4e9 },
+  sui: { symbol: 'SUI', name: 'Sui', price: 3.4, marketCap: 1.2e10 },
+};
+
+// USD per unit of each vs_currency
+const CRYPTO_VS_USD = {
+  usd: 1,
+  eur: 1.08,
+  gbp: 1.27,
+  btc: CRYPTO_FIXTURES.bitcoin.price,
+  eth: CRYPTO_FIXTURES.ethereum.price,
+};
+
+// Fixture coins ranked by market cap
+const CRYPTO_RANKS = new Map(
+  Object.entries(CRYPTO_FIXTURES)
+    .sort(([, a], [, b]) => b.marketCap - a.marketCap)
+    .map(([id], i) => [id, i + 1])
+);
+
+// FNV-1a; good enough to spread symbols over a range
+function hash(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+// 0..1, stable per (seed, day)
+function unit(seed) {
+  const day = new Date().toISOString().slice(0, 10);
+  return (hash(`${seed}|${day}`) % 10000) / 10000;
+}
+
+// Roughly normal-ish % move in [-span, span]
+function fakePct(seed, span) {
+  const u = (unit(`${seed}:a`) + unit(`${seed}:b`) + unit(`${seed}:c`)) / 3;
+  return Number(((u * 2 - 1) * span).toFixed(2));
+}
+
+function datesBetween(fromIso, toIso) {
+  const out = [];
+  const d = new Date(`${fromIso}T12:00:00Z`);
+  const end = new Date(`${toIso}T12:00:00Z`);
+  while (d <= end) {
+    const dow = d.getUTCDay();
+    if (dow >= 1 && dow <= 5) out.push(d.toISOString().slice(0, 10));
+    d.setUTCDate(d.getUTCDate() + 1);
+  }
+  return out;
+}
+
+// FX pairs ("OANDA:EUR_USD") trade near real rates with small daily moves
+const FX_RATES = {
+  EUR_USD: 1.08,
+  USD_JPY: 150,
+  GBP_USD: 1.27,
+  USD_CHF: 0.88,
+  AUD_USD: 0.66,
+  USD_CAD: 1.37,
+  USD_CNH: 7.2,
+};
+
+function fxPair(symbol) {
+  const m = /^[A-Z]+:([A-Z]{3}_[A-Z]{3})$/.exec(symbol);
+  return m ? m[1] : null;
+}
+
+// Stable per symbol; the quote's previous close and the newest candle close
+function basePrice(symbol) {
+  const pair = fxPair(symbol);
+  if (pair) return FX_RATES[pair] || 1;
+  return Number((20 + (hash(symbol) % 60000) / 100).toFixed(2));
+}
+
+function roundPrice(symbol, value) {
+  return Number(value.toFixed(fxPair(symbol) ? 4 : 2));
+}
+
+export const fixtureProvider = {
+  name: 'fixture',
+
+  async getQuote(symbol) {
+    const previousClose = basePrice(symbol);
+    const changePct1D = fakePct(symbol, fxPair(symbol) ? 0.8 : 4);
+    const price = roundPrice(symbol, previousClose * (1 + changePct1D / 100));
+    const state = getMarketState();
+    return {
+      symbol,
+      price,
+      changePct1D,
+      previousClose,
+      extendedPrice:
+        (state === 'pre' || state === 'post') && !fxPair(symbol)
+          ? Number((price * (1 + fakePct(`${symbol}:${state}`, 1.5) / 100)).toFixed(2))
+          : null,
+    };
+  },
+
+  async getProfile(symbol) {
+    // Skew caps so the treemap has a realistic head and tail
+    const rank = hash(`${symbol}:cap`) % 1000;
+    return {
+      symbol,
+      name: KNOWN_NAMES.get(symbol) || symbol,
+      logo: null,
+      marketCap: Math.round(4000000 / (rank + 1)),
+    };
+  },
+
+  async getEtfProfile(symbol) {
+    return { symbol, aum: 1000 + (hash(`${symbol}:aum`) % 70000) };
+  },
+
+  // Random walk backwards from the quote's previous close, so 1W/1M/YTD
+  // line up with the fixture quote
+  async getDailyCandles(symbol, fromIso, toIso) {
+    const days = datesBetween(fromIso, toIso);
+    const today = new Date().toISOString().slice(0, 10);
+    const closed = days.filter((d) => d < today);
+
+    const fx = !!fxPair(symbol);
+    let close = basePrice(symbol);
+    const out = [];
+    for (let i = closed.length - 1; i >= 0; i--) {
+      const date = closed[i];
+      const wiggle = ((hash(`${symbol}:${date}:r`) % 1000) / 1000) * 0.02;
+      out.push({
+        date,
+        close: roundPrice(symbol, close),
+        high: roundPrice(symbol, close * (1 + wiggle)),
+        low: roundPrice(symbol, close * (1 - wiggle)),
+      });
+      const move = ((hash(`${symbol}:${date}`) % 1000) / 1000 - 0.49) * (fx ? 0.008 : 0.04);
+      close = close / (1 + move);
+    }
+    return out.reverse();
+  },
+
+  async getEarningsCalendar(fromIso, toIso) {
+    const days = datesBetween(fromIso, toIso);
+    if (!days.length) return [];
+
+    return IMPORTANT_TICKERS.filter((t) => unit(`${t}:er`) < 0.08).map((t) => ({
+      symbol: t,
+      date: days[hash(`${t}:day`) % days.length],
+      hour: hash(`${t}:hour`) % 2 ? 'amc' : 'bmo',
+      epsActual: null,
+      epsEstimate: null,
+      revenueActual: null,
+      revenueEstimate: null,
+    }));
+  },
+
+  async getTopCryptoMarkets(count, opts = {}) {
+    const ids = Array.from(CRYPTO_RANKS.keys()).slice(0, count);
+    return fixtureProvider.getCryptoMarkets(ids, opts);
+  },
+
+  // Jan 1 price: today's price undone by a stable fake YTD move
+  async getCryptoPriceOn(id, dateIso) {
+    const c = CRYPTO_FIXTURES[id];
+    if (!c) return null;
+    const usd = c.price / (1 + fakePct(`${id}:${dateIso}`, 60) / 100);
+    return Object.fromEntries(Object.entries(CRYPTO_VS_USD).map(([code, rate]) => [code, usd / rate]));
+  },
+
+  async getCryptoGlobal() {
+    const totalUsd = 2.4e12;
+    const volumeUsd = 9.5e10;
+    const perCurrency = (usd) =>
+      Object.fromEntries(Object.entries(CRYPTO_VS_USD).map(([code, rate]) => [code, usd / rate]));
+
+    return {
+      totalMarketCap: perCurrency(totalUsd),
+      totalVolume: perCurrency(volumeUsd),
+      marketCapChangePct24h: fakePct('global:1d', 4),
+      dominance: {
+        btc: (CRYPTO_FIXTURES.bitcoin.marketCap / totalUsd) * 100,
+        eth: (CRYPTO_FIXTURES.ethereum.marketCap / totalUsd) * 100,
+      },
+      activeCoins: 14000 + (hash(new Date().toISOString().slice(0, 10)) % 500),
+    };
+  },
+
+  async searchCrypto(query) {
+    const q = String(query || '').trim().toLowerCase();
+    if (!q) return [];
+    return Object.entries(CRYPTO_FIXTURES)
+      .filter(([id, c]) => id.includes(q) || c.symbol.toLowerCase().includes(q) || c.name.toLowerCase().includes(q))
+      .map(([id, c]) => ({ id, symbol: c.symbol, name: c.name, rank: CRYPTO_RANKS.get(id), thumb: null }));
+  },
+
+  async getCryptoMarkets(ids, opts = {}) {
+    const rate = CRYPTO_VS_USD[opts.vsCurrency] || 1;
+    return ids
+      .filter((id) => CRYPTO_FIXTURES[id])
+      .map((id) => {
+        const c = CRYPTO_FIXTURES[id];
+        return {
+          id,
+          symbol: c.symbol,
+          name: c.name,
+          price: c.price / rate,
+          marketCap: c.marketCap / rate,
+          rank: CRYPTO_RANKS.get(id),
+          changePct1H: fakePct(`${id}:1h`, 1.5),
+          changePct1D: fakePct(`${id}:1d`, 6),
+          changePct1W: fakePct(`${id}:1w`, 12),
+          changePct1M: fakePct(`${id}:1m`, 25),
+          changePct1Y: fakePct(`${id}:1y`, 150),
+          logoUrl: null,
+        };
+      });
+  },
+};
@@ -0,0 +1,32 @@
+// src/data/proxyConfig.js
+// Optional self-hosted proxy (server/proxy.mjs). When set, apiClient sends
+// Finnhub and CoinGecko calls there and the proxy adds the keys.
+import { STORAGE_KEYS } from './constants.js';
+
+let proxyBase = '';
+
+function loadProxyBase() {
+  try {
+    proxyBase = localStorage.getItem(STORAGE_KEYS.proxyBase) || '';
+  } catch (_) {
+    proxyBase = '';
+  }
+}
+
+loadProxyBase();
+
+export function getProxyBase() {
+  return proxyBase;
+}
+
+/**
+ * @param {string} url e.g. "https://md-proxy.example.com" ('' to go direct)
+ */
+export function setProxyBase(url) {
+  proxyBase = String(url || '').trim().replace(/\/+$/, '');
+  if (proxyBase) {
+    localStorage.setItem(STORAGE_KEYS.proxyBase, proxyBase);
+  } else {
+    localStorage.removeItem(STORAGE_KEYS.proxyBase);
+  }
+}
@@ -0,0 +1,122 @@
+// src/data/quoteStream.js
+// WebSocket trade stream (Finnhub protocol, also spoken by
+// server/mockQuoteStream.mjs):
+//   -> { "type": "subscribe",   "symbol": "AAPL" }
+//   -> { "type": "unsubscribe", "symbol": "AAPL" }
+//   <- { "type": "trade", "data": [{ "s": "AAPL", "p": 189.2, "t": 1700000000000, "v": 10 }] }
+//   <- { "type": "ping" }
+
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+/**
+ * @param {object} opts
+ * @param {string} opts.url
+ * @param {(trades: Array<{ symbol, price, timestamp }>) => void} opts.onTrades
+ * @param {(status: 'connecting'|'open'|'reconnecting'|'closed') => void} [opts.onStatus]
+ */
+export function createQuoteStream({ url, onTrades, onStatus }) {
+  let ws = null;
+  let symbols = new Set();
+  let closed = false;
+  let attempt = 0;
+  let reconnectTimer = null;
+  let status = 'connecting';
+
+  function setStatus(next) {
+    status = next;
+    if (onStatus) onStatus(next);
+  }
+
+  function send(msg) {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(msg));
+    }
+  }
+
+  function handleMessage(ev) {
+    if (closed) return;
+    let msg;
+    try {
+      msg = JSON.parse(ev.data);
+    } catch (_) {
+      return;
+    }
+    if (msg.type !== 'trade' || !Array.isArray(msg.data)) return;
+
+    const trades = msg.data
+      .filter((t) => t && t.s && typeof t.p === 'number')
+      .map((t) => ({ symbol: String(t.s).toUpperCase(), price: t.p, timestamp: t.t }));
+
+    if (trades.length) onTrades(trades);
+  }
+
+  function scheduleReconnect() {
+    setStatus('reconnecting');
+    const expo = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempt);
+    const delay = expo / 2 + Math.random() * (expo / 2);
+    attempt += 1;
+    reconnectTimer = setTimeout(connect, delay);
+  }
+
+  function connect() {
+    reconnectTimer = null;
+    setStatus('connecting');
+
+    try {
+      ws = new WebSocket(url);
+    } catch (err) {
+      console.warn('Quote stream connect failed', err);
+      scheduleReconnect();
+      return;
+    }
+
+    ws.addEventListener('open', () => {
+      attempt = 0;
+      setStatus('open');
+      // Fresh socket: the server forgot our subscriptions
+      symbols.forEach((symbol) => send({ type: 'subscribe', symbol }));
+    });
+
+    ws.addEventListener('message', handleMessage);
+
+    ws.addEventListener('close', () => {
+      ws = null;
+      if (closed) setStatus('closed');
+      else scheduleReconnect();
+    });
+  }
+
+  connect();
+
+  return {
+    /**
+     * Replace the subscription set; only the difference goes over the wire.
+     * @param {string[]} next
+     */
+    setSymbols(next) {
+      const nextSet = new Set(next.map((s) => String(s).toUpperCase()));
+      symbols.forEach((symbol) => {
+        if (!nextSet.has(symbol)) send({ type: 'unsubscribe', symbol });
+      });
+      nextSet.forEach((symbol) => {
+        if (!symbols.has(symbol)) send({ type: 'subscribe', symbol });
+      });
+      symbols = nextSet;
+    },
+
+    close() {
+      closed = true;
+      if (reconnectTimer) clearTimeout(reconnectTimer);
+      setStatus('closed');
+      // The socket's 'close' event lands later, possibly after a new stream
+      // has started reporting; it must not overwrite that stream's status
+      onStatus = null;
+      if (ws) ws.close();
+    },
+
+    getStatus() {
+      return status;
+    },
+  };
+}
@@ -0,0 +1,155 @@
+// src/data/referenceCloses.js
+// 1W / 1M / YTD moves for stocks and ETFs. Quotes only carry the previous
+// close, so we pull a year of daily candles once per trading day, keep just
+// the reference closes (plus the 52-week range), and measure the live price
+// against them. Cached apart from the intraday quote caches.
+import { marketData } from './marketData.js';
+import { REQUEST_ERRORS } from './constants.js';
+import { toEstIso, isDifferentTradingDay } from './timezone.js';
+
+const CANDLE_LOOKBACK_DAYS = 380; // 52 weeks + room for last year's final close
+
+// YYYY-MM-DD from the local fields: our dates hold the NY wall clock
+// (new Date(toEstIso(...))), which toISOString() would shift by the UTC offset
+function isoDay(date) {
+  const mm = String(date.getMonth() + 1).padStart(2, '0');
+  const dd = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${mm}-${dd}`;
+}
+
+function pctFrom(price, reference) {
+  if (typeof price !== 'number' || typeof reference !== 'number' || reference === 0) {
+    return null;
+  }
+  return ((price - reference) / reference) * 100;
+}
+
+/**
+ * Reduce daily candles to what the heatmaps need.
+ * @param {Array<{ date, close, high, low }>} candles oldest first
+ * @param {Date} now EST wall-clock date
+ */
+function deriveReferences(candles, now) {
+  const lastCloseOnOrBefore = (iso) => {
+    let close = null;
+    for (const c of candles) {
+      if (c.date > iso) break;
+      close = c.close;
+    }
+    return close;
+  };
+
+  const weekAgo = new Date(now);
+  weekAgo.setDate(weekAgo.getDate() - 7);
+  const monthAgo = new Date(now);
+  monthAgo.setMonth(monthAgo.getMonth() - 1);
+  const yearAgo = new Date(now);
+  yearAgo.setFullYear(yearAgo.getFullYear() - 1);
+
+  const yearAgoIso = isoDay(yearAgo);
+  let high52 = null;
+  let low52 = null;
+  for (const c of candles) {
+    if (c.date <= yearAgoIso) continue;
+    if (high52 == null || c.high > high52) high52 = c.high;
+    if (low52 == null || c.low < low52) low52 = c.low;
+  }
+
+  return {
+    close1W: lastCloseOnOrBefore(isoDay(weekAgo)),
+    close1M: lastCloseOnOrBefore(isoDay(monthAgo)),
+    closeYTD: lastCloseOnOrBefore(`${now.getFullYear() - 1}-12-31`),
+    high52,
+    low52,
+  };
+}
+
+/**
+ * @param {{ storageKey: string, keyName: string, batchSize?: number }} config
+ *   batchSize caps candle calls per refresh so a large universe fills in over
+ *   several refreshes instead of draining the rate limit in one go
+ */
+export function createReferenceCloses({ storageKey, keyName, batchSize = Infinity }) {
+  // symbol -> { asOf, close1W, close1M, closeYTD, high52, low52 }
+  let entries = {};
+
+  try {
+    const raw = localStorage.getItem(storageKey);
+    if (raw) entries = JSON.parse(raw) || {};
+  } catch (_) {
+    // ignore
+  }
+
+  function save() {
+    localStorage.setItem(storageKey, JSON.stringify(entries));
+  }
+
+  /**
+   * Fetch candles for symbols whose references are from an earlier trading
+   * day (in the given priority order, up to batchSize).
+   * @returns {Promise<{ timedOut: boolean, failed: boolean }>} failed: some
+   *   symbols got no candles (timeouts included)
+   */
+  async function refresh(symbols, { signal } = {}) {
+    const nowEstIso = toEstIso(new Date());
+    const stale = symbols
+      .filter((symbol) => !entries[symbol] || isDifferentTradingDay(entries[symbol].asOf, nowEstIso))
+      .slice(0, batchSize);
+    if (!stale.length) return { timedOut: false, failed: false };
+
+    const now = new Date(nowEstIso);
+    const from = new Date(now);
+    from.setDate(from.getDate() - CANDLE_LOOKBACK_DAYS);
+    let timedOut = false;
+    let failed = false;
+
+    await Promise.all(
+      stale.map(async (symbol) => {
+        try {
+          const candles = await marketData.getDailyCandles(
+            symbol,
+            isoDay(from),
+            isoDay(now),
+            { keyName, signal }
+          );
+          entries[symbol] = { asOf: nowEstIso, ...deriveReferences(candles, now) };
+        } catch (err) {
+          if (err.message === REQUEST_ERRORS.ABORTED) return;
+          if (err.message === REQUEST_ERRORS.TIMEOUT) timedOut = true;
+          failed = true;
+          console.warn('Daily candles error', symbol, err);
+        }
+      })
+    );
+
+    save();
+    return { timedOut, failed };
+  }
+
+  /**
+   * @returns {{ changePct1W, changePct1M, changePctYTD }} nulls when unknown
+   */
+  function changesFor(symbol, price) {
+    const ref = entries[symbol] || {};
+    return {
+      changePct1W: pctFrom(price, ref.close1W),
+      changePct1M: pctFrom(price, ref.close1M),
+      changePctYTD: pctFrom(price, ref.closeYTD),
+    };
+  }
+
+  function get(symbol) {
+    return entries[symbol] || null;
+  }
+
+  function reset() {
+    entries = {};
+    try {
+      localStorage.removeItem(storageKey);
+    } catch (_) {
+      // ignore
+    }
+  }
+
+  return { refresh, changesFor, get, reset };
+}
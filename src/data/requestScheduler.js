@@ -0,0 +1,214 @@
+// src/data/requestScheduler.js
+// Central request queue: one token bucket per API key, FIFO across buckets,
+// and exponential backoff (with jitter) when the upstream answers 429.
+import { REQUEST_ERRORS } from './constants.js';
+
+const DEFAULT_BUCKET = {
+  ratePerMinute: 60, // Finnhub free tier
+  burst: 10,
+};
+
+const DEFAULT_OPTIONS = {
+  maxConcurrent: 4,
+  maxRetries: 4,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  isRetryable: (err) => err && err.message === REQUEST_ERRORS.RATE_LIMIT,
+};
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+export function createRequestScheduler(opts = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...opts };
+
+  const bucketConfig = {}; // bucketKey -> { ratePerMinute, burst }
+  const buckets = {};      // bucketKey -> { tokens, last }
+  const queue = [];        // [{ bucketKey, task, resolve, reject, attempt, signal, onAbort }]
+  const listeners = new Set();
+
+  let inFlight = 0;
+  let timerId = null;
+
+  function configFor(bucketKey) {
+    return bucketConfig[bucketKey] || DEFAULT_BUCKET;
+  }
+
+  function bucketFor(bucketKey) {
+    if (!buckets[bucketKey]) {
+      buckets[bucketKey] = { tokens: configFor(bucketKey).burst, last: Date.now() };
+    }
+    const b = buckets[bucketKey];
+    const cfg = configFor(bucketKey);
+    const now = Date.now();
+    const refill = ((now - b.last) / 60000) * cfg.ratePerMinute;
+    b.tokens = Math.min(cfg.burst, b.tokens + refill);
+    b.last = now;
+    return b;
+  }
+
+  function msUntilToken(bucketKey) {
+    const b = bucketFor(bucketKey);
+    if (b.tokens >= 1) return 0;
+    return Math.ceil(((1 - b.tokens) / configFor(bucketKey).ratePerMinute) * 60000);
+  }
+
+  function notify() {
+    const stats = getStats();
+    listeners.forEach((fn) => {
+      try {
+        fn(stats);
+      } catch (_) {
+        // listener errors must not break the queue
+      }
+    });
+  }
+
+  function getStats() {
+    return { queued: queue.length, inFlight };
+  }
+
+  function pump() {
+    if (timerId) {
+      clearTimeout(timerId);
+      timerId = null;
+    }
+
+    let waitMs = Infinity;
+    let i = 0;
+
+    while (i < queue.length && inFlight < options.maxConcurrent) {
+      const job = queue[i];
+      const wait = msUntilToken(job.bucketKey);
+      if (wait > 0) {
+        // This key is exhausted; let jobs for other keys go ahead
+        waitMs = Math.min(waitMs, wait);
+        i += 1;
+        continue;
+      }
+
+      bucketFor(job.bucketKey).tokens -= 1;
+      queue.splice(i, 1);
+      run(job);
+    }
+
+    if (queue.length && inFlight < options.maxConcurrent && waitMs < Infinity) {
+      timerId = setTimeout(pump, waitMs);
+    }
+
+    notify();
+  }
+
+  // While a job waits in the queue, aborting its signal drops it; once it
+  // runs, fetch sees the signal itself
+  function watchAbort(job) {
+    if (job.signal) job.signal.addEventListener('abort', job.onAbort, { once: true });
+  }
+
+  function unwatchAbort(job) {
+    if (job.signal) job.signal.removeEventListener('abort', job.onAbort);
+  }
+
+  async function run(job) {
+    unwatchAbort(job);
+    inFlight += 1;
+    try {
+      const result = await job.task();
+      job.resolve(result);
+    } catch (err) {
+      const cancelled = job.signal && job.signal.aborted;
+      if (!cancelled && options.isRetryable(err) && job.attempt < options.maxRetries) {
+        // Upstream says we're over quota: drain the bucket and back off
+        bucketFor(job.bucketKey).tokens = 0;
+
+        const expo = Math.min(
+          options.maxDelayMs,
+          options.baseDelayMs * 2 ** job.attempt
+        );
+        const jittered = expo / 2 + Math.random() * (expo / 2);
+        const delay = Math.max(jittered, err.retryAfterMs || 0);
+
+        job.attempt += 1;
+        inFlight -= 1;
+        notify();
+        await sleep(delay);
+        if (job.signal && job.signal.aborted) {
+          job.reject(new Error(REQUEST_ERRORS.ABORTED));
+        } else {
+          queue.unshift(job);
+          watchAbort(job);
+        }
+        pump();
+        return;
+      }
+      job.reject(err);
+    }
+    inFlight -= 1;
+    pump();
+  }
+
+  function getQueueDepth() {
+    return queue.length + inFlight;
+  }
+
+  return {
+    /**
+     * Queue a request against a bucket (one bucket per API key).
+     * Aborting `signal` drops the job if it hasn't started yet.
+     * @param {string} bucketKey
+     * @param {() => Promise<any>} task
+     * @param {{ signal?: AbortSignal }} [opts]
+     */
+    schedule(bucketKey, task, { signal } = {}) {
+      return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+          reject(new Error(REQUEST_ERRORS.ABORTED));
+          return;
+        }
+
+        const job = {
+          bucketKey,
+          task,
+          resolve: (value) => {
+            unwatchAbort(job);
+            resolve(value);
+          },
+          reject: (err) => {
+            unwatchAbort(job);
+            reject(err);
+          },
+          attempt: 0,
+          signal,
+          onAbort: () => {
+            const idx = queue.indexOf(job);
+            if (idx < 0) return;
+            queue.splice(idx, 1);
+            job.reject(new Error(REQUEST_ERRORS.ABORTED));
+            notify();
+          },
+        };
+        queue.push(job);
+        watchAbort(job);
+
+        pump();
+      });
+    },
+
+    configureBucket(bucketKey, cfg) {
+      bucketConfig[bucketKey] = { ...DEFAULT_BUCKET, ...cfg };
+    },
+
+    getQueueDepth,
+    getStats,
+
+    /**
+     * @param {(stats: { queued: number, inFlight: number }) => void} fn
+     * @returns {() => void} unsubscribe
+     */
+    onQueueChange(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+}
@@ -0,0 +1,247 @@
+// src/data/rotationService.js
+// Sector rotation vs SPY: relative strength (RS-Ratio) and its momentum
+// (RS-Momentum) for each SPDR sector, as used by relative rotation graphs.
+// Daily closes come from candles once per trading day; everything else is
+// derived locally.
+//
+// RS       = sector close / SPY close
+// RS-Ratio = 100 * RS / SMA(RS, ratioPeriod)           (>100: outperforming)
+// RS-Mom.  = 100 * RS-Ratio / RS-Ratio momentumPeriod ago (>100: improving)
+import { marketData } from './marketData.js';
+import { STORAGE_KEYS, REQUEST_ERRORS } from './constants.js';
+import { toEstIso, isDifferentTradingDay } from './timezone.js';
+import { SECTOR_LIST } from './sectorService.js';
+
+export const BENCHMARK_SYMBOL = 'SPY';
+
+const CANDLE_LOOKBACK_DAYS = 400;
+const TAIL_POINTS = 8; // head + 7 trailing points
+
+export const ROTATION_LOOKBACKS = {
+  daily: { label: 'Daily', frequency: 'daily', ratioPeriod: 21, momentumPeriod: 5 },
+  weekly: { label: 'Weekly (10W)', frequency: 'weekly', ratioPeriod: 10, momentumPeriod: 4 },
+  long: { label: 'Weekly (26W)', frequency: 'weekly', ratioPeriod: 26, momentumPeriod: 4 },
+};
+
+// Relative return vs SPY for the ranked table, in trading days
+const RELATIVE_PERIODS = { '1W': 5, '1M': 21, '3M': 63, '6M': 126 };
+
+let rotationState = {
+  closes: {},       // symbol -> [{ date, close }] oldest first
+  asOf: null,       // EST ISO of the last candle fetch
+  status: 'idle',
+  error: null,
+};
+
+function loadCache() {
+  const raw = localStorage.getItem(STORAGE_KEYS.sectorRotation);
+  if (!raw) return;
+  try {
+    const parsed = JSON.parse(raw);
+    rotationState.closes = parsed.closes || {};
+    rotationState.asOf = parsed.asOf || null;
+  } catch (_) {
+    // ignore
+  }
+}
+
+function saveCache() {
+  localStorage.setItem(
+    STORAGE_KEYS.sectorRotation,
+    JSON.stringify({ closes: rotationState.closes, asOf: rotationState.asOf })
+  );
+}
+
+loadCache();
+
+// YYYY-MM-DD from the local fields, which hold the NY wall clock here
+function isoDay(date) {
+  const mm = String(date.getMonth() + 1).padStart(2, '0');
+  const dd = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${mm}-${dd}`;
+}
+
+function allSymbols() {
+  return [BENCHMARK_SYMBOL, ...SECTOR_LIST.map((s) => s.symbol)];
+}
+
+async function refreshClosesIfNeeded(signal) {
+  const nowEstIso = toEstIso(new Date());
+  const complete = allSymbols().every((s) => rotationState.closes[s]?.length);
+  if (complete && !isDifferentTradingDay(rotationState.asOf, nowEstIso)) return;
+
+  rotationState.status = 'loading';
+  rotationState.error = null;
+
+  const now = new Date(nowEstIso);
+  const from = new Date(now);
+  from.setDate(from.getDate() - CANDLE_LOOKBACK_DAYS);
+  let failed = false;
+  let timedOut = false;
+
+  await Promise.all(
+    allSymbols().map(async (symbol) => {
+      try {
+        const candles = await marketData.getDailyCandles(symbol, isoDay(from), isoDay(now), {
+          keyName: 'sectors',
+          signal,
+        });
+        if (candles.length) {
+          rotationState.closes[symbol] = candles.map(({ date, close }) => ({ date, close }));
+        }
+      } catch (err) {
+        failed = true;
+        if (err.message === REQUEST_ERRORS.ABORTED) return;
+        if (err.message === REQUEST_ERRORS.TIMEOUT) timedOut = true;
+        console.warn('Rotation candles error', symbol, err);
+      }
+    })
+  );
+
+  if (signal && signal.aborted) {
+    rotationState.status = 'idle';
+    return;
+  }
+
+  // A partial fetch keeps the old stamp so the next visit retries
+  if (!failed) rotationState.asOf = nowEstIso;
+  rotationState.status = timedOut ? 'timeout' : failed ? 'error' : 'ready';
+  rotationState.error = timedOut
+    ? REQUEST_ERRORS.TIMEOUT
+    : failed
+    ? REQUEST_ERRORS.CANDLES
+    : null;
+  saveCache();
+}
+
+// ----------------- Calculations ------------------------------------------
+
+// Monday (UTC date math) of the week containing iso
+function weekKey(iso) {
+  const d = new Date(`${iso}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * [{ date, sector, benchmark }] on dates both have, sampled per frequency
+ * (weekly keeps each week's last session).
+ */
+function alignedSeries(sectorCloses, benchCloses, frequency) {
+  const bench = new Map(benchCloses.map((c) => [c.date, c.close]));
+  const rows = sectorCloses
+    .filter((c) => bench.has(c.date) && c.close > 0 && bench.get(c.date) > 0)
+    .map((c) => ({ date: c.date, sector: c.close, benchmark: bench.get(c.date) }));
+
+  if (frequency !== 'weekly') return rows;
+
+  const byWeek = new Map();
+  rows.forEach((r) => byWeek.set(weekKey(r.date), r));
+  return Array.from(byWeek.values());
+}
+
+function sma(values, end, period) {
+  if (end + 1 < period) return null;
+  let sum = 0;
+  for (let i = end - period + 1; i <= end; i++) sum += values[i];
+  return sum / period;
+}
+
+function rotationPoints(rows, { ratioPeriod, momentumPeriod }) {
+  const rs = rows.map((r) => r.sector / r.benchmark);
+  const ratios = rs.map((value, i) => {
+    const avg = sma(rs, i, ratioPeriod);
+    return avg ? (100 * value) / avg : null;
+  });
+
+  const points = [];
+  ratios.forEach((ratio, i) => {
+    const past = ratios[i - momentumPeriod];
+    if (ratio == null || past == null) return;
+    points.push({ date: rows[i].date, ratio, momentum: (100 * ratio) / past });
+  });
+  return points;
+}
+
+function relativeReturn(rows, days) {
+  const last = rows.length - 1;
+  if (last - days < 0) return null;
+  const then = rows[last - days];
+  const now = rows[last];
+  return ((now.sector / then.sector) / (now.benchmark / then.benchmark) - 1) * 100;
+}
+
+function quadrantOf(point) {
+  if (!point) return null;
+  if (point.ratio >= 100) return point.momentum >= 100 ? 'leading' : 'weakening';
+  return point.momentum >= 100 ? 'improving' : 'lagging';
+}
+
+/**
+ * @param {string} lookback key of ROTATION_LOOKBACKS
+ * @returns {Array<{ symbol, name, tail, ratio, momentum, quadrant, relative }>}
+ *   tail oldest first, last point = current; sorted by RS-Ratio, strongest first
+ */
+function computeRotation(lookback) {
+  const config = ROTATION_LOOKBACKS[lookback] || ROTATION_LOOKBACKS.weekly;
+  const benchCloses = rotationState.closes[BENCHMARK_SYMBOL] || [];
+
+  return SECTOR_LIST.map(({ symbol, name }) => {
+    const closes = rotationState.closes[symbol] || [];
+    const points = rotationPoints(alignedSeries(closes, benchCloses, config.frequency), config);
+    const head = points[points.length - 1] || null;
+
+    // Relative returns always use daily rows so 1W means five sessions
+    const daily = alignedSeries(closes, benchCloses, 'daily');
+    const relative = {};
+    for (const [label, days] of Object.entries(RELATIVE_PERIODS)) {
+      relative[label] = relativeReturn(daily, days);
+    }
+
+    return {
+      symbol,
+      name,
+      tail: points.slice(-TAIL_POINTS),
+      ratio: head ? head.ratio : null,
+      momentum: head ? head.momentum : null,
+      quadrant: quadrantOf(head),
+      relative,
+    };
+  }).sort((a, b) => (b.ratio ?? -Infinity) - (a.ratio ?? -Infinity));
+}
+
+// ----------------- Public API --------------------------------------------
+
+/**
+ * @param {{ signal?: AbortSignal, lookback?: string }} [opts]
+ */
+export async function getRotationData({ signal, lookback = 'weekly' } = {}) {
+  try {
+    await refreshClosesIfNeeded(signal);
+  } catch (err) {
+    rotationState.error = err.message;
+  }
+  return getRotationSnapshot(lookback);
+}
+
+/**
+ * Current state without touching the network.
+ */
+export function getRotationSnapshot(lookback = 'weekly') {
+  return {
+    sectors: computeRotation(lookback),
+    relativePeriods: Object.keys(RELATIVE_PERIODS),
+    asOf: rotationState.asOf,
+    status: rotationState.status,
+    error: rotationState.error,
+  };
+}
+
+export function resetRotationCache() {
+  try {
+    localStorage.removeItem(STORAGE_KEYS.sectorRotation);
+  } catch (_) {
+    // ignore
+  }
+  rotationState = { closes: {}, asOf: null, status: 'idle', error: null };
+}
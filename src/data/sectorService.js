@@ -1,27 +1,51 @@
 // src/data/sectorService.js
-import { apiClient } from './apiClient.js';
-import { STORAGE_KEYS } from './constants.js';
+import { marketData } from './marketData.js';
+import { STORAGE_KEYS, REQUEST_ERRORS, TIMEFRAMES } from './constants.js';
 import { toEstIso, isOlderThanMinutes } from './timezone.js';
+import { getClosedSince, getMarketState } from './tradingCalendar.js';
+import { createEmitter } from './emitter.js';
+import { createReferenceCloses } from './referenceCloses.js';
+import { saveSnapshot } from './snapshotStore.js';
+import { SECTORS, SP500_CONSTITUENTS } from './sp500-constituents.js';
+import { getCachedStocks } from './stocksService.js';
+import { getIndustryEtfs, onIndustryEtfsChange } from './industryEtfs.js';
 
 const SECTOR_REFRESH_MINUTES = 10;
+const SECTOR_WEIGHTS_TTL_MINUTES = 60 * 24; // recompute weights daily
+// Share of a sector's members that need a cached market cap before the
+// member-cap sum is trusted over ETF AUM
+const MIN_CAP_COVERAGE = 0.9;
+const STREAM_SAVE_DEBOUNCE_MS = 5000;
 
-// SPDR sector ETFs
-const SECTOR_LIST = [
-  { symbol: 'XLF', name: 'Financials' },
-  { symbol: 'XLK', name: 'Technology' },
-  { symbol: 'XLE', name: 'Energy' },
-  { symbol: 'XLY', name: 'Consumer Discretionary' },
-  { symbol: 'XLV', name: 'Health Care' },
-  { symbol: 'XLB', name: 'Materials' },
-  { symbol: 'XLI', name: 'Industrials' },
-  { symbol: 'XLRE', name: 'Real Estate' },
-  { symbol: 'XLC', name: 'Communication Services' },
-  { symbol: 'XLU', name: 'Utilities' },
-  { symbol: 'XLP', name: 'Consumer Staples' },
+// 1W/1M/YTD closes from daily candles, refreshed once a trading day
+const sectorReferences = createReferenceCloses({
+  storageKey: STORAGE_KEYS.sectorCandles,
+  keyName: 'sectors',
+});
+
+// Pushes { type: 'stream' | 'quote', symbols } when quotes move (live trades
+// or a refresh landing one symbol) and { type: 'progress' } as a refresh runs
+const sectorEvents = createEmitter();
+let streamSaveTimer = null;
+
+// SPDR sector ETFs; `sector` is the GICS sector each one tracks within
+// the S&P 500 (matches the constituents' `sector` field)
+export const SECTOR_LIST = [
+  { symbol: 'XLF', name: 'Financials', sector: SECTORS.FIN },
+  { symbol: 'XLK', name: 'Technology', sector: SECTORS.TECH },
+  { symbol: 'XLE', name: 'Energy', sector: SECTORS.ENERGY },
+  { symbol: 'XLY', name: 'Consumer Discretionary', sector: SECTORS.DISC },
+  { symbol: 'XLV', name: 'Health Care', sector: SECTORS.HEALTH },
+  { symbol: 'XLB', name: 'Materials', sector: SECTORS.MATERIALS },
+  { symbol: 'XLI', name: 'Industrials', sector: SECTORS.INDUSTRIALS },
+  { symbol: 'XLRE', name: 'Real Estate', sector: SECTORS.REAL_ESTATE },
+  { symbol: 'XLC', name: 'Communication Services', sector: SECTORS.COMM },
+  { symbol: 'XLU', name: 'Utilities', sector: SECTORS.UTILITIES },
+  { symbol: 'XLP', name: 'Consumer Staples', sector: SECTORS.STAPLES },
 ];
 
-// Static weights for treemap sizing
-const SECTOR_WEIGHTS = {
+// Seed weights (% of the S&P) until live ones have been computed once
+const DEFAULT_SECTOR_WEIGHTS = {
   XLK: 34.43,
   XLF: 13.40,
   XLY: 10.41,
@@ -44,8 +68,17 @@ try {
 
 let sectorState = {
   sectors: SECTOR_LIST,
-  quotes: {},          // symbol -> { price, changePct1D }
+  quotes: {},          // symbol -> { price, changePct1D, previousClose }
+  weights: DEFAULT_SECTOR_WEIGHTS, // symbol -> % of the index
+  weightsSource: 'default',        // 'constituents' | 'aum' | 'default'
+  weightsUpdatedAt: null,
+  aumWeightsTriedAt: null, // last AUM weights request, failed or not
+  industryAum: {},     // industry ETF symbol -> AUM (tile size)
+  industryAumUpdatedAt: null,
+  industryAumTriedAt: {}, // industry ETF symbol -> last AUM request, failed or not
+  progress: null,      // { done, total } while a refresh runs
   lastQuotesFetch: null,
+  lastIndustryFetch: null,
   status: 'idle',
   error: null,
 };
@@ -57,6 +90,16 @@ function loadCache() {
     const parsed = JSON.parse(raw);
     sectorState.quotes = parsed.quotes || sectorState.quotes;
     sectorState.lastQuotesFetch = parsed.lastQuotesFetch || null;
+    sectorState.lastIndustryFetch = parsed.lastIndustryFetch || null;
+    sectorState.industryAum = parsed.industryAum || {};
+    sectorState.industryAumUpdatedAt = parsed.industryAumUpdatedAt || null;
+    sectorState.industryAumTriedAt = parsed.industryAumTriedAt || {};
+    if (parsed.weights && parsed.weightsUpdatedAt) {
+      sectorState.weights = parsed.weights;
+      sectorState.weightsSource = parsed.weightsSource || 'default';
+      sectorState.weightsUpdatedAt = parsed.weightsUpdatedAt;
+    }
+    sectorState.aumWeightsTriedAt = parsed.aumWeightsTriedAt || null;
   } catch (_) {
     // ignore
   }
@@ -66,6 +109,14 @@ function saveCache() {
   const snapshot = {
     quotes: sectorState.quotes,
     lastQuotesFetch: sectorState.lastQuotesFetch,
+    lastIndustryFetch: sectorState.lastIndustryFetch,
+    industryAum: sectorState.industryAum,
+    industryAumUpdatedAt: sectorState.industryAumUpdatedAt,
+    industryAumTriedAt: sectorState.industryAumTriedAt,
+    weights: sectorState.weights,
+    weightsSource: sectorState.weightsSource,
+    weightsUpdatedAt: sectorState.weightsUpdatedAt,
+    aumWeightsTriedAt: sectorState.aumWeightsTriedAt,
   };
   localStorage.setItem(STORAGE_KEYS.sectorCache, JSON.stringify(snapshot));
 }
@@ -76,13 +127,23 @@ function getSectorSymbols() {
   return sectorState.sectors.map((s) => s.symbol);
 }
 
-async function refreshSectorQuotesIfNeeded() {
+function pick(map, symbols) {
+  const out = {};
+  symbols.forEach((symbol) => {
+    if (map[symbol]) out[symbol] = map[symbol];
+  });
+  return out;
+}
+
+// Shared by the sector map and the industry map. Quotes go into one map;
+// each map keeps its own fetch stamp (stampKey) and replay history (viewName).
+async function refreshQuotesIfNeeded({ symbols, stampKey, viewName, signal }) {
   const nowEstIso = toEstIso(new Date());
 
   if (
-    sectorState.lastQuotesFetch &&
+    sectorState[stampKey] &&
     !isOlderThanMinutes(
-      sectorState.lastQuotesFetch,
+      sectorState[stampKey],
       SECTOR_REFRESH_MINUTES,
       'America/New_York'
     )
@@ -90,62 +151,365 @@ async function refreshSectorQuotesIfNeeded() {
     return;
   }
 
+  // Overnight, weekends and holidays: a fetch stamped after the last session
+  // ended already has the final prices, so don't poll again until the open
+  const closedSince = getClosedSince();
+  if (closedSince && sectorState[stampKey] && sectorState[stampKey] >= closedSince) {
+    return;
+  }
+
   sectorState.status = 'loading';
   sectorState.error = null;
 
-  const symbols = getSectorSymbols();
-  const quotes = {};
+  const progress = { done: 0, total: symbols.length };
+  sectorState.progress = progress;
+  sectorEvents.emit({ type: 'progress' });
+  let timedOut = false;
 
-  for (const symbol of symbols) {
-    try {
-      const data = await apiClient.finnhub(
-        `/quote?symbol=${encodeURIComponent(symbol)}`,
-        { keyName: 'sectors' }
-      );
+  // Quotes land in the live map one by one so tiles recolor as they arrive
+  await Promise.all(
+    symbols.map(async (symbol) => {
+      try {
+        const q = await marketData.getQuote(symbol, { keyName: 'sectors', signal });
 
-      const price = data.c;
-      let pct1D =
-        typeof data.dp === 'number'
-          ? data.dp
-          : typeof data.c === 'number' &&
-            typeof data.pc === 'number' &&
-            data.pc !== 0
-          ? ((data.c - data.pc) / data.pc) * 100
-          : null;
-
-      quotes[symbol] = {
-        price,
-        changePct1D: pct1D,
-      };
-    } catch (err) {
-      console.warn('Sector quote error', symbol, err);
-    }
+        sectorState.quotes[symbol] = {
+          price: q.price,
+          changePct1D: q.changePct1D,
+          previousClose: q.previousClose,
+        };
+        progress.done += 1;
+        sectorEvents.emit({ type: 'quote', symbols: [symbol] });
+      } catch (err) {
+        progress.done += 1;
+        sectorEvents.emit({ type: 'progress' });
+        if (err.message === REQUEST_ERRORS.ABORTED) return;
+        if (err.message === REQUEST_ERRORS.TIMEOUT) timedOut = true;
+        console.warn('Sector quote error', symbol, err);
+      }
+    })
+  );
+
+  if (sectorState.progress === progress) sectorState.progress = null;
+  sectorEvents.emit({ type: 'progress' });
+
+  if (signal && signal.aborted) {
+    sectorState.status = 'idle';
+    saveCache();
+    return;
+  }
+
+  sectorState[stampKey] = nowEstIso;
+  sectorState.status = timedOut ? 'timeout' : 'ready';
+  sectorState.error = timedOut ? REQUEST_ERRORS.TIMEOUT : null;
+
+  saveCache();
+  // History for the replay slider (fire and forget)
+  saveSnapshot(viewName, { takenAt: nowEstIso, quotes: withPeriodChanges(pick(sectorState.quotes, symbols)) });
+}
+
+// ----------------- Weights ------------------------------------------------
+//
+// Preferred: sum of the members' market caps from the stocks tab's profile
+// cache (no extra calls). Until the S&P tail has been sized, fall back to the
+// ETFs' assets under management.
+
+function toPercentages(raw) {
+  const total = Object.values(raw).reduce((sum, v) => sum + v, 0);
+  if (!total) return null;
+  const out = {};
+  for (const [symbol, v] of Object.entries(raw)) out[symbol] = (v / total) * 100;
+  return out;
+}
+
+function weightsFromConstituents() {
+  const { marketCaps } = getCachedStocks(SP500_CONSTITUENTS.map((c) => c.symbol));
+  const raw = {};
+  for (const { symbol } of SECTOR_LIST) {
+    const members = getSectorMembers(symbol);
+    const caps = members
+      .map((member) => marketCaps[member])
+      .filter((cap) => typeof cap === 'number' && cap > 0);
+    if (!members.length || caps.length / members.length < MIN_CAP_COVERAGE) return null;
+    raw[symbol] = caps.reduce((sum, cap) => sum + cap, 0);
   }
+  return toPercentages(raw);
+}
+
+async function fetchAum(symbols, signal) {
+  const raw = {};
+  await Promise.all(
+    symbols.map(async (symbol) => {
+      try {
+        const { aum } = await marketData.getEtfProfile(symbol, { keyName: 'sectors', signal });
+        if (aum) raw[symbol] = aum;
+      } catch (err) {
+        if (err.message !== REQUEST_ERRORS.ABORTED) console.warn('ETF AUM error', symbol, err);
+      }
+    })
+  );
+  return raw;
+}
+
+async function weightsFromAum(signal) {
+  const raw = await fetchAum(getSectorSymbols(), signal);
+  // Partial AUM would skew the map; all or nothing
+  return Object.keys(raw).length === SECTOR_LIST.length ? toPercentages(raw) : null;
+}
+
+async function refreshWeightsIfNeeded(signal) {
+  const nowEstIso = toEstIso(new Date());
+  if (
+    sectorState.weightsUpdatedAt &&
+    sectorState.weightsSource === 'constituents' &&
+    !isOlderThanMinutes(sectorState.weightsUpdatedAt, SECTOR_WEIGHTS_TTL_MINUTES, 'America/New_York')
+  ) {
+    return;
+  }
+
+  // Member caps fill in over several stocks-tab refreshes, so keep checking
+  // them even while AUM weights are fresh
+  let weights = weightsFromConstituents();
+  let source = 'constituents';
 
-  sectorState.quotes = quotes;
-  sectorState.lastQuotesFetch = nowEstIso;
-  sectorState.status = 'ready';
+  if (!weights) {
+    // Once a day, whether the last AUM round worked or not
+    if (
+      !isOlderThanMinutes(sectorState.aumWeightsTriedAt, SECTOR_WEIGHTS_TTL_MINUTES, 'America/New_York')
+    ) {
+      return;
+    }
+    weights = await weightsFromAum(signal);
+    if (signal && signal.aborted) return;
+    sectorState.aumWeightsTriedAt = nowEstIso;
+    source = 'aum';
+  }
+  if (!weights) {
+    saveCache();
+    return; // keep the previous (or default) weights
+  }
 
+  sectorState.weights = weights;
+  sectorState.weightsSource = source;
+  sectorState.weightsUpdatedAt = nowEstIso;
   saveCache();
 }
 
-export async function getSectorData() {
+/**
+ * @param {{ signal?: AbortSignal, timeframe?: string }} [opts]
+ *   signal: abort to stop fetching (tab left)
+ *   timeframe: anything but 1D also loads daily candles for 1W/1M/YTD
+ */
+export async function getSectorData({ signal, timeframe = TIMEFRAMES.ONE_DAY } = {}) {
   try {
-    await refreshSectorQuotesIfNeeded();
+    await refreshQuotesIfNeeded({
+      symbols: getSectorSymbols(),
+      stampKey: 'lastQuotesFetch',
+      viewName: 'sectors',
+      signal,
+    });
   } catch (err) {
     sectorState.error = err.message;
   }
 
+  try {
+    await refreshWeightsIfNeeded(signal);
+  } catch (_) {}
+
+  if (timeframe !== TIMEFRAMES.ONE_DAY) {
+    try {
+      const { timedOut, failed } = await sectorReferences.refresh(getSectorSymbols(), { signal });
+      if (failed && !sectorState.error) {
+        sectorState.error = timedOut ? REQUEST_ERRORS.TIMEOUT : REQUEST_ERRORS.CANDLES;
+      }
+    } catch (err) {
+      sectorState.error = err.message;
+    }
+  }
+
+  return getSectorSnapshot();
+}
+
+function withPeriodChanges(quotes) {
+  const out = {};
+  for (const [symbol, q] of Object.entries(quotes)) {
+    out[symbol] = { ...q, ...sectorReferences.changesFor(symbol, q.price) };
+  }
+  return out;
+}
+
+/**
+ * Current state without touching the network.
+ */
+export function getSectorSnapshot() {
   return {
     sectors: sectorState.sectors,
-    quotes: sectorState.quotes,
-    marketCaps: SECTOR_WEIGHTS,
+    quotes: withPeriodChanges(sectorState.quotes),
+    // Tile sizes: % of the index per sector ETF
+    marketCaps: sectorState.weights,
+    weightsSource: sectorState.weightsSource,
+    weightsUpdatedAt: sectorState.weightsUpdatedAt,
+    progress: sectorState.progress,
     lastQuotesFetch: sectorState.lastQuotesFetch,
     status: sectorState.status,
     error: sectorState.error,
   };
 }
 
+// ----------------- Industry / thematic ETF map ----------------------------
+
+function getIndustrySymbols() {
+  return getIndustryEtfs().map((e) => e.symbol);
+}
+
+// Edited in Settings: quote the new set on the next visit
+onIndustryEtfsChange(() => {
+  sectorState.lastIndustryFetch = null;
+});
+
+// Tiles are sized by fund AUM, fetched once a day (and for ETFs added since).
+// An ETF whose AUM didn't come back waits a day too rather than costing a
+// request on every refresh.
+async function refreshIndustryAumIfNeeded(signal) {
+  const symbols = getIndustrySymbols();
+  const stale = isOlderThanMinutes(
+    sectorState.industryAumUpdatedAt,
+    SECTOR_WEIGHTS_TTL_MINUTES,
+    'America/New_York'
+  );
+  const wanted = stale
+    ? symbols
+    : symbols.filter(
+        (s) =>
+          sectorState.industryAum[s] == null &&
+          isOlderThanMinutes(
+            sectorState.industryAumTriedAt[s],
+            SECTOR_WEIGHTS_TTL_MINUTES,
+            'America/New_York'
+          )
+      );
+  if (!wanted.length) return;
+
+  const raw = await fetchAum(wanted, signal);
+  if (signal && signal.aborted) return;
+
+  const nowEstIso = toEstIso(new Date());
+  sectorState.industryAum = { ...sectorState.industryAum, ...raw };
+  for (const symbol of wanted) sectorState.industryAumTriedAt[symbol] = nowEstIso;
+  if (stale) sectorState.industryAumUpdatedAt = nowEstIso;
+  saveCache();
+}
+
+/**
+ * Same pipeline as getSectorData for the configured industry ETFs
+ * (see industryEtfs.js).
+ * @param {{ signal?: AbortSignal, timeframe?: string }} [opts]
+ */
+export async function getIndustryData({ signal, timeframe = TIMEFRAMES.ONE_DAY } = {}) {
+  try {
+    await refreshQuotesIfNeeded({
+      symbols: getIndustrySymbols(),
+      stampKey: 'lastIndustryFetch',
+      viewName: 'industries',
+      signal,
+    });
+  } catch (err) {
+    sectorState.error = err.message;
+  }
+
+  try {
+    await refreshIndustryAumIfNeeded(signal);
+  } catch (_) {}
+
+  if (timeframe !== TIMEFRAMES.ONE_DAY) {
+    try {
+      const { timedOut, failed } = await sectorReferences.refresh(getIndustrySymbols(), { signal });
+      if (failed && !sectorState.error) {
+        sectorState.error = timedOut ? REQUEST_ERRORS.TIMEOUT : REQUEST_ERRORS.CANDLES;
+      }
+    } catch (err) {
+      sectorState.error = err.message;
+    }
+  }
+
+  return getIndustrySnapshot();
+}
+
+/**
+ * Industry map state without touching the network. Each ETF carries its
+ * parent sector's name for grouping.
+ */
+export function getIndustrySnapshot() {
+  const parentNames = new Map(SECTOR_LIST.map((s) => [s.symbol, s.name]));
+  const etfs = getIndustryEtfs().map((e) => ({
+    ...e,
+    parentName: parentNames.get(e.parent) || 'Other',
+  }));
+
+  return {
+    etfs,
+    quotes: withPeriodChanges(pick(sectorState.quotes, etfs.map((e) => e.symbol))),
+    marketCaps: sectorState.industryAum,
+    progress: sectorState.progress,
+    lastQuotesFetch: sectorState.lastIndustryFetch,
+    status: sectorState.status,
+    error: sectorState.error,
+  };
+}
+
+/**
+ * S&P 500 members of a sector ETF's GICS sector, largest first.
+ * @param {string} symbol e.g. 'XLK'
+ * @returns {string[]} empty for unknown symbols
+ */
+export function getSectorMembers(symbol) {
+  const entry = SECTOR_LIST.find((s) => s.symbol === symbol);
+  if (!entry) return [];
+  return SP500_CONSTITUENTS.filter((c) => c.sector === entry.sector).map((c) => c.symbol);
+}
+
+/**
+ * @param {(event: { type: string, symbols?: string[] }) => void} fn
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeSectors(fn) {
+  return sectorEvents.subscribe(fn);
+}
+
+/**
+ * Apply streamed trades against the cached previous close. Pre-market and
+ * after-hours trades are ignored so the tiles keep the regular-session move.
+ * @param {Array<{ symbol, price }>} trades
+ * @returns {string[]} symbols whose quote changed
+ */
+export function applySectorTrades(trades) {
+  const changed = [];
+  if (getMarketState() !== 'regular') return changed;
+
+  for (const { symbol, price } of trades) {
+    const q = sectorState.quotes[symbol];
+    if (!q || typeof q.previousClose !== 'number' || q.previousClose === 0) continue;
+    if (q.price === price) continue;
+
+    sectorState.quotes[symbol] = {
+      ...q,
+      price,
+      changePct1D: ((price - q.previousClose) / q.previousClose) * 100,
+    };
+    changed.push(symbol);
+  }
+
+  if (changed.length) {
+    if (!streamSaveTimer) {
+      streamSaveTimer = setTimeout(() => {
+        streamSaveTimer = null;
+        saveCache();
+      }, STREAM_SAVE_DEBOUNCE_MS);
+    }
+    sectorEvents.emit({ type: 'stream', symbols: changed });
+  }
+  return changed;
+}
+
 export function resetSectorCache() {
   try {
     localStorage.removeItem(STORAGE_KEYS.sectorCache);
@@ -153,10 +517,20 @@ export function resetSectorCache() {
     // ignore
   }
 
+  // Weights and AUM survive a reset; they're recomputed on their own schedule
   sectorState = {
     sectors: SECTOR_LIST,
     quotes: {},
+    weights: sectorState.weights,
+    weightsSource: sectorState.weightsSource,
+    weightsUpdatedAt: sectorState.weightsUpdatedAt,
+    aumWeightsTriedAt: sectorState.aumWeightsTriedAt,
+    industryAum: sectorState.industryAum,
+    industryAumUpdatedAt: sectorState.industryAumUpdatedAt,
+    industryAumTriedAt: sectorState.industryAumTriedAt,
+    progress: null,
     lastQuotesFetch: null,
+    lastIndustryFetch: null,
     status: 'idle',
     error: null,
   };
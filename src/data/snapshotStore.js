@@ -0,0 +1,88 @@
+// src/data/snapshotStore.js
+// Timestamped quote snapshots in IndexedDB (one per successful refresh) so
+// the heatmaps can replay how a session developed. localStorage is too small
+// for a day of ~500-symbol maps, hence IDB. Everything degrades to a no-op
+// when IndexedDB is unavailable (private mode, old browsers).
+
+const DB_NAME = 'md_snapshots';
+const DB_VERSION = 1;
+const STORE = 'snapshots';
+
+const RETENTION_DAYS = 5;            // drop anything older
+const MAX_SNAPSHOTS_PER_VIEW = 400;  // and cap the count per view
+
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        // key: [view, takenAt] keeps each view's snapshots in time order
+        req.result.createObjectStore(STORE, { keyPath: ['view', 'takenAt'] });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+    });
+  }
+  return dbPromise;
+}
+
+function viewRange(view, fromIso = '', toIso = '\uffff') {
+  return IDBKeyRange.bound([view, fromIso], [view, toIso]);
+}
+
+function asPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function prune(db, view, nowIso) {
+  const cutoff = new Date(new Date(nowIso).getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const store = db.transaction(STORE, 'readwrite').objectStore(STORE);
+
+  store.delete(IDBKeyRange.bound([view, ''], [view, cutoff.toISOString()], false, true));
+
+  const keys = await asPromise(store.getAllKeys(viewRange(view)));
+  const extra = keys.length - MAX_SNAPSHOTS_PER_VIEW;
+  if (extra > 0) {
+    store.delete(IDBKeyRange.bound(keys[0], keys[extra - 1]));
+  }
+}
+
+/**
+ * @param {string} view e.g. 'sp500' | 'sectors'
+ * @param {{ takenAt: string, quotes: object }} snapshot takenAt as EST ISO
+ */
+export async function saveSnapshot(view, { takenAt, quotes }) {
+  const db = await openDb();
+  if (!db) return;
+
+  try {
+    const store = db.transaction(STORE, 'readwrite').objectStore(STORE);
+    await asPromise(store.put({ view, takenAt, quotes }));
+    await prune(db, view, takenAt);
+  } catch (err) {
+    // Quota or a blocked upgrade: replay is a nice-to-have, don't break refresh
+    console.warn('Snapshot save failed', view, err);
+  }
+}
+
+/**
+ * @returns {Promise<Array<{ view, takenAt, quotes }>>} oldest first
+ */
+export async function listSnapshots(view, { since } = {}) {
+  const db = await openDb();
+  if (!db) return [];
+
+  try {
+    const store = db.transaction(STORE, 'readonly').objectStore(STORE);
+    return await asPromise(store.getAll(viewRange(view, since || '')));
+  } catch (err) {
+    console.warn('Snapshot read failed', view, err);
+    return [];
+  }
+}
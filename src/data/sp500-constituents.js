@@ -1,51 +1,526 @@
 // src/data/sp500-constituents.js
+// GICS sector names as used by S&P (and the SPDR sector ETFs)
+export const SECTORS = {
+  TECH: 'Information Technology',
+  COMM: 'Communication Services',
+  DISC: 'Consumer Discretionary',
+  STAPLES: 'Consumer Staples',
+  HEALTH: 'Health Care',
+  FIN: 'Financials',
+  ENERGY: 'Energy',
+  INDUSTRIALS: 'Industrials',
+  MATERIALS: 'Materials',
+  UTILITIES: 'Utilities',
+  REAL_ESTATE: 'Real Estate',
+};
+
+// Full index, largest market caps first. The order is only a starting point:
+// stocksService re-ranks by live market cap once profiles are loaded.
 export const SP500_CONSTITUENTS = [
-  { symbol: 'NVDA', name: 'Nvidia' },
-  { symbol: 'AAPL', name: 'Apple Inc.' },
-  { symbol: 'MSFT', name: 'Microsoft' },
-  { symbol: 'AMZN', name: 'Amazon' },
-  { symbol: 'GOOGL', name: 'Alphabet Inc. (Class A)' },
-  { symbol: 'AVGO', name: 'Broadcom' },
-  { symbol: 'META', name: 'Meta Platforms' },
-  { symbol: 'TSLA', name: 'Tesla, Inc.' },
-  { symbol: 'BRK.B', name: 'Berkshire Hathaway' },
-  { symbol: 'LLY', name: 'Lilly (Eli)' },
-  { symbol: 'JPM', name: 'JPMorgan Chase' },
-  { symbol: 'WMT', name: 'Walmart' },
-  { symbol: 'V', name: 'Visa Inc.' },
-  { symbol: 'ORCL', name: 'Oracle Corporation' },
-  { symbol: 'XOM', name: 'ExxonMobil' },
-  { symbol: 'MA', name: 'Mastercard' },
-  { symbol: 'JNJ', name: 'Johnson & Johnson' },
-  { symbol: 'NFLX', name: 'Netflix' },
-  { symbol: 'PLTR', name: 'Palantir Technologies' },
-  { symbol: 'ABBV', name: 'AbbVie' },
-  { symbol: 'COST', name: 'Costco' },
-  { symbol: 'AMD', name: 'Advanced Micro Devices' },
-  { symbol: 'BAC', name: 'Bank of America' },
-  { symbol: 'HD', name: 'Home Depot (The)' },
-  { symbol: 'PG', name: 'Procter & Gamble' },
-  { symbol: 'GE', name: 'GE Aerospace' },
-  { symbol: 'CVX', name: 'Chevron Corporation' },
-  { symbol: 'CSCO', name: 'Cisco' },
-  { symbol: 'KO', name: 'Coca-Cola Company (The)' },
-  { symbol: 'UNH', name: 'UnitedHealth Group' },
-  { symbol: 'IBM', name: 'IBM' },
-  { symbol: 'MU', name: 'Micron Technology' },
-  { symbol: 'WFC', name: 'Wells Fargo' },
-  { symbol: 'MS', name: 'Morgan Stanley' },
-  { symbol: 'CAT', name: 'Caterpillar Inc.' },
-  { symbol: 'AXP', name: 'American Express' },
-  { symbol: 'PM', name: 'Philip Morris International' },
-  { symbol: 'TMUS', name: 'T-Mobile US' },
-  { symbol: 'GS', name: 'Goldman Sachs' },
-  { symbol: 'MRK', name: 'Merck & Co.' },
-  { symbol: 'ABT', name: 'Abbott Laboratories' },
-  { symbol: 'CRM', name: 'Salesforce' },
-  { symbol: 'MCD', name: 'McDonalds' },
-  { symbol: 'TMO', name: 'Thermo Fisher Scientific' },
-  { symbol: 'PEP', name: 'PepsiCo' },
-  // Top 45 companies based on market cap
+  { symbol: 'NVDA', name: 'Nvidia', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'AAPL', name: 'Apple Inc.', sector: SECTORS.TECH, industry: 'Technology Hardware, Storage & Peripherals' },
+  { symbol: 'MSFT', name: 'Microsoft', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'AMZN', name: 'Amazon', sector: SECTORS.DISC, industry: 'Broadline Retail' },
+  { symbol: 'GOOGL', name: 'Alphabet Inc. (Class A)', sector: SECTORS.COMM, industry: 'Interactive Media & Services' },
+  { symbol: 'GOOG', name: 'Alphabet Inc. (Class C)', sector: SECTORS.COMM, industry: 'Interactive Media & Services' },
+  { symbol: 'AVGO', name: 'Broadcom', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'META', name: 'Meta Platforms', sector: SECTORS.COMM, industry: 'Interactive Media & Services' },
+  { symbol: 'TSLA', name: 'Tesla, Inc.', sector: SECTORS.DISC, industry: 'Automobiles' },
+  { symbol: 'BRK.B', name: 'Berkshire Hathaway', sector: SECTORS.FIN, industry: 'Financial Services' },
+  { symbol: 'LLY', name: 'Lilly (Eli)', sector: SECTORS.HEALTH, industry: 'Pharmaceuticals' },
+  { symbol: 'JPM', name: 'JPMorgan Chase', sector: SECTORS.FIN, industry: 'Banks' },
+  { symbol: 'WMT', name: 'Walmart', sector: SECTORS.STAPLES, industry: 'Consumer Staples Distribution & Retail' },
+  { symbol: 'V', name: 'Visa Inc.', sector: SECTORS.FIN, industry: 'Financial Services' },
+  { symbol: 'ORCL', name: 'Oracle Corporation', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'XOM', name: 'ExxonMobil', sector: SECTORS.ENERGY, industry: 'Oil, Gas & Consumable Fuels' },
+  { symbol: 'MA', name: 'Mastercard', sector: SECTORS.FIN, industry: 'Financial Services' },
+  { symbol: 'JNJ', name: 'Johnson & Johnson', sector: SECTORS.HEALTH, industry: 'Pharmaceuticals' },
+  { symbol: 'NFLX', name: 'Netflix', sector: SECTORS.COMM, industry: 'Entertainment' },
+  { symbol: 'PLTR', name: 'Palantir Technologies', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'ABBV', name: 'AbbVie', sector: SECTORS.HEALTH, industry: 'Biotechnology' },
+  { symbol: 'COST', name: 'Costco', sector: SECTORS.STAPLES, industry: 'Consumer Staples Distribution & Retail' },
+  { symbol: 'AMD', name: 'Advanced Micro Devices', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'BAC', name: 'Bank of America', sector: SECTORS.FIN, industry: 'Banks' },
+  { symbol: 'HD', name: 'Home Depot (The)', sector: SECTORS.DISC, industry: 'Specialty Retail' },
+  { symbol: 'PG', name: 'Procter & Gamble', sector: SECTORS.STAPLES, industry: 'Household Products' },
+  { symbol: 'GE', name: 'GE Aerospace', sector: SECTORS.INDUSTRIALS, industry: 'Aerospace & Defense' },
+  { symbol: 'CVX', name: 'Chevron Corporation', sector: SECTORS.ENERGY, industry: 'Oil, Gas & Consumable Fuels' },
+  { symbol: 'CSCO', name: 'Cisco', sector: SECTORS.TECH, industry: 'Communications Equipment' },
+  { symbol: 'KO', name: 'Coca-Cola Company (The)', sector: SECTORS.STAPLES, industry: 'Beverages' },
+  { symbol: 'UNH', name: 'UnitedHealth Group', sector: SECTORS.HEALTH, industry: 'Health Care Providers & Services' },
+  { symbol: 'IBM', name: 'IBM', sector: SECTORS.TECH, industry: 'IT Services' },
+  { symbol: 'MU', name: 'Micron Technology', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'WFC', name: 'Wells Fargo', sector: SECTORS.FIN, industry: 'Banks' },
+  { symbol: 'MS', name: 'Morgan Stanley', sector: SECTORS.FIN, industry: 'Capital Markets' },
+  { symbol: 'CAT', name: 'Caterpillar Inc.', sector: SECTORS.INDUSTRIALS, industry: 'Machinery' },
+  { symbol: 'AXP', name: 'American Express', sector: SECTORS.FIN, industry: 'Consumer Finance' },
+  { symbol: 'PM', name: 'Philip Morris International', sector: SECTORS.STAPLES, industry: 'Tobacco' },
+  { symbol: 'TMUS', name: 'T-Mobile US', sector: SECTORS.COMM, industry: 'Wireless Telecommunication Services' },
+  { symbol: 'GS', name: 'Goldman Sachs', sector: SECTORS.FIN, industry: 'Capital Markets' },
+  { symbol: 'MRK', name: 'Merck & Co.', sector: SECTORS.HEALTH, industry: 'Pharmaceuticals' },
+  { symbol: 'ABT', name: 'Abbott Laboratories', sector: SECTORS.HEALTH, industry: 'Health Care Equipment & Supplies' },
+  { symbol: 'CRM', name: 'Salesforce', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'MCD', name: 'McDonalds', sector: SECTORS.DISC, industry: 'Hotels, Restaurants & Leisure' },
+  { symbol: 'TMO', name: 'Thermo Fisher Scientific', sector: SECTORS.HEALTH, industry: 'Life Sciences Tools & Services' },
+  { symbol: 'PEP', name: 'PepsiCo', sector: SECTORS.STAPLES, industry: 'Beverages' },
+  { symbol: 'LIN', name: 'Linde plc', sector: SECTORS.MATERIALS, industry: 'Chemicals' },
+  { symbol: 'RTX', name: 'RTX Corporation', sector: SECTORS.INDUSTRIALS, industry: 'Aerospace & Defense' },
+  { symbol: 'T', name: 'AT&T', sector: SECTORS.COMM, industry: 'Diversified Telecommunication Services' },
+  { symbol: 'DIS', name: 'Walt Disney Company (The)', sector: SECTORS.COMM, industry: 'Entertainment' },
+  { symbol: 'UBER', name: 'Uber', sector: SECTORS.INDUSTRIALS, industry: 'Ground Transportation' },
+  { symbol: 'NOW', name: 'ServiceNow', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'INTU', name: 'Intuit', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'APP', name: 'AppLovin', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'C', name: 'Citigroup', sector: SECTORS.FIN, industry: 'Banks' },
+  { symbol: 'VZ', name: 'Verizon', sector: SECTORS.COMM, industry: 'Diversified Telecommunication Services' },
+  { symbol: 'ISRG', name: 'Intuitive Surgical', sector: SECTORS.HEALTH, industry: 'Health Care Equipment & Supplies' },
+  { symbol: 'QCOM', name: 'Qualcomm', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'BKNG', name: 'Booking Holdings', sector: SECTORS.DISC, industry: 'Hotels, Restaurants & Leisure' },
+  { symbol: 'SCHW', name: 'Charles Schwab Corporation', sector: SECTORS.FIN, industry: 'Capital Markets' },
+  { symbol: 'BLK', name: 'BlackRock', sector: SECTORS.FIN, industry: 'Capital Markets' },
+  { symbol: 'ANET', name: 'Arista Networks', sector: SECTORS.TECH, industry: 'Communications Equipment' },
+  { symbol: 'GEV', name: 'GE Vernova', sector: SECTORS.INDUSTRIALS, industry: 'Electrical Equipment' },
+  { symbol: 'TXN', name: 'Texas Instruments', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'BA', name: 'Boeing', sector: SECTORS.INDUSTRIALS, industry: 'Aerospace & Defense' },
+  { symbol: 'SPGI', name: 'S&P Global', sector: SECTORS.FIN, industry: 'Capital Markets' },
+  { symbol: 'ACN', name: 'Accenture', sector: SECTORS.TECH, industry: 'IT Services' },
+  { symbol: 'AMGN', name: 'Amgen', sector: SECTORS.HEALTH, industry: 'Biotechnology' },
+  { symbol: 'TJX', name: 'TJX Companies', sector: SECTORS.DISC, industry: 'Specialty Retail' },
+  { symbol: 'AMAT', name: 'Applied Materials', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'LRCX', name: 'Lam Research', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'ADBE', name: 'Adobe Inc.', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'NEE', name: 'NextEra Energy', sector: SECTORS.UTILITIES, industry: 'Electric Utilities' },
+  { symbol: 'BSX', name: 'Boston Scientific', sector: SECTORS.HEALTH, industry: 'Health Care Equipment & Supplies' },
+  { symbol: 'INTC', name: 'Intel', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'SYK', name: 'Stryker Corporation', sector: SECTORS.HEALTH, industry: 'Health Care Equipment & Supplies' },
+  { symbol: 'DHR', name: 'Danaher Corporation', sector: SECTORS.HEALTH, industry: 'Life Sciences Tools & Services' },
+  { symbol: 'PGR', name: 'Progressive Corporation', sector: SECTORS.FIN, industry: 'Insurance' },
+  { symbol: 'GILD', name: 'Gilead Sciences', sector: SECTORS.HEALTH, industry: 'Biotechnology' },
+  { symbol: 'PFE', name: 'Pfizer', sector: SECTORS.HEALTH, industry: 'Pharmaceuticals' },
+  { symbol: 'LOW', name: 'Lowe\'s', sector: SECTORS.DISC, industry: 'Specialty Retail' },
+  { symbol: 'ETN', name: 'Eaton Corporation', sector: SECTORS.INDUSTRIALS, industry: 'Electrical Equipment' },
+  { symbol: 'COF', name: 'Capital One', sector: SECTORS.FIN, industry: 'Consumer Finance' },
+  { symbol: 'UNP', name: 'Union Pacific Corporation', sector: SECTORS.INDUSTRIALS, industry: 'Ground Transportation' },
+  { symbol: 'HON', name: 'Honeywell', sector: SECTORS.INDUSTRIALS, industry: 'Industrial Conglomerates' },
+  { symbol: 'PANW', name: 'Palo Alto Networks', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'DE', name: 'Deere & Company', sector: SECTORS.INDUSTRIALS, industry: 'Machinery' },
+  { symbol: 'BX', name: 'Blackstone Inc.', sector: SECTORS.FIN, industry: 'Capital Markets' },
+  { symbol: 'APH', name: 'Amphenol', sector: SECTORS.TECH, industry: 'Electronic Equipment, Instruments & Components' },
+  { symbol: 'KLAC', name: 'KLA Corporation', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'CMCSA', name: 'Comcast', sector: SECTORS.COMM, industry: 'Media' },
+  { symbol: 'CRWD', name: 'CrowdStrike', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'ADP', name: 'Automatic Data Processing', sector: SECTORS.INDUSTRIALS, industry: 'Professional Services' },
+  { symbol: 'MDT', name: 'Medtronic', sector: SECTORS.HEALTH, industry: 'Health Care Equipment & Supplies' },
+  { symbol: 'ADI', name: 'Analog Devices', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'KKR', name: 'KKR & Co.', sector: SECTORS.FIN, industry: 'Capital Markets' },
+  { symbol: 'COP', name: 'ConocoPhillips', sector: SECTORS.ENERGY, industry: 'Oil, Gas & Consumable Fuels' },
+  { symbol: 'WELL', name: 'Welltower', sector: SECTORS.REAL_ESTATE, industry: 'Health Care REITs' },
+  { symbol: 'DASH', name: 'DoorDash', sector: SECTORS.DISC, industry: 'Hotels, Restaurants & Leisure' },
+  { symbol: 'CB', name: 'Chubb Limited', sector: SECTORS.FIN, industry: 'Insurance' },
+  { symbol: 'LMT', name: 'Lockheed Martin', sector: SECTORS.INDUSTRIALS, industry: 'Aerospace & Defense' },
+  { symbol: 'VRTX', name: 'Vertex Pharmaceuticals', sector: SECTORS.HEALTH, industry: 'Biotechnology' },
+  { symbol: 'MO', name: 'Altria', sector: SECTORS.STAPLES, industry: 'Tobacco' },
+  { symbol: 'SO', name: 'Southern Company', sector: SECTORS.UTILITIES, industry: 'Electric Utilities' },
+  { symbol: 'MMC', name: 'Marsh McLennan', sector: SECTORS.FIN, industry: 'Insurance' },
+  { symbol: 'ICE', name: 'Intercontinental Exchange', sector: SECTORS.FIN, industry: 'Capital Markets' },
+  { symbol: 'PLD', name: 'Prologis', sector: SECTORS.REAL_ESTATE, industry: 'Industrial REITs' },
+  { symbol: 'CEG', name: 'Constellation Energy', sector: SECTORS.UTILITIES, industry: 'Electric Utilities' },
+  { symbol: 'NKE', name: 'Nike, Inc.', sector: SECTORS.DISC, industry: 'Textiles, Apparel & Luxury Goods' },
+  { symbol: 'HOOD', name: 'Robinhood Markets', sector: SECTORS.FIN, industry: 'Capital Markets' },
+  { symbol: 'CME', name: 'CME Group', sector: SECTORS.FIN, industry: 'Capital Markets' },
+  { symbol: 'PH', name: 'Parker Hannifin', sector: SECTORS.INDUSTRIALS, industry: 'Machinery' },
+  { symbol: 'SBUX', name: 'Starbucks', sector: SECTORS.DISC, industry: 'Hotels, Restaurants & Leisure' },
+  { symbol: 'AMT', name: 'American Tower', sector: SECTORS.REAL_ESTATE, industry: 'Specialized REITs' },
+  { symbol: 'HCA', name: 'HCA Healthcare', sector: SECTORS.HEALTH, industry: 'Health Care Providers & Services' },
+  { symbol: 'DUK', name: 'Duke Energy', sector: SECTORS.UTILITIES, industry: 'Electric Utilities' },
+  { symbol: 'BMY', name: 'Bristol Myers Squibb', sector: SECTORS.HEALTH, industry: 'Pharmaceuticals' },
+  { symbol: 'TT', name: 'Trane Technologies', sector: SECTORS.INDUSTRIALS, industry: 'Building Products' },
+  { symbol: 'MCK', name: 'McKesson Corporation', sector: SECTORS.HEALTH, industry: 'Health Care Providers & Services' },
+  { symbol: 'WM', name: 'Waste Management', sector: SECTORS.INDUSTRIALS, industry: 'Commercial Services & Supplies' },
+  { symbol: 'MCO', name: 'Moody\'s Corporation', sector: SECTORS.FIN, industry: 'Capital Markets' },
+  { symbol: 'CDNS', name: 'Cadence Design Systems', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'DELL', name: 'Dell Technologies', sector: SECTORS.TECH, industry: 'Technology Hardware, Storage & Peripherals' },
+  { symbol: 'IBKR', name: 'Interactive Brokers', sector: SECTORS.FIN, industry: 'Capital Markets' },
+  { symbol: 'SNPS', name: 'Synopsys', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'SHW', name: 'Sherwin-Williams', sector: SECTORS.MATERIALS, industry: 'Chemicals' },
+  { symbol: 'CVS', name: 'CVS Health', sector: SECTORS.HEALTH, industry: 'Health Care Providers & Services' },
+  { symbol: 'GD', name: 'General Dynamics', sector: SECTORS.INDUSTRIALS, industry: 'Aerospace & Defense' },
+  { symbol: 'RCL', name: 'Royal Caribbean Group', sector: SECTORS.DISC, industry: 'Hotels, Restaurants & Leisure' },
+  { symbol: 'MDLZ', name: 'Mondelez International', sector: SECTORS.STAPLES, industry: 'Food Products' },
+  { symbol: 'COIN', name: 'Coinbase', sector: SECTORS.FIN, industry: 'Capital Markets' },
+  { symbol: 'EQIX', name: 'Equinix', sector: SECTORS.REAL_ESTATE, industry: 'Specialized REITs' },
+  { symbol: 'NOC', name: 'Northrop Grumman', sector: SECTORS.INDUSTRIALS, industry: 'Aerospace & Defense' },
+  { symbol: 'ORLY', name: 'O\'Reilly Automotive', sector: SECTORS.DISC, industry: 'Specialty Retail' },
+  { symbol: 'ABNB', name: 'Airbnb', sector: SECTORS.DISC, industry: 'Hotels, Restaurants & Leisure' },
+  { symbol: 'MMM', name: '3M', sector: SECTORS.INDUSTRIALS, industry: 'Industrial Conglomerates' },
+  { symbol: 'CI', name: 'Cigna', sector: SECTORS.HEALTH, industry: 'Health Care Providers & Services' },
+  { symbol: 'CTAS', name: 'Cintas', sector: SECTORS.INDUSTRIALS, industry: 'Commercial Services & Supplies' },
+  { symbol: 'AJG', name: 'Arthur J. Gallagher & Co.', sector: SECTORS.FIN, industry: 'Insurance' },
+  { symbol: 'APO', name: 'Apollo Global Management', sector: SECTORS.FIN, industry: 'Capital Markets' },
+  { symbol: 'AON', name: 'Aon plc', sector: SECTORS.FIN, industry: 'Insurance' },
+  { symbol: 'MSI', name: 'Motorola Solutions', sector: SECTORS.TECH, industry: 'Communications Equipment' },
+  { symbol: 'PNC', name: 'PNC Financial Services', sector: SECTORS.FIN, industry: 'Banks' },
+  { symbol: 'USB', name: 'U.S. Bancorp', sector: SECTORS.FIN, industry: 'Banks' },
+  { symbol: 'BK', name: 'BNY Mellon', sector: SECTORS.FIN, industry: 'Capital Markets' },
+  { symbol: 'UPS', name: 'United Parcel Service', sector: SECTORS.INDUSTRIALS, industry: 'Air Freight & Logistics' },
+  { symbol: 'ELV', name: 'Elevance Health', sector: SECTORS.HEALTH, industry: 'Health Care Providers & Services' },
+  { symbol: 'ECL', name: 'Ecolab', sector: SECTORS.MATERIALS, industry: 'Chemicals' },
+  { symbol: 'ITW', name: 'Illinois Tool Works', sector: SECTORS.INDUSTRIALS, industry: 'Machinery' },
+  { symbol: 'HWM', name: 'Howmet Aerospace', sector: SECTORS.INDUSTRIALS, industry: 'Aerospace & Defense' },
+  { symbol: 'EMR', name: 'Emerson Electric', sector: SECTORS.INDUSTRIALS, industry: 'Electrical Equipment' },
+  { symbol: 'TDG', name: 'TransDigm Group', sector: SECTORS.INDUSTRIALS, industry: 'Aerospace & Defense' },
+  { symbol: 'NEM', name: 'Newmont', sector: SECTORS.MATERIALS, industry: 'Metals & Mining' },
+  { symbol: 'MAR', name: 'Marriott International', sector: SECTORS.DISC, industry: 'Hotels, Restaurants & Leisure' },
+  { symbol: 'RSG', name: 'Republic Services', sector: SECTORS.INDUSTRIALS, industry: 'Commercial Services & Supplies' },
+  { symbol: 'FI', name: 'Fiserv', sector: SECTORS.FIN, industry: 'Financial Services' },
+  { symbol: 'WMB', name: 'Williams Companies', sector: SECTORS.ENERGY, industry: 'Oil, Gas & Consumable Fuels' },
+  { symbol: 'JCI', name: 'Johnson Controls', sector: SECTORS.INDUSTRIALS, industry: 'Building Products' },
+  { symbol: 'CL', name: 'Colgate-Palmolive', sector: SECTORS.STAPLES, industry: 'Household Products' },
+  { symbol: 'FTNT', name: 'Fortinet', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'PYPL', name: 'PayPal', sector: SECTORS.FIN, industry: 'Financial Services' },
+  { symbol: 'ZTS', name: 'Zoetis', sector: SECTORS.HEALTH, industry: 'Pharmaceuticals' },
+  { symbol: 'CSX', name: 'CSX Corporation', sector: SECTORS.INDUSTRIALS, industry: 'Ground Transportation' },
+  { symbol: 'EOG', name: 'EOG Resources', sector: SECTORS.ENERGY, industry: 'Oil, Gas & Consumable Fuels' },
+  { symbol: 'AZO', name: 'AutoZone', sector: SECTORS.DISC, industry: 'Specialty Retail' },
+  { symbol: 'ADSK', name: 'Autodesk', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'HLT', name: 'Hilton Worldwide', sector: SECTORS.DISC, industry: 'Hotels, Restaurants & Leisure' },
+  { symbol: 'APD', name: 'Air Products', sector: SECTORS.MATERIALS, industry: 'Chemicals' },
+  { symbol: 'VST', name: 'Vistra Corp.', sector: SECTORS.UTILITIES, industry: 'Independent Power and Renewable Electricity Producers' },
+  { symbol: 'TRV', name: 'Travelers Companies (The)', sector: SECTORS.FIN, industry: 'Insurance' },
+  { symbol: 'WDAY', name: 'Workday, Inc.', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'REGN', name: 'Regeneron Pharmaceuticals', sector: SECTORS.HEALTH, industry: 'Biotechnology' },
+  { symbol: 'GM', name: 'General Motors', sector: SECTORS.DISC, industry: 'Automobiles' },
+  { symbol: 'CARR', name: 'Carrier Global', sector: SECTORS.INDUSTRIALS, industry: 'Building Products' },
+  { symbol: 'NSC', name: 'Norfolk Southern', sector: SECTORS.INDUSTRIALS, industry: 'Ground Transportation' },
+  { symbol: 'KMI', name: 'Kinder Morgan', sector: SECTORS.ENERGY, industry: 'Oil, Gas & Consumable Fuels' },
+  { symbol: 'ROP', name: 'Roper Technologies', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'FCX', name: 'Freeport-McMoRan', sector: SECTORS.MATERIALS, industry: 'Metals & Mining' },
+  { symbol: 'TEL', name: 'TE Connectivity', sector: SECTORS.TECH, industry: 'Electronic Equipment, Instruments & Components' },
+  { symbol: 'MNST', name: 'Monster Beverage', sector: SECTORS.STAPLES, industry: 'Beverages' },
+  { symbol: 'GLW', name: 'Corning Inc.', sector: SECTORS.TECH, industry: 'Electronic Equipment, Instruments & Components' },
+  { symbol: 'AEP', name: 'American Electric Power', sector: SECTORS.UTILITIES, industry: 'Electric Utilities' },
+  { symbol: 'SPG', name: 'Simon Property Group', sector: SECTORS.REAL_ESTATE, industry: 'Retail REITs' },
+  { symbol: 'TFC', name: 'Truist Financial', sector: SECTORS.FIN, industry: 'Banks' },
+  { symbol: 'COR', name: 'Cencora', sector: SECTORS.HEALTH, industry: 'Health Care Providers & Services' },
+  { symbol: 'AFL', name: 'Aflac', sector: SECTORS.FIN, industry: 'Insurance' },
+  { symbol: 'PWR', name: 'Quanta Services', sector: SECTORS.INDUSTRIALS, industry: 'Construction & Engineering' },
+  { symbol: 'DLR', name: 'Digital Realty', sector: SECTORS.REAL_ESTATE, industry: 'Specialized REITs' },
+  { symbol: 'FDX', name: 'FedEx', sector: SECTORS.INDUSTRIALS, industry: 'Air Freight & Logistics' },
+  { symbol: 'BDX', name: 'Becton Dickinson', sector: SECTORS.HEALTH, industry: 'Health Care Equipment & Supplies' },
+  { symbol: 'NXPI', name: 'NXP Semiconductors', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'URI', name: 'United Rentals', sector: SECTORS.INDUSTRIALS, industry: 'Trading Companies & Distributors' },
+  { symbol: 'AXON', name: 'Axon Enterprise', sector: SECTORS.INDUSTRIALS, industry: 'Aerospace & Defense' },
+  { symbol: 'CMG', name: 'Chipotle Mexican Grill', sector: SECTORS.DISC, industry: 'Hotels, Restaurants & Leisure' },
+  { symbol: 'ALL', name: 'Allstate', sector: SECTORS.FIN, industry: 'Insurance' },
+  { symbol: 'MET', name: 'MetLife', sector: SECTORS.FIN, industry: 'Insurance' },
+  { symbol: 'PSX', name: 'Phillips 66', sector: SECTORS.ENERGY, industry: 'Oil, Gas & Consumable Fuels' },
+  { symbol: 'MPC', name: 'Marathon Petroleum', sector: SECTORS.ENERGY, industry: 'Oil, Gas & Consumable Fuels' },
+  { symbol: 'PCAR', name: 'Paccar', sector: SECTORS.INDUSTRIALS, industry: 'Machinery' },
+  { symbol: 'O', name: 'Realty Income', sector: SECTORS.REAL_ESTATE, industry: 'Retail REITs' },
+  { symbol: 'OKE', name: 'Oneok', sector: SECTORS.ENERGY, industry: 'Oil, Gas & Consumable Fuels' },
+  { symbol: 'SRE', name: 'Sempra', sector: SECTORS.UTILITIES, industry: 'Multi-Utilities' },
+  { symbol: 'LHX', name: 'L3Harris', sector: SECTORS.INDUSTRIALS, industry: 'Aerospace & Defense' },
+  { symbol: 'CMI', name: 'Cummins', sector: SECTORS.INDUSTRIALS, industry: 'Machinery' },
+  { symbol: 'PSA', name: 'Public Storage', sector: SECTORS.REAL_ESTATE, industry: 'Specialized REITs' },
+  { symbol: 'FAST', name: 'Fastenal', sector: SECTORS.INDUSTRIALS, industry: 'Trading Companies & Distributors' },
+  { symbol: 'SLB', name: 'Schlumberger', sector: SECTORS.ENERGY, industry: 'Energy Equipment & Services' },
+  { symbol: 'PAYX', name: 'Paychex', sector: SECTORS.INDUSTRIALS, industry: 'Professional Services' },
+  { symbol: 'NDAQ', name: 'Nasdaq, Inc.', sector: SECTORS.FIN, industry: 'Capital Markets' },
+  { symbol: 'GWW', name: 'W. W. Grainger', sector: SECTORS.INDUSTRIALS, industry: 'Trading Companies & Distributors' },
+  { symbol: 'D', name: 'Dominion Energy', sector: SECTORS.UTILITIES, industry: 'Multi-Utilities' },
+  { symbol: 'ROST', name: 'Ross Stores', sector: SECTORS.DISC, industry: 'Specialty Retail' },
+  { symbol: 'AMP', name: 'Ameriprise Financial', sector: SECTORS.FIN, industry: 'Capital Markets' },
+  { symbol: 'CPRT', name: 'Copart', sector: SECTORS.INDUSTRIALS, industry: 'Commercial Services & Supplies' },
+  { symbol: 'DHI', name: 'D. R. Horton', sector: SECTORS.DISC, industry: 'Household Durables' },
+  { symbol: 'CTVA', name: 'Corteva', sector: SECTORS.MATERIALS, industry: 'Chemicals' },
+  { symbol: 'KDP', name: 'Keurig Dr Pepper', sector: SECTORS.STAPLES, industry: 'Beverages' },
+  { symbol: 'BKR', name: 'Baker Hughes', sector: SECTORS.ENERGY, industry: 'Energy Equipment & Services' },
+  { symbol: 'EW', name: 'Edwards Lifesciences', sector: SECTORS.HEALTH, industry: 'Health Care Equipment & Supplies' },
+  { symbol: 'EXC', name: 'Exelon', sector: SECTORS.UTILITIES, industry: 'Electric Utilities' },
+  { symbol: 'KR', name: 'Kroger', sector: SECTORS.STAPLES, industry: 'Consumer Staples Distribution & Retail' },
+  { symbol: 'F', name: 'Ford Motor Company', sector: SECTORS.DISC, industry: 'Automobiles' },
+  { symbol: 'DDOG', name: 'Datadog', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'CCI', name: 'Crown Castle', sector: SECTORS.REAL_ESTATE, industry: 'Specialized REITs' },
+  { symbol: 'IDXX', name: 'Idexx Laboratories', sector: SECTORS.HEALTH, industry: 'Health Care Equipment & Supplies' },
+  { symbol: 'AIG', name: 'American International Group', sector: SECTORS.FIN, industry: 'Insurance' },
+  { symbol: 'GRMN', name: 'Garmin', sector: SECTORS.DISC, industry: 'Household Durables' },
+  { symbol: 'CBRE', name: 'CBRE Group', sector: SECTORS.REAL_ESTATE, industry: 'Real Estate Management & Development' },
+  { symbol: 'MSCI', name: 'MSCI Inc.', sector: SECTORS.FIN, industry: 'Capital Markets' },
+  { symbol: 'TTWO', name: 'Take-Two Interactive', sector: SECTORS.COMM, industry: 'Entertainment' },
+  { symbol: 'KMB', name: 'Kimberly-Clark', sector: SECTORS.STAPLES, industry: 'Household Products' },
+  { symbol: 'XEL', name: 'Xcel Energy', sector: SECTORS.UTILITIES, industry: 'Electric Utilities' },
+  { symbol: 'VRSK', name: 'Verisk Analytics', sector: SECTORS.INDUSTRIALS, industry: 'Professional Services' },
+  { symbol: 'PEG', name: 'Public Service Enterprise Group', sector: SECTORS.UTILITIES, industry: 'Multi-Utilities' },
+  { symbol: 'EA', name: 'Electronic Arts', sector: SECTORS.COMM, industry: 'Entertainment' },
+  { symbol: 'YUM', name: 'Yum! Brands', sector: SECTORS.DISC, industry: 'Hotels, Restaurants & Leisure' },
+  { symbol: 'TGT', name: 'Target Corporation', sector: SECTORS.STAPLES, industry: 'Consumer Staples Distribution & Retail' },
+  { symbol: 'FANG', name: 'Diamondback Energy', sector: SECTORS.ENERGY, industry: 'Oil, Gas & Consumable Fuels' },
+  { symbol: 'OXY', name: 'Occidental Petroleum', sector: SECTORS.ENERGY, industry: 'Oil, Gas & Consumable Fuels' },
+  { symbol: 'VLO', name: 'Valero Energy', sector: SECTORS.ENERGY, industry: 'Oil, Gas & Consumable Fuels' },
+  { symbol: 'AME', name: 'Ametek', sector: SECTORS.INDUSTRIALS, industry: 'Electrical Equipment' },
+  { symbol: 'FICO', name: 'Fair Isaac', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'ETR', name: 'Entergy', sector: SECTORS.UTILITIES, industry: 'Electric Utilities' },
+  { symbol: 'XYZ', name: 'Block, Inc.', sector: SECTORS.FIN, industry: 'Financial Services' },
+  { symbol: 'EBAY', name: 'eBay', sector: SECTORS.DISC, industry: 'Broadline Retail' },
+  { symbol: 'KVUE', name: 'Kenvue', sector: SECTORS.STAPLES, industry: 'Personal Care Products' },
+  { symbol: 'CHTR', name: 'Charter Communications', sector: SECTORS.COMM, industry: 'Media' },
+  { symbol: 'MPWR', name: 'Monolithic Power Systems', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'LVS', name: 'Las Vegas Sands', sector: SECTORS.DISC, industry: 'Hotels, Restaurants & Leisure' },
+  { symbol: 'SYY', name: 'Sysco', sector: SECTORS.STAPLES, industry: 'Consumer Staples Distribution & Retail' },
+  { symbol: 'CCL', name: 'Carnival', sector: SECTORS.DISC, industry: 'Hotels, Restaurants & Leisure' },
+  { symbol: 'RMD', name: 'ResMed', sector: SECTORS.HEALTH, industry: 'Health Care Equipment & Supplies' },
+  { symbol: 'DAL', name: 'Delta Air Lines', sector: SECTORS.INDUSTRIALS, industry: 'Passenger Airlines' },
+  { symbol: 'ROK', name: 'Rockwell Automation', sector: SECTORS.INDUSTRIALS, industry: 'Electrical Equipment' },
+  { symbol: 'PRU', name: 'Prudential Financial', sector: SECTORS.FIN, industry: 'Insurance' },
+  { symbol: 'CAH', name: 'Cardinal Health', sector: SECTORS.HEALTH, industry: 'Health Care Providers & Services' },
+  { symbol: 'CTSH', name: 'Cognizant', sector: SECTORS.TECH, industry: 'IT Services' },
+  { symbol: 'HIG', name: 'Hartford (The)', sector: SECTORS.FIN, industry: 'Insurance' },
+  { symbol: 'OTIS', name: 'Otis Worldwide', sector: SECTORS.INDUSTRIALS, industry: 'Machinery' },
+  { symbol: 'VMC', name: 'Vulcan Materials', sector: SECTORS.MATERIALS, industry: 'Construction Materials' },
+  { symbol: 'MLM', name: 'Martin Marietta Materials', sector: SECTORS.MATERIALS, industry: 'Construction Materials' },
+  { symbol: 'ED', name: 'Consolidated Edison', sector: SECTORS.UTILITIES, industry: 'Multi-Utilities' },
+  { symbol: 'TRGP', name: 'Targa Resources', sector: SECTORS.ENERGY, industry: 'Oil, Gas & Consumable Fuels' },
+  { symbol: 'FIS', name: 'Fidelity National Information Services', sector: SECTORS.FIN, industry: 'Financial Services' },
+  { symbol: 'ODFL', name: 'Old Dominion', sector: SECTORS.INDUSTRIALS, industry: 'Ground Transportation' },
+  { symbol: 'WAB', name: 'Wabtec', sector: SECTORS.INDUSTRIALS, industry: 'Machinery' },
+  { symbol: 'GEHC', name: 'GE HealthCare', sector: SECTORS.HEALTH, industry: 'Health Care Equipment & Supplies' },
+  { symbol: 'LYV', name: 'Live Nation Entertainment', sector: SECTORS.COMM, industry: 'Entertainment' },
+  { symbol: 'HSY', name: 'Hershey Company (The)', sector: SECTORS.STAPLES, industry: 'Food Products' },
+  { symbol: 'CSGP', name: 'CoStar Group', sector: SECTORS.REAL_ESTATE, industry: 'Real Estate Management & Development' },
+  { symbol: 'WEC', name: 'WEC Energy Group', sector: SECTORS.UTILITIES, industry: 'Multi-Utilities' },
+  { symbol: 'A', name: 'Agilent Technologies', sector: SECTORS.HEALTH, industry: 'Life Sciences Tools & Services' },
+  { symbol: 'PCG', name: 'PG&E Corporation', sector: SECTORS.UTILITIES, industry: 'Electric Utilities' },
+  { symbol: 'MCHP', name: 'Microchip Technology', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'XYL', name: 'Xylem Inc.', sector: SECTORS.INDUSTRIALS, industry: 'Machinery' },
+  { symbol: 'ACGL', name: 'Arch Capital Group', sector: SECTORS.FIN, industry: 'Insurance' },
+  { symbol: 'VICI', name: 'Vici Properties', sector: SECTORS.REAL_ESTATE, industry: 'Specialized REITs' },
+  { symbol: 'KHC', name: 'Kraft Heinz', sector: SECTORS.STAPLES, industry: 'Food Products' },
+  { symbol: 'IR', name: 'Ingersoll Rand', sector: SECTORS.INDUSTRIALS, industry: 'Machinery' },
+  { symbol: 'EXR', name: 'Extra Space Storage', sector: SECTORS.REAL_ESTATE, industry: 'Specialized REITs' },
+  { symbol: 'IQV', name: 'IQVIA', sector: SECTORS.HEALTH, industry: 'Life Sciences Tools & Services' },
+  { symbol: 'EFX', name: 'Equifax', sector: SECTORS.INDUSTRIALS, industry: 'Professional Services' },
+  { symbol: 'NUE', name: 'Nucor', sector: SECTORS.MATERIALS, industry: 'Metals & Mining' },
+  { symbol: 'UAL', name: 'United Airlines Holdings', sector: SECTORS.INDUSTRIALS, industry: 'Passenger Airlines' },
+  { symbol: 'WTW', name: 'Willis Towers Watson', sector: SECTORS.FIN, industry: 'Insurance' },
+  { symbol: 'STT', name: 'State Street Corporation', sector: SECTORS.FIN, industry: 'Capital Markets' },
+  { symbol: 'HUM', name: 'Humana', sector: SECTORS.HEALTH, industry: 'Health Care Providers & Services' },
+  { symbol: 'RJF', name: 'Raymond James Financial', sector: SECTORS.FIN, industry: 'Capital Markets' },
+  { symbol: 'DD', name: 'DuPont', sector: SECTORS.MATERIALS, industry: 'Chemicals' },
+  { symbol: 'LEN', name: 'Lennar', sector: SECTORS.DISC, industry: 'Household Durables' },
+  { symbol: 'EQT', name: 'EQT Corporation', sector: SECTORS.ENERGY, industry: 'Oil, Gas & Consumable Fuels' },
+  { symbol: 'MTB', name: 'M&T Bank', sector: SECTORS.FIN, industry: 'Banks' },
+  { symbol: 'DXCM', name: 'Dexcom', sector: SECTORS.HEALTH, industry: 'Health Care Equipment & Supplies' },
+  { symbol: 'BRO', name: 'Brown & Brown', sector: SECTORS.FIN, industry: 'Insurance' },
+  { symbol: 'IRM', name: 'Iron Mountain', sector: SECTORS.REAL_ESTATE, industry: 'Specialized REITs' },
+  { symbol: 'AVB', name: 'AvalonBay Communities', sector: SECTORS.REAL_ESTATE, industry: 'Residential REITs' },
+  { symbol: 'TSCO', name: 'Tractor Supply', sector: SECTORS.DISC, industry: 'Specialty Retail' },
+  { symbol: 'VTR', name: 'Ventas', sector: SECTORS.REAL_ESTATE, industry: 'Health Care REITs' },
+  { symbol: 'WBD', name: 'Warner Bros. Discovery', sector: SECTORS.COMM, industry: 'Entertainment' },
+  { symbol: 'STX', name: 'Seagate Technology', sector: SECTORS.TECH, industry: 'Technology Hardware, Storage & Peripherals' },
+  { symbol: 'IT', name: 'Gartner', sector: SECTORS.TECH, industry: 'IT Services' },
+  { symbol: 'TTD', name: 'Trade Desk (The)', sector: SECTORS.COMM, industry: 'Media' },
+  { symbol: 'TKO', name: 'TKO Group Holdings', sector: SECTORS.COMM, industry: 'Entertainment' },
+  { symbol: 'STZ', name: 'Constellation Brands', sector: SECTORS.STAPLES, industry: 'Beverages' },
+  { symbol: 'GIS', name: 'General Mills', sector: SECTORS.STAPLES, industry: 'Food Products' },
+  { symbol: 'KEYS', name: 'Keysight Technologies', sector: SECTORS.TECH, industry: 'Electronic Equipment, Instruments & Components' },
+  { symbol: 'DTE', name: 'DTE Energy', sector: SECTORS.UTILITIES, industry: 'Multi-Utilities' },
+  { symbol: 'FITB', name: 'Fifth Third Bancorp', sector: SECTORS.FIN, industry: 'Banks' },
+  { symbol: 'HPE', name: 'Hewlett Packard Enterprise', sector: SECTORS.TECH, industry: 'Technology Hardware, Storage & Peripherals' },
+  { symbol: 'ADM', name: 'Archer Daniels Midland', sector: SECTORS.STAPLES, industry: 'Food Products' },
+  { symbol: 'AWK', name: 'American Water Works', sector: SECTORS.UTILITIES, industry: 'Water Utilities' },
+  { symbol: 'EME', name: 'Emcor', sector: SECTORS.INDUSTRIALS, industry: 'Construction & Engineering' },
+  { symbol: 'AEE', name: 'Ameren', sector: SECTORS.UTILITIES, industry: 'Multi-Utilities' },
+  { symbol: 'HPQ', name: 'HP Inc.', sector: SECTORS.TECH, industry: 'Technology Hardware, Storage & Peripherals' },
+  { symbol: 'PPL', name: 'PPL Corporation', sector: SECTORS.UTILITIES, industry: 'Electric Utilities' },
+  { symbol: 'WRB', name: 'W. R. Berkley Corporation', sector: SECTORS.FIN, industry: 'Insurance' },
+  { symbol: 'BR', name: 'Broadridge Financial Solutions', sector: SECTORS.INDUSTRIALS, industry: 'Professional Services' },
+  { symbol: 'ROL', name: 'Rollins, Inc.', sector: SECTORS.INDUSTRIALS, industry: 'Commercial Services & Supplies' },
+  { symbol: 'EQR', name: 'Equity Residential', sector: SECTORS.REAL_ESTATE, industry: 'Residential REITs' },
+  { symbol: 'SYF', name: 'Synchrony Financial', sector: SECTORS.FIN, industry: 'Consumer Finance' },
+  { symbol: 'VRSN', name: 'Verisign', sector: SECTORS.TECH, industry: 'IT Services' },
+  { symbol: 'CNC', name: 'Centene Corporation', sector: SECTORS.HEALTH, industry: 'Health Care Providers & Services' },
+  { symbol: 'DOV', name: 'Dover Corporation', sector: SECTORS.INDUSTRIALS, industry: 'Machinery' },
+  { symbol: 'TYL', name: 'Tyler Technologies', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'MTD', name: 'Mettler Toledo', sector: SECTORS.HEALTH, industry: 'Life Sciences Tools & Services' },
+  { symbol: 'PPG', name: 'PPG Industries', sector: SECTORS.MATERIALS, industry: 'Chemicals' },
+  { symbol: 'EXPE', name: 'Expedia Group', sector: SECTORS.DISC, industry: 'Hotels, Restaurants & Leisure' },
+  { symbol: 'NTRS', name: 'Northern Trust', sector: SECTORS.FIN, industry: 'Capital Markets' },
+  { symbol: 'IP', name: 'International Paper', sector: SECTORS.MATERIALS, industry: 'Containers & Packaging' },
+  { symbol: 'WDC', name: 'Western Digital', sector: SECTORS.TECH, industry: 'Technology Hardware, Storage & Peripherals' },
+  { symbol: 'SMCI', name: 'Supermicro', sector: SECTORS.TECH, industry: 'Technology Hardware, Storage & Peripherals' },
+  { symbol: 'NRG', name: 'NRG Energy', sector: SECTORS.UTILITIES, industry: 'Electric Utilities' },
+  { symbol: 'EL', name: 'Estée Lauder Companies (The)', sector: SECTORS.STAPLES, industry: 'Personal Care Products' },
+  { symbol: 'LULU', name: 'Lululemon Athletica', sector: SECTORS.DISC, industry: 'Textiles, Apparel & Luxury Goods' },
+  { symbol: 'GDDY', name: 'GoDaddy', sector: SECTORS.TECH, industry: 'IT Services' },
+  { symbol: 'HBAN', name: 'Huntington Bancshares', sector: SECTORS.FIN, industry: 'Banks' },
+  { symbol: 'ATO', name: 'Atmos Energy', sector: SECTORS.UTILITIES, industry: 'Gas Utilities' },
+  { symbol: 'CBOE', name: 'Cboe Global Markets', sector: SECTORS.FIN, industry: 'Capital Markets' },
+  { symbol: 'EXE', name: 'Expand Energy', sector: SECTORS.ENERGY, industry: 'Oil, Gas & Consumable Fuels' },
+  { symbol: 'PHM', name: 'PulteGroup', sector: SECTORS.DISC, industry: 'Household Durables' },
+  { symbol: 'CNP', name: 'CenterPoint Energy', sector: SECTORS.UTILITIES, industry: 'Multi-Utilities' },
+  { symbol: 'FE', name: 'FirstEnergy', sector: SECTORS.UTILITIES, industry: 'Electric Utilities' },
+  { symbol: 'DRI', name: 'Darden Restaurants', sector: SECTORS.DISC, industry: 'Hotels, Restaurants & Leisure' },
+  { symbol: 'PTC', name: 'PTC Inc.', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'CPAY', name: 'Corpay', sector: SECTORS.FIN, industry: 'Financial Services' },
+  { symbol: 'CINF', name: 'Cincinnati Financial', sector: SECTORS.FIN, industry: 'Insurance' },
+  { symbol: 'CHD', name: 'Church & Dwight', sector: SECTORS.STAPLES, industry: 'Household Products' },
+  { symbol: 'NVR', name: 'NVR, Inc.', sector: SECTORS.DISC, industry: 'Household Durables' },
+  { symbol: 'ES', name: 'Eversource Energy', sector: SECTORS.UTILITIES, industry: 'Electric Utilities' },
+  { symbol: 'STE', name: 'Steris', sector: SECTORS.HEALTH, industry: 'Health Care Equipment & Supplies' },
+  { symbol: 'TDY', name: 'Teledyne Technologies', sector: SECTORS.TECH, industry: 'Electronic Equipment, Instruments & Components' },
+  { symbol: 'EIX', name: 'Edison International', sector: SECTORS.UTILITIES, industry: 'Electric Utilities' },
+  { symbol: 'ON', name: 'ON Semiconductor', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'SW', name: 'Smurfit Westrock', sector: SECTORS.MATERIALS, industry: 'Containers & Packaging' },
+  { symbol: 'TPL', name: 'Texas Pacific Land', sector: SECTORS.ENERGY, industry: 'Oil, Gas & Consumable Fuels' },
+  { symbol: 'SBAC', name: 'SBA Communications', sector: SECTORS.REAL_ESTATE, industry: 'Specialized REITs' },
+  { symbol: 'CDW', name: 'CDW Corporation', sector: SECTORS.TECH, industry: 'Electronic Equipment, Instruments & Components' },
+  { symbol: 'DVN', name: 'Devon Energy', sector: SECTORS.ENERGY, industry: 'Oil, Gas & Consumable Fuels' },
+  { symbol: 'WAT', name: 'Waters Corporation', sector: SECTORS.HEALTH, industry: 'Life Sciences Tools & Services' },
+  { symbol: 'RF', name: 'Regions Financial Corporation', sector: SECTORS.FIN, industry: 'Banks' },
+  { symbol: 'NTAP', name: 'NetApp', sector: SECTORS.TECH, industry: 'Technology Hardware, Storage & Peripherals' },
+  { symbol: 'TROW', name: 'T. Rowe Price', sector: SECTORS.FIN, industry: 'Capital Markets' },
+  { symbol: 'PODD', name: 'Insulet Corporation', sector: SECTORS.HEALTH, industry: 'Health Care Equipment & Supplies' },
+  { symbol: 'ULTA', name: 'Ulta Beauty', sector: SECTORS.DISC, industry: 'Specialty Retail' },
+  { symbol: 'GPN', name: 'Global Payments', sector: SECTORS.FIN, industry: 'Financial Services' },
+  { symbol: 'FOXA', name: 'Fox Corporation (Class A)', sector: SECTORS.COMM, industry: 'Media' },
+  { symbol: 'ERIE', name: 'Erie Indemnity', sector: SECTORS.FIN, industry: 'Insurance' },
+  { symbol: 'WSM', name: 'Williams-Sonoma', sector: SECTORS.DISC, industry: 'Specialty Retail' },
+  { symbol: 'LH', name: 'Labcorp', sector: SECTORS.HEALTH, industry: 'Health Care Providers & Services' },
+  { symbol: 'HUBB', name: 'Hubbell Incorporated', sector: SECTORS.INDUSTRIALS, industry: 'Electrical Equipment' },
+  { symbol: 'CMS', name: 'CMS Energy', sector: SECTORS.UTILITIES, industry: 'Multi-Utilities' },
+  { symbol: 'DG', name: 'Dollar General', sector: SECTORS.STAPLES, industry: 'Consumer Staples Distribution & Retail' },
+  { symbol: 'FOX', name: 'Fox Corporation (Class B)', sector: SECTORS.COMM, industry: 'Media' },
+  { symbol: 'HAL', name: 'Halliburton', sector: SECTORS.ENERGY, industry: 'Energy Equipment & Services' },
+  { symbol: 'BIIB', name: 'Biogen', sector: SECTORS.HEALTH, industry: 'Biotechnology' },
+  { symbol: 'ZBH', name: 'Zimmer Biomet', sector: SECTORS.HEALTH, industry: 'Health Care Equipment & Supplies' },
+  { symbol: 'CFG', name: 'Citizens Financial Group', sector: SECTORS.FIN, industry: 'Banks' },
+  { symbol: 'TSN', name: 'Tyson Foods', sector: SECTORS.STAPLES, industry: 'Food Products' },
+  { symbol: 'INVH', name: 'Invitation Homes', sector: SECTORS.REAL_ESTATE, industry: 'Residential REITs' },
+  { symbol: 'LDOS', name: 'Leidos', sector: SECTORS.INDUSTRIALS, industry: 'Professional Services' },
+  { symbol: 'LII', name: 'Lennox International', sector: SECTORS.INDUSTRIALS, industry: 'Building Products' },
+  { symbol: 'WY', name: 'Weyerhaeuser', sector: SECTORS.REAL_ESTATE, industry: 'Specialized REITs' },
+  { symbol: 'STLD', name: 'Steel Dynamics', sector: SECTORS.MATERIALS, industry: 'Metals & Mining' },
+  { symbol: 'MKC', name: 'McCormick & Company', sector: SECTORS.STAPLES, industry: 'Food Products' },
+  { symbol: 'DOW', name: 'Dow Inc.', sector: SECTORS.MATERIALS, industry: 'Chemicals' },
+  { symbol: 'DLTR', name: 'Dollar Tree', sector: SECTORS.STAPLES, industry: 'Consumer Staples Distribution & Retail' },
+  { symbol: 'TPR', name: 'Tapestry, Inc.', sector: SECTORS.DISC, industry: 'Textiles, Apparel & Luxury Goods' },
+  { symbol: 'CTRA', name: 'Coterra', sector: SECTORS.ENERGY, industry: 'Oil, Gas & Consumable Fuels' },
+  { symbol: 'PKG', name: 'Packaging Corporation of America', sector: SECTORS.MATERIALS, industry: 'Containers & Packaging' },
+  { symbol: 'L', name: 'Loews Corporation', sector: SECTORS.FIN, industry: 'Insurance' },
+  { symbol: 'DGX', name: 'Quest Diagnostics', sector: SECTORS.HEALTH, industry: 'Health Care Providers & Services' },
+  { symbol: 'NI', name: 'NiSource', sector: SECTORS.UTILITIES, industry: 'Multi-Utilities' },
+  { symbol: 'LYB', name: 'LyondellBasell', sector: SECTORS.MATERIALS, industry: 'Chemicals' },
+  { symbol: 'ESS', name: 'Essex Property Trust', sector: SECTORS.REAL_ESTATE, industry: 'Residential REITs' },
+  { symbol: 'MAA', name: 'Mid-America Apartment Communities', sector: SECTORS.REAL_ESTATE, industry: 'Residential REITs' },
+  { symbol: 'FSLR', name: 'First Solar', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'LUV', name: 'Southwest Airlines', sector: SECTORS.INDUSTRIALS, industry: 'Passenger Airlines' },
+  { symbol: 'KEY', name: 'KeyCorp', sector: SECTORS.FIN, industry: 'Banks' },
+  { symbol: 'PFG', name: 'Principal Financial Group', sector: SECTORS.FIN, industry: 'Insurance' },
+  { symbol: 'JBL', name: 'Jabil', sector: SECTORS.TECH, industry: 'Electronic Equipment, Instruments & Components' },
+  { symbol: 'DECK', name: 'Deckers Brands', sector: SECTORS.DISC, industry: 'Textiles, Apparel & Luxury Goods' },
+  { symbol: 'GEN', name: 'Gen Digital', sector: SECTORS.TECH, industry: 'Software' },
+  { symbol: 'WST', name: 'West Pharmaceutical Services', sector: SECTORS.HEALTH, industry: 'Health Care Equipment & Supplies' },
+  { symbol: 'FTV', name: 'Fortive', sector: SECTORS.INDUSTRIALS, industry: 'Machinery' },
+  { symbol: 'CLX', name: 'Clorox', sector: SECTORS.STAPLES, industry: 'Household Products' },
+  { symbol: 'TER', name: 'Teradyne', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'FFIV', name: 'F5, Inc.', sector: SECTORS.TECH, industry: 'Communications Equipment' },
+  { symbol: 'TRMB', name: 'Trimble Inc.', sector: SECTORS.TECH, industry: 'Electronic Equipment, Instruments & Components' },
+  { symbol: 'SNA', name: 'Snap-on', sector: SECTORS.INDUSTRIALS, industry: 'Machinery' },
+  { symbol: 'GPC', name: 'Genuine Parts Company', sector: SECTORS.DISC, industry: 'Distributors' },
+  { symbol: 'PNR', name: 'Pentair', sector: SECTORS.INDUSTRIALS, industry: 'Building Products' },
+  { symbol: 'FDS', name: 'FactSet', sector: SECTORS.FIN, industry: 'Capital Markets' },
+  { symbol: 'APTV', name: 'Aptiv', sector: SECTORS.DISC, industry: 'Automobile Components' },
+  { symbol: 'IFF', name: 'International Flavors & Fragrances', sector: SECTORS.MATERIALS, industry: 'Chemicals' },
+  { symbol: 'ZBRA', name: 'Zebra Technologies', sector: SECTORS.TECH, industry: 'Electronic Equipment, Instruments & Components' },
+  { symbol: 'J', name: 'Jacobs Solutions', sector: SECTORS.INDUSTRIALS, industry: 'Professional Services' },
+  { symbol: 'BLDR', name: 'Builders FirstSource', sector: SECTORS.INDUSTRIALS, industry: 'Building Products' },
+  { symbol: 'EXPD', name: 'Expeditors International', sector: SECTORS.INDUSTRIALS, industry: 'Air Freight & Logistics' },
+  { symbol: 'BALL', name: 'Ball Corporation', sector: SECTORS.MATERIALS, industry: 'Containers & Packaging' },
+  { symbol: 'BBY', name: 'Best Buy', sector: SECTORS.DISC, industry: 'Specialty Retail' },
+  { symbol: 'LNT', name: 'Alliant Energy', sector: SECTORS.UTILITIES, industry: 'Electric Utilities' },
+  { symbol: 'EVRG', name: 'Evergy', sector: SECTORS.UTILITIES, industry: 'Electric Utilities' },
+  { symbol: 'RL', name: 'Ralph Lauren Corporation', sector: SECTORS.DISC, industry: 'Textiles, Apparel & Luxury Goods' },
+  { symbol: 'NWSA', name: 'News Corp (Class A)', sector: SECTORS.COMM, industry: 'Media' },
+  { symbol: 'MAS', name: 'Masco', sector: SECTORS.INDUSTRIALS, industry: 'Building Products' },
+  { symbol: 'CF', name: 'CF Industries', sector: SECTORS.MATERIALS, industry: 'Chemicals' },
+  { symbol: 'MOH', name: 'Molina Healthcare', sector: SECTORS.HEALTH, industry: 'Health Care Providers & Services' },
+  { symbol: 'OMC', name: 'Omnicom Group', sector: SECTORS.COMM, industry: 'Media' },
+  { symbol: 'DPZ', name: 'Domino\'s', sector: SECTORS.DISC, industry: 'Hotels, Restaurants & Leisure' },
+  { symbol: 'KIM', name: 'Kimco Realty', sector: SECTORS.REAL_ESTATE, industry: 'Retail REITs' },
+  { symbol: 'COO', name: 'Cooper Companies (The)', sector: SECTORS.HEALTH, industry: 'Health Care Equipment & Supplies' },
+  { symbol: 'EG', name: 'Everest Group', sector: SECTORS.FIN, industry: 'Insurance' },
+  { symbol: 'BAX', name: 'Baxter International', sector: SECTORS.HEALTH, industry: 'Health Care Equipment & Supplies' },
+  { symbol: 'HRL', name: 'Hormel Foods', sector: SECTORS.STAPLES, industry: 'Food Products' },
+  { symbol: 'NWS', name: 'News Corp (Class B)', sector: SECTORS.COMM, industry: 'Media' },
+  { symbol: 'ARE', name: 'Alexandria Real Estate Equities', sector: SECTORS.REAL_ESTATE, industry: 'Office REITs' },
+  { symbol: 'HOLX', name: 'Hologic', sector: SECTORS.HEALTH, industry: 'Health Care Equipment & Supplies' },
+  { symbol: 'IEX', name: 'IDEX Corporation', sector: SECTORS.INDUSTRIALS, industry: 'Machinery' },
+  { symbol: 'ALGN', name: 'Align Technology', sector: SECTORS.HEALTH, industry: 'Health Care Equipment & Supplies' },
+  { symbol: 'UDR', name: 'UDR, Inc.', sector: SECTORS.REAL_ESTATE, industry: 'Residential REITs' },
+  { symbol: 'TXT', name: 'Textron', sector: SECTORS.INDUSTRIALS, industry: 'Aerospace & Defense' },
+  { symbol: 'AVY', name: 'Avery Dennison', sector: SECTORS.MATERIALS, industry: 'Containers & Packaging' },
+  { symbol: 'JBHT', name: 'J.B. Hunt', sector: SECTORS.INDUSTRIALS, industry: 'Ground Transportation' },
+  { symbol: 'AMCR', name: 'Amcor', sector: SECTORS.MATERIALS, industry: 'Containers & Packaging' },
+  { symbol: 'INCY', name: 'Incyte', sector: SECTORS.HEALTH, industry: 'Biotechnology' },
+  { symbol: 'BG', name: 'Bunge Global', sector: SECTORS.STAPLES, industry: 'Food Products' },
+  { symbol: 'BF.B', name: 'Brown–Forman', sector: SECTORS.STAPLES, industry: 'Beverages' },
+  { symbol: 'REG', name: 'Regency Centers', sector: SECTORS.REAL_ESTATE, industry: 'Retail REITs' },
+  { symbol: 'DOC', name: 'Healthpeak Properties', sector: SECTORS.REAL_ESTATE, industry: 'Health Care REITs' },
+  { symbol: 'JKHY', name: 'Jack Henry & Associates', sector: SECTORS.FIN, industry: 'Financial Services' },
+  { symbol: 'ALLE', name: 'Allegion', sector: SECTORS.INDUSTRIALS, industry: 'Building Products' },
+  { symbol: 'CHRW', name: 'C.H. Robinson', sector: SECTORS.INDUSTRIALS, industry: 'Air Freight & Logistics' },
+  { symbol: 'CPT', name: 'Camden Property Trust', sector: SECTORS.REAL_ESTATE, industry: 'Residential REITs' },
+  { symbol: 'BXP', name: 'BXP, Inc.', sector: SECTORS.REAL_ESTATE, industry: 'Office REITs' },
+  { symbol: 'HST', name: 'Host Hotels & Resorts', sector: SECTORS.REAL_ESTATE, industry: 'Hotel & Resort REITs' },
+  { symbol: 'NDSN', name: 'Nordson Corporation', sector: SECTORS.INDUSTRIALS, industry: 'Machinery' },
+  { symbol: 'UHS', name: 'Universal Health Services', sector: SECTORS.HEALTH, industry: 'Health Care Providers & Services' },
+  { symbol: 'SOLV', name: 'Solventum', sector: SECTORS.HEALTH, industry: 'Health Care Equipment & Supplies' },
+  { symbol: 'POOL', name: 'Pool Corporation', sector: SECTORS.DISC, industry: 'Distributors' },
+  { symbol: 'SJM', name: 'J.M. Smucker Company (The)', sector: SECTORS.STAPLES, industry: 'Food Products' },
+  { symbol: 'PAYC', name: 'Paycom', sector: SECTORS.INDUSTRIALS, industry: 'Professional Services' },
+  { symbol: 'BEN', name: 'Franklin Resources', sector: SECTORS.FIN, industry: 'Capital Markets' },
+  { symbol: 'VTRS', name: 'Viatris', sector: SECTORS.HEALTH, industry: 'Pharmaceuticals' },
+  { symbol: 'SWKS', name: 'Skyworks Solutions', sector: SECTORS.TECH, industry: 'Semiconductors & Semiconductor Equipment' },
+  { symbol: 'AKAM', name: 'Akamai Technologies', sector: SECTORS.TECH, industry: 'IT Services' },
+  { symbol: 'GL', name: 'Globe Life', sector: SECTORS.FIN, industry: 'Insurance' },
+  { symbol: 'TAP', name: 'Molson Coors Beverage Company', sector: SECTORS.STAPLES, industry: 'Beverages' },
+  { symbol: 'WYNN', name: 'Wynn Resorts', sector: SECTORS.DISC, industry: 'Hotels, Restaurants & Leisure' },
+  { symbol: 'DVA', name: 'DaVita', sector: SECTORS.HEALTH, industry: 'Health Care Providers & Services' },
+  { symbol: 'RVTY', name: 'Revvity', sector: SECTORS.HEALTH, industry: 'Life Sciences Tools & Services' },
+  { symbol: 'MOS', name: 'Mosaic Company (The)', sector: SECTORS.MATERIALS, industry: 'Chemicals' },
+  { symbol: 'SWK', name: 'Stanley Black & Decker', sector: SECTORS.INDUSTRIALS, industry: 'Machinery' },
+  { symbol: 'EPAM', name: 'EPAM Systems', sector: SECTORS.TECH, industry: 'IT Services' },
+  { symbol: 'CAG', name: 'Conagra Brands', sector: SECTORS.STAPLES, industry: 'Food Products' },
+  { symbol: 'AIZ', name: 'Assurant', sector: SECTORS.FIN, industry: 'Insurance' },
+  { symbol: 'IPG', name: 'Interpublic Group', sector: SECTORS.COMM, industry: 'Media' },
+  { symbol: 'EMN', name: 'Eastman Chemical Company', sector: SECTORS.MATERIALS, industry: 'Chemicals' },
+  { symbol: 'MGM', name: 'MGM Resorts', sector: SECTORS.DISC, industry: 'Hotels, Restaurants & Leisure' },
+  { symbol: 'PNW', name: 'Pinnacle West Capital', sector: SECTORS.UTILITIES, industry: 'Electric Utilities' },
+  { symbol: 'CPB', name: 'Campbell\'s Company (The)', sector: SECTORS.STAPLES, industry: 'Food Products' },
+  { symbol: 'HAS', name: 'Hasbro', sector: SECTORS.DISC, industry: 'Leisure Products' },
+  { symbol: 'HII', name: 'Huntington Ingalls Industries', sector: SECTORS.INDUSTRIALS, industry: 'Aerospace & Defense' },
+  { symbol: 'NCLH', name: 'Norwegian Cruise Line Holdings', sector: SECTORS.DISC, industry: 'Hotels, Restaurants & Leisure' },
+  { symbol: 'MRNA', name: 'Moderna', sector: SECTORS.HEALTH, industry: 'Biotechnology' },
+  { symbol: 'PSKY', name: 'Paramount Skydance', sector: SECTORS.COMM, industry: 'Media' },
+  { symbol: 'KMX', name: 'CarMax', sector: SECTORS.DISC, industry: 'Specialty Retail' },
+  { symbol: 'LKQ', name: 'LKQ Corporation', sector: SECTORS.DISC, industry: 'Distributors' },
+  { symbol: 'IVZ', name: 'Invesco', sector: SECTORS.FIN, industry: 'Capital Markets' },
+  { symbol: 'AES', name: 'AES Corporation', sector: SECTORS.UTILITIES, industry: 'Independent Power and Renewable Electricity Producers' },
+  { symbol: 'GNRC', name: 'Generac', sector: SECTORS.INDUSTRIALS, industry: 'Electrical Equipment' },
+  { symbol: 'AOS', name: 'A. O. Smith', sector: SECTORS.INDUSTRIALS, industry: 'Building Products' },
+  { symbol: 'HSIC', name: 'Henry Schein', sector: SECTORS.HEALTH, industry: 'Health Care Providers & Services' },
+  { symbol: 'DAY', name: 'Dayforce', sector: SECTORS.INDUSTRIALS, industry: 'Professional Services' },
+  { symbol: 'CRL', name: 'Charles River Laboratories', sector: SECTORS.HEALTH, industry: 'Life Sciences Tools & Services' },
+  { symbol: 'TECH', name: 'Bio-Techne', sector: SECTORS.HEALTH, industry: 'Life Sciences Tools & Services' },
+  { symbol: 'APA', name: 'APA Corporation', sector: SECTORS.ENERGY, industry: 'Oil, Gas & Consumable Fuels' },
+  { symbol: 'FRT', name: 'Federal Realty Investment Trust', sector: SECTORS.REAL_ESTATE, industry: 'Retail REITs' },
+  { symbol: 'MTCH', name: 'Match Group', sector: SECTORS.COMM, industry: 'Interactive Media & Services' },
+  { symbol: 'LW', name: 'Lamb Weston', sector: SECTORS.STAPLES, industry: 'Food Products' },
+  { symbol: 'ALB', name: 'Albemarle Corporation', sector: SECTORS.MATERIALS, industry: 'Chemicals' },
+  { symbol: 'MHK', name: 'Mohawk Industries', sector: SECTORS.DISC, industry: 'Household Durables' },
+  { symbol: 'CE', name: 'Celanese', sector: SECTORS.MATERIALS, industry: 'Chemicals' },
+  { symbol: 'FMC', name: 'FMC Corporation', sector: SECTORS.MATERIALS, industry: 'Chemicals' },
+  { symbol: 'AMTM', name: 'Amentum', sector: SECTORS.INDUSTRIALS, industry: 'Professional Services' },
 ];
 
 export const SP500_SYMBOLS = SP500_CONSTITUENTS.map(c => c.symbol);
@@ -0,0 +1,179 @@
+// src/data/stockUniverses.js
+// Index universes for the stocks heatmap: the bundled constituent lists plus
+// user-defined lists (Settings tab). Each universe keeps its own quote and
+// candle caches so switching doesn't throw away the others.
+import { STORAGE_KEYS } from './constants.js';
+import { createEmitter } from './emitter.js';
+import { SP500_CONSTITUENTS } from './sp500-constituents.js';
+import { NASDAQ100_CONSTITUENTS } from './nasdaq100-constituents.js';
+import { DOW30_CONSTITUENTS } from './dow30-constituents.js';
+
+export const DEFAULT_UNIVERSE_ID = 'sp500';
+
+const MAX_CUSTOM_SYMBOLS = 200;
+const SYMBOL_PATTERN = /^[A-Z][A-Z0-9.-]{0,9}$/;
+
+// weighting: 'cap' sizes tiles by market cap, 'price' by share price (Dow).
+// proxy: ETF whose previous close x multiplier approximates the index level.
+const BUNDLED_UNIVERSES = [
+  {
+    id: 'sp500',
+    name: 'S&P 500',
+    constituents: SP500_CONSTITUENTS,
+    weighting: 'cap',
+    proxy: { symbol: 'SPY', multiplier: 10 },
+    cacheKey: STORAGE_KEYS.sp500Cache,
+    candlesKey: STORAGE_KEYS.sp500Candles,
+  },
+  {
+    id: 'nasdaq100',
+    name: 'Nasdaq-100',
+    constituents: NASDAQ100_CONSTITUENTS,
+    weighting: 'cap',
+    proxy: { symbol: 'QQQ', multiplier: 41 },
+    cacheKey: STORAGE_KEYS.nasdaq100Cache,
+    candlesKey: STORAGE_KEYS.nasdaq100Candles,
+  },
+  {
+    id: 'dow30',
+    name: 'Dow 30',
+    constituents: DOW30_CONSTITUENTS,
+    weighting: 'price',
+    proxy: { symbol: 'DIA', multiplier: 100 },
+    cacheKey: STORAGE_KEYS.dow30Cache,
+    candlesKey: STORAGE_KEYS.dow30Candles,
+  },
+];
+
+// Sector/industry for custom-list symbols that appear in a bundled index
+const KNOWN_META = new Map();
+BUNDLED_UNIVERSES.forEach((u) =>
+  u.constituents.forEach((c) => {
+    if (!KNOWN_META.has(c.symbol)) KNOWN_META.set(c.symbol, c);
+  })
+);
+
+const changes = createEmitter();
+
+// [{ id, name, symbols }]
+let customLists = [];
+
+function loadCustomLists() {
+  const raw = localStorage.getItem(STORAGE_KEYS.customUniverses);
+  if (!raw) return;
+  try {
+    const parsed = JSON.parse(raw);
+    customLists = Array.isArray(parsed) ? parsed.filter((l) => l && l.id && Array.isArray(l.symbols)) : [];
+  } catch (_) {
+    // ignore corrupt settings
+  }
+}
+
+function saveCustomLists() {
+  localStorage.setItem(STORAGE_KEYS.customUniverses, JSON.stringify(customLists));
+}
+
+loadCustomLists();
+
+function customUniverse(list) {
+  return {
+    id: list.id,
+    name: list.name,
+    custom: true,
+    constituents: list.symbols.map(
+      (symbol) => KNOWN_META.get(symbol) || { symbol, name: symbol, sector: null, industry: null }
+    ),
+    weighting: 'cap',
+    proxy: null,
+    cacheKey: `${STORAGE_KEYS.customUniverseCachePrefix}${list.id}`,
+    candlesKey: `${STORAGE_KEYS.customUniverseCandlesPrefix}${list.id}`,
+  };
+}
+
+/**
+ * Uppercased, de-duplicated ticker list from free text ("aapl, msft nvda").
+ * @returns {string[]}
+ */
+export function parseSymbolList(text) {
+  const symbols = String(text || '')
+    .toUpperCase()
+    .split(/[\s,;]+/)
+    .filter((s) => SYMBOL_PATTERN.test(s));
+  return Array.from(new Set(symbols)).slice(0, MAX_CUSTOM_SYMBOLS);
+}
+
+/**
+ * @returns {Array<{ id, name, custom: boolean }>} for the picker
+ */
+export function listUniverses() {
+  return [
+    ...BUNDLED_UNIVERSES.map(({ id, name }) => ({ id, name, custom: false })),
+    ...customLists.map(({ id, name }) => ({ id, name, custom: true })),
+  ];
+}
+
+/**
+ * Full universe definition; unknown ids (e.g. a deleted custom list) fall
+ * back to the S&P 500.
+ */
+export function getUniverse(id) {
+  const bundled = BUNDLED_UNIVERSES.find((u) => u.id === id);
+  if (bundled) return bundled;
+  const list = customLists.find((l) => l.id === id);
+  if (list) return customUniverse(list);
+  return BUNDLED_UNIVERSES.find((u) => u.id === DEFAULT_UNIVERSE_ID);
+}
+
+export function getCustomUniverses() {
+  return customLists.map((l) => ({ ...l, symbols: l.symbols.slice() }));
+}
+
+/**
+ * Create or update a custom list.
+ * @param {{ id?: string, name: string, symbols: string[] }} list
+ * @returns {{ id, name, symbols }} the stored list
+ */
+export function saveCustomUniverse({ id, name, symbols }) {
+  const clean = parseSymbolList((symbols || []).join(' '));
+  if (!clean.length) throw new Error('Add at least one ticker');
+
+  const stored = {
+    id: id || `custom-${Date.now().toString(36)}`,
+    name: String(name || '').trim() || 'My list',
+    symbols: clean,
+  };
+  const idx = customLists.findIndex((l) => l.id === stored.id);
+  if (idx >= 0) customLists[idx] = stored;
+  else customLists.push(stored);
+
+  saveCustomLists();
+  changes.emit({ type: 'save', id: stored.id });
+  return { ...stored, symbols: stored.symbols.slice() };
+}
+
+export function deleteCustomUniverse(id) {
+  const list = customLists.find((l) => l.id === id);
+  if (!list) return;
+
+  customLists = customLists.filter((l) => l.id !== id);
+  saveCustomLists();
+  // Listeners move the stocks tab off the list first, so nothing writes its
+  // cache back after the keys are gone
+  changes.emit({ type: 'delete', id });
+
+  const { cacheKey, candlesKey } = customUniverse(list);
+  try {
+    localStorage.removeItem(cacheKey);
+    localStorage.removeItem(candlesKey);
+  } catch (_) {
+    // ignore
+  }
+}
+
+/**
+ * @param {(event: { type: 'save' | 'delete', id: string }) => void} fn
+ * @returns {() => void} unsubscribe
+ */
+export function onUniversesChange(fn) {
+  return changes.subscribe(fn);
+}
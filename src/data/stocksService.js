@@ -1,12 +1,70 @@
 // src/data/stocksService.js
-import { apiClient } from './apiClient.js';
-import { STORAGE_KEYS } from './constants.js';
+// Quotes, caps and logos for the stocks heatmap. The selected universe
+// (S&P 500 by default, see stockUniverses.js) decides the symbols, weighting
+// and cache keys; the sp500* names predate the other indexes.
+import { marketData } from './marketData.js';
+import { STORAGE_KEYS, REQUEST_ERRORS, TIMEFRAMES } from './constants.js';
 import { toEstIso, isOlderThanMinutes } from './timezone.js';
-import { SP500_SYMBOLS } from './sp500-constituents.js';
-import { getCompanyProfile } from './companyService.js';
+import { getClosedSince, getMarketState, nyDateIso } from './tradingCalendar.js';
+import { DEFAULT_UNIVERSE_ID, getUniverse } from './stockUniverses.js';
+import { SP500_CONSTITUENTS } from './sp500-constituents.js';
+import { getCompanyProfiles } from './companyService.js';
+import { createEmitter } from './emitter.js';
+import { createReferenceCloses } from './referenceCloses.js';
+import { saveSnapshot } from './snapshotStore.js';
 
 const SP500_REFRESH_MINUTES = 10;                 // quotes refresh cadence
 const SP500_MARKETCAP_TTL_MINUTES = 60 * 24 * 7; // 1 week for market caps
+const STREAM_SAVE_DEBOUNCE_MS = 5000;
+
+// ~500 symbols don't fit one refresh on a free key (60 calls/min), so each
+// refresh quotes the largest caps plus the next slice of the tail. The whole
+// index is covered every few refreshes; the head is never stale.
+const SP500_HEAD_SIZE = 100;
+const SP500_TAIL_BATCH = 100;
+const SP500_PROFILE_BATCH = 100;  // profiles are cached for good; fill slowly
+
+let universe = getUniverse(DEFAULT_UNIVERSE_ID);
+
+// symbol -> { name, sector, industry } and list position (static, not persisted)
+let universeMeta = buildMeta(universe);
+let staticRank = buildStaticRank(universe);
+
+// universe id -> 1W/1M/YTD closes: one candle call per symbol per day, head first
+const referencesByUniverse = new Map();
+
+function buildMeta(u) {
+  return Object.fromEntries(
+    u.constituents.map(({ symbol, name, sector, industry }) => [
+      symbol,
+      { name, sector, industry },
+    ])
+  );
+}
+
+function buildStaticRank(u) {
+  return new Map(u.constituents.map((c, i) => [c.symbol, i]));
+}
+
+function references(u = universe) {
+  if (!referencesByUniverse.has(u.id)) {
+    referencesByUniverse.set(
+      u.id,
+      createReferenceCloses({
+        storageKey: u.candlesKey,
+        keyName: 'sp500',
+        batchSize: SP500_HEAD_SIZE,
+      })
+    );
+  }
+  return referencesByUniverse.get(u.id);
+}
+
+// Pushes { type: 'stream' | 'quote', symbols } when quotes move (live trades
+// or a refresh landing one symbol), { type: 'progress' } when the refresh
+// progress changes and { type: 'profiles' } when caps/logos arrive
+const sp500Events = createEmitter();
+let streamSaveTimer = null;
 
 // Clean up old history key from previous versions (if present)
 try {
@@ -15,26 +73,36 @@ try {
   // ignore
 }
 
-let sp500State = {
-  symbols: SP500_SYMBOLS.slice(), // S&P universe (or your subset)
-  quotes: {},                     // symbol -> { price, changePct1D }
-  marketCaps: {},                 // symbol -> number
-  logos: {},                      // symbol -> logo URL
-  lastQuotesFetch: null,
-  lastMarketCapFetch: null,
-  status: 'idle',
-  error: null,
-};
+function emptyState() {
+  return {
+    symbols: universe.constituents.map((c) => c.symbol),
+    quotes: {},                     // symbol -> { price, changePct1D, previousClose, ext? }
+    marketCaps: {},                 // symbol -> number
+    logos: {},                      // symbol -> logo URL
+    tailCursor: 0,                  // where the next tail batch starts
+    indexQuote: null,               // index proxy ETF { price, previousClose }
+    progress: null,                 // { done, total } while a refresh runs
+    lastQuotesFetch: null,
+    lastMarketCapFetch: null,
+    status: 'idle',
+    error: null,
+  };
+}
+
+let sp500State = emptyState();
 
 function loadCache() {
-  const raw = localStorage.getItem(STORAGE_KEYS.sp500Cache);
+  const raw = localStorage.getItem(universe.cacheKey);
   if (!raw) return;
   try {
     const parsed = JSON.parse(raw);
-    sp500State.symbols = parsed.symbols || sp500State.symbols;
+    // The symbols always come from the universe definition; older S&P
+    // caches stored a 45-name subset here
     sp500State.quotes = parsed.quotes || {};
     sp500State.marketCaps = parsed.marketCaps || {};
     sp500State.logos = parsed.logos || {};
+    sp500State.tailCursor = parsed.tailCursor || 0;
+    sp500State.indexQuote = parsed.indexQuote || null;
     sp500State.lastQuotesFetch = parsed.lastQuotesFetch || null;
     sp500State.lastMarketCapFetch = parsed.lastMarketCapFetch || null;
   } catch (_) {
@@ -44,76 +112,206 @@ function loadCache() {
 
 function saveCache() {
   const snapshot = {
-    symbols: sp500State.symbols,
     quotes: sp500State.quotes,
     marketCaps: sp500State.marketCaps,
     logos: sp500State.logos,
+    tailCursor: sp500State.tailCursor,
+    indexQuote: sp500State.indexQuote,
     lastQuotesFetch: sp500State.lastQuotesFetch,
     lastMarketCapFetch: sp500State.lastMarketCapFetch,
   };
-  localStorage.setItem(STORAGE_KEYS.sp500Cache, JSON.stringify(snapshot));
+  localStorage.setItem(universe.cacheKey, JSON.stringify(snapshot));
 }
 
 loadCache();
 
-// ----------------- 1D quotes via Finnhub /quote --------------------------
+/**
+ * Universe ordered by known market cap (desc), then by list order for
+ * symbols whose profile hasn't loaded yet.
+ */
+function rankedSymbols() {
+  const caps = sp500State.marketCaps;
+  return sp500State.symbols.slice().sort((a, b) => {
+    const capA = caps[a];
+    const capB = caps[b];
+    if (capA != null && capB != null) return capB - capA;
+    if (capA != null) return -1;
+    if (capB != null) return 1;
+    return staticRank.get(a) - staticRank.get(b);
+  });
+}
 
-async function refreshQuotesIfNeeded() {
-  const nowEstIso = toEstIso(new Date());
-  if (
-    sp500State.lastQuotesFetch &&
-    !isOlderThanMinutes(
-      sp500State.lastQuotesFetch,
-      SP500_REFRESH_MINUTES,
-      'America/New_York'
-    )
-  ) {
-    return;
+/**
+ * The current universe's largest members by cached market cap (index order
+ * until caps are known).
+ * @param {number} count
+ * @returns {string[]}
+ */
+export function getLargestStocks(count) {
+  return rankedSymbols().slice(0, count);
+}
+
+/**
+ * Head + the next tail slice (wrapping around) for this refresh.
+ */
+function pickQuoteBatch() {
+  const ranked = rankedSymbols();
+  const head = ranked.slice(0, SP500_HEAD_SIZE);
+  const tail = ranked.slice(SP500_HEAD_SIZE);
+  if (!tail.length) return { symbols: head, nextCursor: 0 };
+
+  const start = sp500State.tailCursor % tail.length;
+  const count = Math.min(SP500_TAIL_BATCH, tail.length);
+  const slice = [];
+  for (let i = 0; i < count; i++) {
+    slice.push(tail[(start + i) % tail.length]);
+  }
+  return { symbols: head.concat(slice), nextCursor: (start + count) % tail.length };
+}
+
+// ----------------- 1D quotes via marketData.getQuote ---------------------
+
+// The proxy ETF stands in for the index level so the summary bar can turn
+// a stock's weighted move into index points. Custom lists have none.
+async function refreshIndexQuote(state, signal) {
+  const proxy = universe.proxy;
+  if (!proxy) return;
+  try {
+    const q = await marketData.getQuote(proxy.symbol, { keyName: 'sp500', signal });
+    if (typeof q.previousClose === 'number') {
+      state.indexQuote = { price: q.price, previousClose: q.previousClose };
+    }
+  } catch (err) {
+    if (err.message !== REQUEST_ERRORS.ABORTED) console.warn('SP500 index quote error', err);
   }
+}
+
+// True when quotes stamped at `stampIso` need no refetch yet
+function quotesFresh(stampIso) {
+  if (!stampIso) return false;
+  if (!isOlderThanMinutes(stampIso, SP500_REFRESH_MINUTES, 'America/New_York')) return true;
+
+  // Overnight, weekends and holidays: a fetch stamped after the last session
+  // ended already has the final prices, so don't poll again until the open
+  const closedSince = getClosedSince();
+  return !!closedSince && stampIso >= closedSince;
+}
+
+async function refreshQuotesIfNeeded(signal) {
+  const nowEstIso = toEstIso(new Date());
+  if (quotesFresh(sp500State.lastQuotesFetch)) return;
 
   sp500State.status = 'loading';
   sp500State.error = null;
 
-  const symbols = sp500State.symbols;
-  const quotes = {};
+  // Switching universe mid-refresh replaces sp500State; late quotes then
+  // land in the abandoned state instead of the new universe's
+  const state = sp500State;
+  const viewName = universe.id;
+  const { symbols, nextCursor } = pickQuoteBatch();
+  const progress = { done: 0, total: symbols.length };
+  state.progress = progress;
+  sp500Events.emit({ type: 'progress' });
+  let timedOut = false;
 
-  // NOTE: This is one call per symbol. Keep your S&P universe size reasonable.
-  for (const symbol of symbols) {
-    try {
-      const data = await apiClient.finnhub(
-        `/quote?symbol=${encodeURIComponent(symbol)}`,
-        { keyName: 'sp500' }
-      );
-
-      const price = data.c;
-      let pct1D =
-        typeof data.dp === 'number'
-          ? data.dp
-          : typeof data.c === 'number' &&
-            typeof data.pc === 'number' &&
-            data.pc !== 0
-          ? ((data.c - data.pc) / data.pc) * 100
-          : null;
-
-      quotes[symbol] = {
-        price,
-        changePct1D: pct1D,
-      };
-    } catch (err) {
-      console.warn('SP500 quote error', symbol, err);
-    }
+  // NOTE: This is one call per symbol. The apiClient scheduler paces them
+  // against the key's rate limit and retries 429s, so fire the batch at once.
+  // Each quote lands in the live map as it arrives (the heatmap recolors
+  // tile by tile); a failed/cancelled symbol keeps its previous value.
+  await Promise.all([
+    refreshIndexQuote(state, signal),
+    ...symbols.map(async (symbol) => {
+      try {
+        const q = await marketData.getQuote(symbol, { keyName: 'sp500', signal });
+        const prev = state.quotes[symbol];
+
+        state.quotes[symbol] = {
+          price: q.price,
+          changePct1D: q.changePct1D,
+          previousClose: q.previousClose,
+          ext: extendedFromQuote(q) || prev?.ext || null,
+        };
+        progress.done += 1;
+        sp500Events.emit({ type: 'quote', symbols: [symbol] });
+      } catch (err) {
+        progress.done += 1;
+        sp500Events.emit({ type: 'progress' });
+        if (err.message === REQUEST_ERRORS.ABORTED) return;
+        if (err.message === REQUEST_ERRORS.TIMEOUT) timedOut = true;
+        console.warn('SP500 quote error', symbol, err);
+      }
+    }),
+  ]);
+
+  if (state.progress === progress) state.progress = null;
+  if (state !== sp500State) return;
+  sp500Events.emit({ type: 'progress' });
+
+  // Left the tab mid-refresh: keep what arrived but stay stale so the next
+  // visit fetches again
+  if (signal && signal.aborted) {
+    sp500State.status = 'idle';
+    saveCache();
+    return;
   }
 
-  sp500State.quotes = quotes;
   sp500State.lastQuotesFetch = nowEstIso;
-  sp500State.status = 'ready';
+  sp500State.tailCursor = nextCursor;
+  sp500State.status = timedOut ? 'timeout' : 'ready';
+  sp500State.error = timedOut ? REQUEST_ERRORS.TIMEOUT : null;
 
   saveCache();
+  // History for the replay slider (fire and forget)
+  saveSnapshot(viewName, { takenAt: nowEstIso, quotes: withDerivedChanges(sp500State.quotes) });
+}
+
+// ----------------- Extended hours ----------------------------------------
+//
+// `price` / `changePct1D` always describe the regular session. Pre-market and
+// after-hours prints go to `ext: { price, session, date }` instead, and are
+// measured against the last regular price (combined = vs previous close).
+
+function extendedSession() {
+  const state = getMarketState();
+  return state === 'pre' || state === 'post' ? state : null;
+}
+
+function extendedFromQuote(q) {
+  const session = extendedSession();
+  if (!session || typeof q.extendedPrice !== 'number') return null;
+  return { price: q.extendedPrice, session, date: nyDateIso() };
+}
+
+function pct(price, reference) {
+  if (typeof price !== 'number' || typeof reference !== 'number' || reference === 0) {
+    return null;
+  }
+  return ((price - reference) / reference) * 100;
+}
+
+/**
+ * @returns {{ changePctExt, changePctCombined, extSession }} nulls unless
+ *   there are extended-hours prints from the current session
+ */
+function extendedChanges(q) {
+  const session = extendedSession();
+  const ext = q.ext;
+  if (!session || !ext || ext.session !== session || ext.date !== nyDateIso()) {
+    return { changePctExt: null, changePctCombined: null, extSession: null };
+  }
+
+  const changePctExt = pct(ext.price, q.price);
+  return {
+    changePctExt,
+    // Pre-market: the last regular price already is the previous close
+    changePctCombined: session === 'post' ? pct(ext.price, q.previousClose) : changePctExt,
+    extSession: session,
+  };
 }
 
 // ----------------- Market caps + logos via company profile ---------------
 
-async function refreshMarketCapsIfNeeded() {
+async function refreshMarketCapsIfNeeded(signal) {
   const nowEstIso = toEstIso(new Date());
 
   if (
@@ -127,76 +325,316 @@ async function refreshMarketCapsIfNeeded() {
     return;
   }
 
-  const marketCaps = { ...sp500State.marketCaps };
-  const logos = { ...sp500State.logos };
+  const state = sp500State;
+  const marketCaps = { ...state.marketCaps };
+  const logos = { ...state.logos };
 
-  for (const symbol of sp500State.symbols) {
-    const key = symbol.toUpperCase();
-    const hasCap = marketCaps[key] != null;
-    const hasLogo = logos[key] != null;
+  // Only symbols we have never sized; quoted ones first so visible tiles
+  // get their real weight before the rest of the tail
+  const missing = rankedSymbols()
+    .map((symbol) => symbol.toUpperCase())
+    .filter((key) => marketCaps[key] == null)
+    .sort((a, b) => (sp500State.quotes[a] ? 0 : 1) - (sp500State.quotes[b] ? 0 : 1))
+    .slice(0, SP500_PROFILE_BATCH);
+  const complete = missing.length < SP500_PROFILE_BATCH;
 
-    if (hasCap && hasLogo) continue;
+  const profiles = await getCompanyProfiles(missing, { signal });
 
-    try {
-      const profile = await getCompanyProfile(key);
-      if (profile) {
-        if (typeof profile.marketCap === 'number') {
-          marketCaps[key] = profile.marketCap;
-        }
-        if (profile.logo) {
-          logos[key] = profile.logo;
-        }
-      }
-    } catch (err) {
-      console.warn('SP500 marketCap/logo error', symbol, err);
+  for (const key of missing) {
+    const profile = profiles[key];
+    if (!profile) {
+      console.warn('SP500 marketCap/logo error', key);
+      continue;
+    }
+    if (typeof profile.marketCap === 'number') {
+      marketCaps[key] = profile.marketCap;
+    }
+    if (profile.logo) {
+      logos[key] = profile.logo;
     }
   }
 
-  sp500State.marketCaps = marketCaps;
-  sp500State.logos = logos;
-  sp500State.lastMarketCapFetch = nowEstIso;
+  if (state !== sp500State) return; // universe switched meanwhile
+
+  state.marketCaps = marketCaps;
+  state.logos = logos;
+  if (missing.length) sp500Events.emit({ type: 'profiles' });
+  // Stamp only once every symbol has a cap so the next call keeps filling
+  if (complete && !(signal && signal.aborted)) state.lastMarketCapFetch = nowEstIso;
   saveCache();
 }
 
 // ----------------- Public API used by sp500Heatmap -----------------------
 
-export async function getSp500Data() {
+/**
+ * @param {{ signal?: AbortSignal, timeframe?: string }} [opts]
+ *   signal: abort to stop fetching (tab left)
+ *   timeframe: anything but 1D also loads daily candles for 1W/1M/YTD
+ */
+export async function getSp500Data({ signal, timeframe = TIMEFRAMES.ONE_DAY } = {}) {
   try {
-    await refreshQuotesIfNeeded();
+    await refreshQuotesIfNeeded(signal);
   } catch (_) {
     // keep last cache
   }
 
   try {
-    await refreshMarketCapsIfNeeded();
+    await refreshMarketCapsIfNeeded(signal);
   } catch (_) {}
 
+  if (timeframe !== TIMEFRAMES.ONE_DAY) {
+    try {
+      const quoted = rankedSymbols().filter((symbol) => sp500State.quotes[symbol]);
+      const { timedOut, failed } = await references().refresh(quoted, { signal });
+      if (failed && !sp500State.error) {
+        sp500State.error = timedOut ? REQUEST_ERRORS.TIMEOUT : REQUEST_ERRORS.CANDLES;
+      }
+    } catch (_) {}
+  }
+
+  return getSp500Snapshot();
+}
+
+// Quotes plus 1W/1M/YTD measured from the live price and extended-hours moves
+function withDerivedChanges(quotes, refs = references()) {
+  const out = {};
+  for (const [symbol, q] of Object.entries(quotes)) {
+    const ref = refs.get(symbol);
+    out[symbol] = {
+      ...q,
+      ...refs.changesFor(symbol, q.price),
+      ...extendedChanges(q),
+      high52: ref ? ref.high52 : null,
+      low52: ref ? ref.low52 : null,
+    };
+  }
+  return out;
+}
+
+/**
+ * Current state without touching the network.
+ */
+export function getSp500Snapshot() {
   return {
     symbols: sp500State.symbols,
-    quotes: sp500State.quotes,
+    quotes: withDerivedChanges(sp500State.quotes),
     marketCaps: sp500State.marketCaps,
     logos: sp500State.logos,
+    meta: universeMeta,
+    universe: { id: universe.id, name: universe.name, weighting: universe.weighting },
+    progress: sp500State.progress,
+    // Approximate index level at the previous close (null until the proxy
+    // ETF loads, or for custom lists)
+    indexLevel:
+      universe.proxy && sp500State.indexQuote
+        ? sp500State.indexQuote.previousClose * universe.proxy.multiplier
+        : null,
     lastQuotesFetch: sp500State.lastQuotesFetch,
     status: sp500State.status,
     error: sp500State.error,
   };
 }
 
+// ----------------- S&P members for other views (sector drill-down) -------
+//
+// The sector map drills into S&P 500 members whatever index the stocks tab
+// shows, so read the live state when it is the S&P and its stored cache
+// otherwise. Quotes fetched for a drill-down stay in memory with their own
+// stamp; whichever source quoted a symbol last wins.
+
+const SP500_META = Object.fromEntries(
+  SP500_CONSTITUENTS.map(({ symbol, name, sector, industry }) => [
+    symbol,
+    { name, sector, industry },
+  ])
+);
+const drillQuotes = {}; // symbol -> { price, changePct1D, previousClose, fetchedAt }
+
+// Parsed S&P cache while another index is shown. Nothing writes that key
+// until the S&P is selected again, which clears this.
+let sp500CacheMemo = null;
+
+function sp500Cached() {
+  if (universe.id === DEFAULT_UNIVERSE_ID) return sp500State;
+  if (!sp500CacheMemo) {
+    try {
+      sp500CacheMemo = JSON.parse(localStorage.getItem(getUniverse(DEFAULT_UNIVERSE_ID).cacheKey)) || {};
+    } catch (_) {
+      sp500CacheMemo = {};
+    }
+  }
+  return sp500CacheMemo;
+}
+
+// { quote, fetchedAt } from whichever source quoted the symbol last, or null.
+// Sources: the S&P cache, the index shown on the stocks tab, drill-downs.
+function cachedQuote(cached, symbol) {
+  const { fetchedAt = null, ...drill } = drillQuotes[symbol] || {};
+  const hits = [
+    { quote: cached.quotes?.[symbol], fetchedAt: cached.lastQuotesFetch || null },
+    { quote: sp500State.quotes[symbol], fetchedAt: sp500State.lastQuotesFetch },
+    { quote: fetchedAt && drill, fetchedAt },
+  ].filter((hit) => hit.quote);
+
+  let best = null;
+  for (const hit of hits) {
+    if (!best || (hit.fetchedAt && (!best.fetchedAt || hit.fetchedAt > best.fetchedAt))) best = hit;
+  }
+  return best;
+}
+
+/**
+ * Cached quotes, caps, logos and meta for S&P 500 symbols, without touching
+ * the network. Symbols never quoted are missing from `quotes`.
+ * @param {string[]} symbols
+ * @returns {{ quotes, marketCaps, logos, meta, lastQuotesFetch }}
+ *   lastQuotesFetch: stamp of the oldest quote returned
+ */
+export function getCachedStocks(symbols) {
+  const cached = sp500Cached();
+  const quotes = {};
+  const marketCaps = {};
+  const logos = {};
+  let lastQuotesFetch = null;
+
+  for (const symbol of symbols) {
+    const hit = cachedQuote(cached, symbol);
+    if (hit) {
+      quotes[symbol] = hit.quote;
+      if (hit.fetchedAt && (!lastQuotesFetch || hit.fetchedAt < lastQuotesFetch)) {
+        lastQuotesFetch = hit.fetchedAt;
+      }
+    }
+    const cap = cached.marketCaps?.[symbol] ?? sp500State.marketCaps[symbol];
+    if (cap != null) marketCaps[symbol] = cap;
+    const logo = cached.logos?.[symbol] ?? sp500State.logos[symbol];
+    if (logo) logos[symbol] = logo;
+  }
+
+  return {
+    quotes: withDerivedChanges(quotes, references(getUniverse(DEFAULT_UNIVERSE_ID))),
+    marketCaps,
+    logos,
+    meta: SP500_META,
+    lastQuotesFetch,
+  };
+}
+
+/**
+ * Quote the given symbols whose cached quote is missing or stale (same
+ * cadence and closed-market rule as the stocks tab). Each arrival emits
+ * { type: 'quote', symbols } on the stocks emitter.
+ * @param {string[]} symbols
+ * @param {{ signal?: AbortSignal }} [opts]
+ */
+export async function loadStockQuotesIfNeeded(symbols, { signal } = {}) {
+  const cached = sp500Cached();
+  const stale = symbols.filter((symbol) => !quotesFresh(cachedQuote(cached, symbol)?.fetchedAt));
+
+  await Promise.all(
+    stale.map(async (symbol) => {
+      try {
+        const q = await marketData.getQuote(symbol, { keyName: 'sp500', signal });
+        drillQuotes[symbol] = {
+          price: q.price,
+          changePct1D: q.changePct1D,
+          previousClose: q.previousClose,
+          fetchedAt: toEstIso(new Date()),
+        };
+        sp500Events.emit({ type: 'quote', symbols: [symbol] });
+      } catch (err) {
+        if (err.message !== REQUEST_ERRORS.ABORTED) console.warn('Stock quote error', symbol, err);
+      }
+    })
+  );
+}
+
+/**
+ * @param {(event: { type: string, symbols?: string[] }) => void} fn
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeSp500(fn) {
+  return sp500Events.subscribe(fn);
+}
+
+/**
+ * Apply streamed trades: price moves, changePct1D is recomputed against the
+ * cached previous close. Symbols without a previous close are ignored.
+ * Outside the regular session the trades only update the extended-hours price.
+ * @param {Array<{ symbol, price }>} trades
+ * @returns {string[]} symbols whose quote changed
+ */
+export function applySp500Trades(trades) {
+  const changed = [];
+  const session = extendedSession();
+  const today = session ? nyDateIso() : null;
+
+  for (const { symbol, price } of trades) {
+    const q = sp500State.quotes[symbol];
+    if (!q || typeof q.previousClose !== 'number' || q.previousClose === 0) continue;
+
+    if (session) {
+      if (q.ext && q.ext.price === price && q.ext.session === session) continue;
+      sp500State.quotes[symbol] = { ...q, ext: { price, session, date: today } };
+      changed.push(symbol);
+      continue;
+    }
+
+    if (q.price === price) continue;
+
+    sp500State.quotes[symbol] = {
+      ...q,
+      price,
+      changePct1D: ((price - q.previousClose) / q.previousClose) * 100,
+    };
+    changed.push(symbol);
+  }
+
+  if (changed.length) {
+    // Ticks arrive constantly; persist them lazily
+    if (!streamSaveTimer) {
+      streamSaveTimer = setTimeout(() => {
+        streamSaveTimer = null;
+        saveCache();
+      }, STREAM_SAVE_DEBOUNCE_MS);
+    }
+    sp500Events.emit({ type: 'stream', symbols: changed });
+  }
+  return changed;
+}
+
+/**
+ * Switch the stocks heatmap to another universe (see stockUniverses.js).
+ * The current one is saved first; the new one starts from its own cache.
+ * Emits { type: 'universe' }.
+ */
+export function setStockUniverse(id) {
+  const next = getUniverse(id);
+  // Same id but a custom list may have been edited: pick up its symbols
+  if (next.id === universe.id && !next.custom) return;
+
+  if (streamSaveTimer) {
+    clearTimeout(streamSaveTimer);
+    streamSaveTimer = null;
+  }
+  // A deleted custom list resolves to the default; don't write its cache back
+  if (getUniverse(universe.id).id === universe.id) saveCache();
+  sp500CacheMemo = null;
+
+  universe = next;
+  universeMeta = buildMeta(universe);
+  staticRank = buildStaticRank(universe);
+  sp500State = emptyState();
+  loadCache();
+  sp500Events.emit({ type: 'universe' });
+}
+
 export function resetSp500Cache() {
   try {
-    localStorage.removeItem(STORAGE_KEYS.sp500Cache);
+    localStorage.removeItem(universe.cacheKey);
   } catch (_) {
     // ignore
   }
 
-  sp500State = {
-    symbols: SP500_SYMBOLS.slice(),
-    quotes: {},
-    marketCaps: {},
-    logos: {},
-    lastQuotesFetch: null,
-    lastMarketCapFetch: null,
-    status: 'idle',
-    error: null,
-  };
+  sp500State = emptyState();
 }
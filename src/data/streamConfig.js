@@ -0,0 +1,45 @@
+// src/data/streamConfig.js
+// Settings for the optional live quote stream (Settings tab).
+import { STORAGE_KEYS } from './constants.js';
+import { createEmitter } from './emitter.js';
+
+let config = {
+  enabled: false,
+  url: '', // '' = Finnhub's socket; set to e.g. ws://localhost:8788 for the mock
+};
+
+const changes = createEmitter();
+
+function loadConfig() {
+  const raw = localStorage.getItem(STORAGE_KEYS.streamConfig);
+  if (!raw) return;
+  try {
+    const parsed = JSON.parse(raw);
+    config = { enabled: !!parsed.enabled, url: parsed.url || '' };
+  } catch (_) {
+    // ignore corrupt settings
+  }
+}
+
+function saveConfig() {
+  localStorage.setItem(STORAGE_KEYS.streamConfig, JSON.stringify(config));
+}
+
+loadConfig();
+
+export function getStreamConfig() {
+  return { ...config };
+}
+
+export function setStreamConfig(next) {
+  config = {
+    enabled: next.enabled != null ? !!next.enabled : config.enabled,
+    url: next.url != null ? String(next.url).trim() : config.url,
+  };
+  saveConfig();
+  changes.emit(getStreamConfig());
+}
+
+export function onStreamConfigChange(fn) {
+  return changes.subscribe(fn);
+}
@@ -1,4 +1,5 @@
 // src/data/timezone.js
+import { getHoliday, isTradingDay } from './tradingCalendar.js';
 
 export const EST_TIMEZONE = 'America/New_York';
 
@@ -18,6 +19,19 @@ export function formatEstTime(isoString) {
   });
 }
 
+// "Oct 17, 10:32 AM" in New York time
+export function formatEstDateTime(isoString) {
+  if (!isoString) return '';
+  const d = new Date(isoString);
+  return d.toLocaleString('en-US', {
+    timeZone: EST_TIMEZONE,
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
 export function isOlderThanMinutes(isoString, minutes, timeZone = EST_TIMEZONE) {
   if (!isoString) return true;
   const now = new Date();
@@ -35,39 +49,57 @@ export function isDifferentTradingDay(isoA, isoB, timeZone = EST_TIMEZONE) {
   return d1.toDateString() !== d2.toDateString();
 }
 
+// YYYY-MM-DD of a wall-clock Date (as produced from toLocaleString above)
+function localDateIso(d) {
+  const mm = String(d.getMonth() + 1).padStart(2, '0');
+  const dd = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
 // Mon–Fri for the "display week":
-// - Mon–Fri before 18:00 EST  => current week
-// - Fri after 18:00, Sat, Sun => next week (upcoming Mon–Fri)
+// - up to 18:00 EST on the week's last trading day => current week
+// - after that (usually Fri 18:00), Sat, Sun       => next week
+// tradingDays / holidays let callers skip NYSE holidays inside the week.
 export function getCurrentWeekRangeEst(now = new Date()) {
   const estNow = new Date(
     now.toLocaleString('en-US', { timeZone: EST_TIMEZONE })
   );
 
+  const monday = new Date(estNow);
   const day = estNow.getDay();   // 0=Sun, 1=Mon,...,5=Fri,6=Sat
-  const hour = estNow.getHours();
+  monday.setDate(estNow.getDate() + (day === 0 ? -6 : 1 - day));
+  monday.setHours(0, 0, 0, 0);
 
-  let reference = new Date(estNow);
+  const weekDays = () =>
+    [0, 1, 2, 3, 4].map((offset) => {
+      const d = new Date(monday);
+      d.setDate(monday.getDate() + offset);
+      return localDateIso(d);
+    });
 
-  const isAfterFridayClose =
-    (day === 5 && hour >= 18) || day === 6 || day === 0;
+  let days = weekDays();
+  const lastSession = days.filter(isTradingDay).pop() || days[4];
+  const todayIso = localDateIso(estNow);
 
-  if (isAfterFridayClose) {
-    // Move reference to next Monday
-    const daysToNextMonday = ((8 - day) % 7) || 7;
-    reference.setDate(reference.getDate() + daysToNextMonday);
-    reference.setHours(0, 0, 0, 0);
+  if (todayIso > lastSession || (todayIso === lastSession && estNow.getHours() >= 18)) {
+    monday.setDate(monday.getDate() + 7);
+    days = weekDays();
   }
 
-  const refDay = reference.getDay();
-  const diffToMonday = refDay === 0 ? -6 : 1 - refDay;
-
-  const monday = new Date(reference);
-  monday.setDate(reference.getDate() + diffToMonday);
-  monday.setHours(0, 0, 0, 0);
-
   const friday = new Date(monday);
   friday.setDate(monday.getDate() + 4);
   friday.setHours(23, 59, 59, 999);
 
-  return { monday, friday };
+  const holidays = {};
+  days.forEach((iso) => {
+    const name = getHoliday(iso);
+    if (name) holidays[iso] = name;
+  });
+
+  return {
+    monday,
+    friday,
+    tradingDays: days.filter(isTradingDay), // 'YYYY-MM-DD', Mon..Fri order
+    holidays,                               // 'YYYY-MM-DD' -> holiday name
+  };
 }
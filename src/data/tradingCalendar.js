@@ -0,0 +1,223 @@
+// src/data/tradingCalendar.js
+// NYSE calendar: computed holidays and early closes, session hours and the
+// current market state. Dates are NY-local 'YYYY-MM-DD' strings; times are
+// minutes after NY midnight.
+
+const NY_TIMEZONE = 'America/New_York';
+
+const PRE_OPEN = 4 * 60;
+const OPEN = 9 * 60 + 30;
+const CLOSE = 16 * 60;
+const EARLY_CLOSE = 13 * 60;
+const POST_CLOSE = 20 * 60;
+const EARLY_POST_CLOSE = 17 * 60;
+
+const holidayCache = new Map(); // year -> Map(iso -> name)
+const earlyCloseCache = new Map(); // year -> Map(iso -> reason)
+
+function ymd(year, month, day) {
+  // month is 1-based; Date.UTC normalizes overflow (e.g. day 0, day 32)
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+}
+
+function weekdayOf(iso) {
+  return new Date(`${iso}T12:00:00Z`).getUTCDay(); // 0=Sun..6=Sat
+}
+
+function addDays(iso, days) {
+  const d = new Date(`${iso}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// n-th (1-based) weekday of a month, e.g. 3rd Monday of January
+function nthWeekday(year, month, weekday, n) {
+  const first = weekdayOf(ymd(year, month, 1));
+  const offset = (weekday - first + 7) % 7;
+  return ymd(year, month, 1 + offset + (n - 1) * 7);
+}
+
+function lastWeekday(year, month, weekday) {
+  const last = ymd(year, month + 1, 0);
+  const back = (weekdayOf(last) - weekday + 7) % 7;
+  return addDays(last, -back);
+}
+
+// Anonymous Gregorian algorithm
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return ymd(year, month, day);
+}
+
+// Saturday holidays move to Friday, Sunday ones to Monday
+function observed(iso) {
+  const dow = weekdayOf(iso);
+  if (dow === 6) return addDays(iso, -1);
+  if (dow === 0) return addDays(iso, 1);
+  return iso;
+}
+
+/**
+ * @param {number} year
+ * @returns {Map<string, string>} 'YYYY-MM-DD' -> holiday name
+ */
+export function getNyseHolidays(year) {
+  if (holidayCache.has(year)) return holidayCache.get(year);
+
+  const days = new Map();
+  const add = (iso, name) => {
+    // Observed dates can spill into the neighbouring year; keep them there
+    if (iso.startsWith(String(year))) days.set(iso, name);
+  };
+
+  // New Year's on a Saturday is not made up on Friday Dec 31
+  const newYear = ymd(year, 1, 1);
+  if (weekdayOf(newYear) !== 6) add(observed(newYear), "New Year's Day");
+
+  add(nthWeekday(year, 1, 1, 3), 'Martin Luther King Jr. Day');
+  add(nthWeekday(year, 2, 1, 3), "Washington's Birthday");
+  add(addDays(easterSunday(year), -2), 'Good Friday');
+  add(lastWeekday(year, 5, 1), 'Memorial Day');
+  if (year >= 2022) add(observed(ymd(year, 6, 19)), 'Juneteenth');
+  add(observed(ymd(year, 7, 4)), 'Independence Day');
+  add(nthWeekday(year, 9, 1, 1), 'Labor Day');
+  add(nthWeekday(year, 11, 4, 4), 'Thanksgiving Day');
+  add(observed(ymd(year, 12, 25)), 'Christmas Day');
+
+  holidayCache.set(year, days);
+  return days;
+}
+
+function getEarlyCloses(year) {
+  if (earlyCloseCache.has(year)) return earlyCloseCache.get(year);
+
+  const days = new Map();
+  const holidays = getNyseHolidays(year);
+  const addIfSession = (iso, reason) => {
+    const dow = weekdayOf(iso);
+    if (dow >= 1 && dow <= 5 && !holidays.has(iso)) days.set(iso, reason);
+  };
+
+  // Only when July 4th itself falls Tue–Fri
+  const july4Dow = weekdayOf(ymd(year, 7, 4));
+  if (july4Dow >= 2 && july4Dow <= 5) addIfSession(ymd(year, 7, 3), 'Independence Day eve');
+
+  addIfSession(addDays(nthWeekday(year, 11, 4, 4), 1), 'Day after Thanksgiving');
+  addIfSession(ymd(year, 12, 24), 'Christmas Eve');
+
+  earlyCloseCache.set(year, days);
+  return days;
+}
+
+/**
+ * NY-local calendar date of an instant.
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export function nyDateIso(date = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: NY_TIMEZONE }).format(date);
+}
+
+function nyMinutes(date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: NY_TIMEZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value || 0);
+  return get('hour') * 60 + get('minute');
+}
+
+/**
+ * @returns {string|null} holiday name when the exchange is closed that day
+ */
+export function getHoliday(iso) {
+  return getNyseHolidays(Number(iso.slice(0, 4))).get(iso) || null;
+}
+
+export function isTradingDay(iso) {
+  const dow = weekdayOf(iso);
+  return dow >= 1 && dow <= 5 && !getHoliday(iso);
+}
+
+/**
+ * @returns {string|null} reason when the regular session ends at 13:00
+ */
+export function getEarlyClose(iso) {
+  return getEarlyCloses(Number(iso.slice(0, 4))).get(iso) || null;
+}
+
+/**
+ * Session bounds (minutes after NY midnight), or null on non-trading days.
+ * @returns {{ preOpen, open, close, postClose }|null}
+ */
+export function getSessionTimes(iso) {
+  if (!isTradingDay(iso)) return null;
+  const early = !!getEarlyClose(iso);
+  return {
+    preOpen: PRE_OPEN,
+    open: OPEN,
+    close: early ? EARLY_CLOSE : CLOSE,
+    postClose: early ? EARLY_POST_CLOSE : POST_CLOSE,
+  };
+}
+
+export function nextTradingDay(iso) {
+  let d = addDays(iso, 1);
+  while (!isTradingDay(d)) d = addDays(d, 1);
+  return d;
+}
+
+export function previousTradingDay(iso) {
+  let d = addDays(iso, -1);
+  while (!isTradingDay(d)) d = addDays(d, -1);
+  return d;
+}
+
+/**
+ * @returns {'pre' | 'regular' | 'post' | 'closed'}
+ */
+export function getMarketState(now = new Date()) {
+  const session = getSessionTimes(nyDateIso(now));
+  if (!session) return 'closed';
+
+  const mins = nyMinutes(now);
+  if (mins < session.preOpen || mins >= session.postClose) return 'closed';
+  if (mins < session.open) return 'pre';
+  if (mins < session.close) return 'regular';
+  return 'post';
+}
+
+/**
+ * When the market is closed: the moment the last session (incl. after-hours)
+ * ended, as an EST ISO string comparable with toEstIso() stamps. Null while
+ * any session is running. A cache stamped after this has nothing newer to get.
+ */
+export function getClosedSince(now = new Date()) {
+  if (getMarketState(now) !== 'closed') return null;
+
+  const today = nyDateIso(now);
+  const todaySession = getSessionTimes(today);
+  const day =
+    todaySession && nyMinutes(now) >= todaySession.postClose
+      ? today
+      : previousTradingDay(today);
+
+  // Same convention as toEstIso: NY wall-clock time read as a local Date
+  const end = getSessionTimes(day).postClose;
+  const [y, m, d] = day.split('-').map(Number);
+  return new Date(y, m - 1, d, Math.floor(end / 60), end % 60).toISOString();
+}
@@ -2,19 +2,25 @@
 import { initTabs } from './components/tabs.js';
 import { initSp500Heatmap } from './components/sp500Heatmap.js';
 import { initSectorHeatmap } from './components/sectorHeatmap.js';
+import { initMacroHeatmap } from './components/macroHeatmap.js';
 import { initCryptoHeatmap } from './components/cryptoHeatmap.js';
 import { initEarningsCalendar } from './components/earningsCalendar.js';
+import { initSettings } from './components/settingsPanel.js';
+import { initLiveQuotes } from './components/liveQuotes.js';
 
 document.addEventListener('DOMContentLoaded', () => {
   initTabs();
   initSp500Heatmap();
+  initLiveQuotes();
 
   // Lazy-init non-default tabs so we don't hammer Finnhub on first load.
   // This also reduces the chance of rate limiting preventing the S&P heatmap
   // from having all market caps/logos on initial open.
   let sectorsInited = false;
+  let macroInited = false;
   let cryptoInited = false;
   let earningsInited = false;
+  let settingsInited = false;
 
   const tabs = document.querySelectorAll('#tab-bar .tab');
   tabs.forEach((btn) => {
@@ -24,6 +30,10 @@ document.addEventListener('DOMContentLoaded', () => {
         initSectorHeatmap();
         sectorsInited = true;
       }
+      if (name === 'macro' && !macroInited) {
+        initMacroHeatmap();
+        macroInited = true;
+      }
       if (name === 'crypto' && !cryptoInited) {
         initCryptoHeatmap();
         cryptoInited = true;
@@ -32,6 +42,10 @@ document.addEventListener('DOMContentLoaded', () => {
         initEarningsCalendar();
         earningsInited = true;
       }
+      if (name === 'settings' && !settingsInited) {
+        initSettings();
+        settingsInited = true;
+      }
     });
   });
 
@@ -11,6 +11,7 @@ const ASSETS_TO_CACHE = [
   '/src/styles/heatmap.css',
   '/src/styles/calendar.css',
   '/src/styles/tabs.css',
+  '/src/styles/settings.css',
   // Core scripts
   '/src/main.js',
   '/src/router.js',
@@ -19,20 +20,48 @@ const ASSETS_TO_CACHE = [
   '/src/components/earningsCalendar.js',
   '/src/components/heatmap.js',
   '/src/components/lastUpdated.js',
+  '/src/components/liveQuotes.js',
+  '/src/components/macroHeatmap.js',
+  '/src/components/replayControls.js',
+  '/src/components/rotationView.js',
   '/src/components/sectorHeatmap.js',
+  '/src/components/settingsPanel.js',
   '/src/components/sp500Heatmap.js',
+  '/src/components/summaryBar.js',
   '/src/components/tabs.js',
   // Data modules
   '/src/data/apiClient.js',
+  '/src/data/coalesce.js',
   '/src/data/companyService.js',
   '/src/data/constants.js',
   '/src/data/cryptoService.js',
+  '/src/data/cryptoUniverse.js',
+  '/src/data/dow30-constituents.js',
   '/src/data/earningsService.js',
+  '/src/data/emitter.js',
   '/src/data/importantTickers.js',
+  '/src/data/indexSummary.js',
+  '/src/data/industryEtfs.js',
+  '/src/data/keyStore.js',
+  '/src/data/macroService.js',
+  '/src/data/marketData.js',
+  '/src/data/nasdaq100-constituents.js',
+  '/src/data/providers/coingeckoProvider.js',
+  '/src/data/providers/finnhubProvider.js',
+  '/src/data/providers/fixtureProvider.js',
+  '/src/data/proxyConfig.js',
+  '/src/data/quoteStream.js',
+  '/src/data/referenceCloses.js',
+  '/src/data/requestScheduler.js',
+  '/src/data/rotationService.js',
   '/src/data/sectorService.js',
+  '/src/data/snapshotStore.js',
   '/src/data/sp500-constituents.js',
+  '/src/data/stockUniverses.js',
   '/src/data/stocksService.js',
-  '/src/data/timezone.js'
+  '/src/data/streamConfig.js',
+  '/src/data/timezone.js',
+  '/src/data/tradingCalendar.js'
 ];
 
 // Install: precache core assets